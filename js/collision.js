@@ -0,0 +1,104 @@
+// Player collision against the world, worked out on the ground plane. The
+// player is an upright capsule: a circle on the ground with a bottom and top
+// height. Colliders are plain data, so none of this needs the scene.
+
+export const PLAYER_RADIUS = 0.35;
+
+// An upright cylinder such as a tree trunk or a rock
+export function circleCollider(x, z, radius, top = Infinity, bottom = 0) {
+    return { type: 'circle', x, z, radius, top, bottom };
+}
+
+// An axis-aligned box such as the cabin walls
+export function boxCollider(minX, minZ, maxX, maxZ, top = Infinity, bottom = 0) {
+    return { type: 'box', minX, minZ, maxX, maxZ, top, bottom };
+}
+
+// Where a circle at `position` has to move to stop overlapping a collider,
+// or null when they don't overlap
+export function pushOut(position, radius, collider) {
+    if (collider.type === 'circle') {
+        const dx = position.x - collider.x;
+        const dz = position.z - collider.z;
+        const distance = Math.hypot(dx, dz);
+        const minDistance = radius + collider.radius;
+        if (distance >= minDistance) return null;
+
+        // Standing exactly on the centre, push out along x
+        if (distance === 0) return { x: collider.x + minDistance, z: position.z };
+        const scale = minDistance / distance;
+        return { x: collider.x + dx * scale, z: collider.z + dz * scale };
+    }
+
+    const closestX = Math.max(collider.minX, Math.min(collider.maxX, position.x));
+    const closestZ = Math.max(collider.minZ, Math.min(collider.maxZ, position.z));
+    const dx = position.x - closestX;
+    const dz = position.z - closestZ;
+    const distance = Math.hypot(dx, dz);
+
+    if (distance > 0) {
+        if (distance >= radius) return null;
+        const scale = radius / distance;
+        return { x: closestX + dx * scale, z: closestZ + dz * scale };
+    }
+
+    // The centre is inside the box: leave through the nearest side
+    const exits = [
+        { x: collider.minX - radius, z: position.z, depth: position.x - collider.minX },
+        { x: collider.maxX + radius, z: position.z, depth: collider.maxX - position.x },
+        { x: position.x, z: collider.minZ - radius, depth: position.z - collider.minZ },
+        { x: position.x, z: collider.maxZ + radius, depth: collider.maxZ - position.z }
+    ];
+    const exit = exits.reduce((best, candidate) => candidate.depth < best.depth ? candidate : best);
+    return { x: exit.x, z: exit.z };
+}
+
+function overlapsVertically(capsule, collider) {
+    return capsule.bottom < collider.top && capsule.top > collider.bottom;
+}
+
+// Push a capsule out of every collider it overlaps and keep it inside the
+// bounds ({ minX, minZ, maxX, maxZ }). A few passes settle corners where
+// two colliders meet.
+export function resolveCollisions(position, capsule, colliders, bounds = null) {
+    let { x, z } = position;
+    const nearby = colliders.filter(collider => overlapsVertically(capsule, collider));
+
+    for (let pass = 0; pass < 3; pass++) {
+        let moved = false;
+        nearby.forEach(collider => {
+            const resolved = pushOut({ x, z }, capsule.radius, collider);
+            if (resolved) {
+                x = resolved.x;
+                z = resolved.z;
+                moved = true;
+            }
+        });
+        if (!moved) break;
+    }
+
+    if (bounds) {
+        x = Math.max(bounds.minX + capsule.radius, Math.min(bounds.maxX - capsule.radius, x));
+        z = Math.max(bounds.minZ + capsule.radius, Math.min(bounds.maxZ - capsule.radius, z));
+    }
+    return { x, z };
+}
+
+// Move a capsule by `movement` ({ x, z }), sliding along anything it runs
+// into. Long moves are split into steps so fast movement can't tunnel
+// through thin colliders.
+export function moveCapsule(position, movement, capsule, colliders, bounds = null) {
+    const distance = Math.hypot(movement.x, movement.z);
+    const steps = Math.max(1, Math.ceil(distance / (capsule.radius / 2)));
+
+    let current = { x: position.x, z: position.z };
+    for (let step = 0; step < steps; step++) {
+        current = resolveCollisions(
+            { x: current.x + movement.x / steps, z: current.z + movement.z / steps },
+            capsule,
+            colliders,
+            bounds
+        );
+    }
+    return current;
+}
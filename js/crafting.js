@@ -0,0 +1,124 @@
+// Crafting recipes and the rules for crafting them. Nothing here touches the
+// DOM or the scene: crafting takes an Inventory and returns a new one.
+
+import { ITEMS, Inventory } from './inventory.js';
+
+export const RECIPES = [
+    {
+        id: 'fence',
+        name: 'Fence Segments',
+        ingredients: { wood: 2 },
+        output: { item: 'fence', count: 2 }
+    },
+    {
+        id: 'raised_bed',
+        name: 'Raised Garden Bed',
+        ingredients: { wood: 4, stone: 2 },
+        output: { item: 'raised_bed', count: 1 }
+    },
+    {
+        id: 'scarecrow',
+        name: 'Scarecrow',
+        ingredients: { wood: 3, corn: 2 },
+        output: { item: 'scarecrow', count: 1 }
+    },
+    {
+        id: 'sprinkler',
+        name: 'Sprinkler',
+        ingredients: { stone: 4, wood: 2 },
+        output: { item: 'sprinkler', count: 1 }
+    },
+    {
+        id: 'fertilizer',
+        name: 'Wood Ash Fertilizer',
+        ingredients: { wood: 3, stone: 1 },
+        output: { item: 'fertilizer', count: 2 }
+    },
+    {
+        id: 'sturdy_axe',
+        name: 'Sturdy Axe',
+        ingredients: { wood: 3, stone: 5 },
+        output: { item: 'sturdy_axe', count: 1 }
+    },
+    {
+        id: 'large_watering_can',
+        name: 'Large Watering Can',
+        ingredients: { wood: 2, stone: 6 },
+        output: { item: 'large_watering_can', count: 1 }
+    }
+];
+
+// Returns a list of problems with a recipe, empty when it is valid
+export function validateRecipe(recipe, items = ITEMS) {
+    const errors = [];
+    if (!recipe.id) errors.push('Recipe is missing an id');
+
+    const ingredients = Object.entries(recipe.ingredients || {});
+    if (ingredients.length === 0) errors.push(`${recipe.id}: needs at least one ingredient`);
+    ingredients.forEach(([itemId, count]) => {
+        if (!items[itemId]) errors.push(`${recipe.id}: unknown ingredient "${itemId}"`);
+        if (!Number.isInteger(count) || count <= 0) errors.push(`${recipe.id}: bad amount for "${itemId}"`);
+    });
+
+    if (!recipe.output || !items[recipe.output.item]) {
+        errors.push(`${recipe.id}: unknown output "${recipe.output?.item}"`);
+    } else if (!Number.isInteger(recipe.output.count) || recipe.output.count <= 0) {
+        errors.push(`${recipe.id}: bad output amount`);
+    }
+
+    return errors;
+}
+
+export function validateRecipes(recipes = RECIPES, items = ITEMS) {
+    const errors = recipes.flatMap(recipe => validateRecipe(recipe, items));
+    const ids = new Set();
+    recipes.forEach(recipe => {
+        if (ids.has(recipe.id)) errors.push(`Duplicate recipe id "${recipe.id}"`);
+        ids.add(recipe.id);
+    });
+    return errors;
+}
+
+// Ingredients the inventory is short of, as { item, needed, have }
+export function getMissingIngredients(recipe, inventory) {
+    return Object.entries(recipe.ingredients)
+        .filter(([itemId, needed]) => !inventory.has(itemId, needed))
+        .map(([itemId, needed]) => ({ item: itemId, needed, have: inventory.getCount(itemId) }));
+}
+
+export function consumeIngredients(recipe, inventory) {
+    const missing = getMissingIngredients(recipe, inventory);
+    if (missing.length > 0) {
+        throw new Error(`Not enough ${missing.map(m => ITEMS[m.item].name).join(', ')}`);
+    }
+
+    const result = new Inventory(inventory.counts, inventory.capacity);
+    Object.entries(recipe.ingredients).forEach(([itemId, count]) => result.remove(itemId, count));
+    return result;
+}
+
+export function grantOutput(recipe, inventory) {
+    const { item, count } = recipe.output;
+    if (inventory.getSpaceFor(item) < count) {
+        throw new Error(`No room for ${ITEMS[item].name}`);
+    }
+
+    const result = new Inventory(inventory.counts, inventory.capacity);
+    result.add(item, count);
+    return result;
+}
+
+export function canCraft(recipe, inventory) {
+    try {
+        craft(recipe, inventory);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Craft a recipe once, returning the resulting inventory. Throws an Error
+// with a player-facing message when the recipe can't be crafted.
+export function craft(recipe, inventory) {
+    return grantOutput(recipe, consumeIngredients(recipe, inventory));
+}
@@ -0,0 +1,404 @@
+// Every crop in the game, declared as data. A crop's seed and produce items,
+// its market prices, how it grows and how it looks at each stage all come
+// from its entry here, so adding a crop only needs a new entry.
+//
+// Each crop has:
+// - name, icon, stackSize and description for its produce, and
+//   seedDescription for its seeds (items `<id>` and `<id>_seeds`)
+// - seasons: the seasons it is sown in
+// - market: the produce's sell price with per-season multipliers, and
+//   seedMarket: what its seeds cost (see market.js)
+// - yield: the range of produce a harvest gives, and seedChance: the chance
+//   of a few seeds to replant as well
+// - frostTender: damaged below 0°C. minMoisture: the driest soil it still
+//   grows in.
+// - stages: { name, duration, parts }. Durations are in game hours. The last
+//   stage has no duration: the plant stays there until it is harvested.
+//
+// A stage looks like its list of parts, each a simple shape:
+// - shape and size: 'cylinder' [radiusTop, radiusBottom, height], 'cone'
+//   [radius, height], 'sphere' [radius], 'plane' [width, height] or
+//   'circle' [radius]
+// - color, and segments around curved shapes (default 8)
+// - position, rotation and scale as [x, y, z], all optional
+// - count: copies spaced evenly around a ring `ring` meters out, starting
+//   at angle `ringStart`. Each copy moves a further `step` ([x, y, z]), and
+//   with `spin` is turned about the vertical to face out from the ring.
+// - jitter: { position, rotation } as [x, y, z], random extra up to this
+//   much for each copy
+// Positions are in meters from the base of the plant.
+
+// Every crop starts as this sprout
+const SPROUT = [
+    { shape: 'cone', size: [0.1, 0.2], color: 0x90EE90, position: [0, 0.1, 0] }
+];
+
+export const CROPS = {
+    corn: {
+        name: 'Corn',
+        icon: '🌽',
+        stackSize: 20,
+        description: 'A fresh ear of corn.',
+        seedDescription: 'Grows tall stalks of sweet corn.',
+        seasons: ['spring', 'summer'],
+        market: { sell: 12, seasons: { fall: 1.2, winter: 1.4 } },
+        seedMarket: { buy: 5 },
+        yield: { min: 1, max: 2 },
+        seedChance: 0.25,
+        frostTender: true,
+        minMoisture: 0.25,
+        stages: [
+            { name: 'Seedling', duration: 3, parts: SPROUT },
+            {
+                name: 'Sprout',
+                duration: 4,
+                parts: [
+                    { shape: 'cylinder', size: [0.03, 0.05, 1], color: 0x90EE90, position: [0, 0.5, 0] },
+                    {
+                        shape: 'plane', size: [0.17, 0.4], color: 0x90EE90, position: [0, 0.3, 0],
+                        rotation: [0, 0, Math.PI / 6], count: 3, step: [0, 0.2, 0], spin: true
+                    }
+                ]
+            },
+            {
+                name: 'Tasseling',
+                duration: 5,
+                parts: [
+                    { shape: 'cylinder', size: [0.03, 0.05, 1.5], color: 0x90EE90, position: [0, 0.75, 0] },
+                    {
+                        shape: 'plane', size: [0.23, 0.4], color: 0x90EE90, position: [0, 0.45, 0],
+                        rotation: [0, 0, Math.PI / 6], count: 3, step: [0, 0.3, 0], spin: true
+                    }
+                ]
+            },
+            {
+                name: 'Ripe',
+                parts: [
+                    { shape: 'cylinder', size: [0.05, 0.08, 2], color: 0x90EE90, position: [0, 1, 0] },
+                    {
+                        shape: 'cylinder', size: [0.08, 0.1, 0.4], color: 0xFFD700, position: [0, 1.2, 0],
+                        rotation: [0, 0, Math.PI / 4], count: 2, ring: 0.2
+                    }
+                ]
+            }
+        ]
+    },
+    tomato: {
+        name: 'Tomato',
+        icon: '🍅',
+        stackSize: 20,
+        description: 'Ripe and red.',
+        seedDescription: 'A leafy vine heavy with tomatoes.',
+        seasons: ['spring', 'summer'],
+        market: { sell: 15, seasons: { summer: 0.8, winter: 1.5 } },
+        seedMarket: { buy: 6 },
+        yield: { min: 1, max: 3 },
+        seedChance: 0.25,
+        frostTender: true,
+        minMoisture: 0.3,
+        stages: [
+            { name: 'Seedling', duration: 2, parts: SPROUT },
+            {
+                name: 'Sprout',
+                duration: 3,
+                parts: [
+                    { shape: 'cylinder', size: [0.03, 0.05, 0.53], color: 0x228B22, position: [0, 0.27, 0] },
+                    {
+                        shape: 'plane', size: [0.15, 0.2], color: 0x228B22, position: [0, 0.32, 0],
+                        rotation: [Math.PI / 6, 0, 0], count: 2, ring: 0.1, spin: true
+                    }
+                ]
+            },
+            {
+                name: 'Flowering',
+                duration: 4,
+                parts: [
+                    { shape: 'cylinder', size: [0.03, 0.05, 0.77], color: 0x228B22, position: [0, 0.38, 0] },
+                    {
+                        shape: 'plane', size: [0.15, 0.2], color: 0x228B22, position: [0, 0.46, 0],
+                        rotation: [Math.PI / 6, 0, 0], count: 2, ring: 0.1, spin: true
+                    }
+                ]
+            },
+            {
+                name: 'Ripe',
+                parts: [
+                    { shape: 'cylinder', size: [0.05, 0.08, 1], color: 0x228B22, position: [0, 0.5, 0] },
+                    {
+                        shape: 'sphere', size: [0.15], color: 0xFF6347, position: [0, 0.7, 0],
+                        count: 3, ring: 0.2, jitter: { position: [0, 0.3, 0] }
+                    },
+                    {
+                        shape: 'plane', size: [0.2, 0.3], color: 0x228B22, position: [0, 0.3, 0],
+                        count: 4, ring: 0.2, spin: true,
+                        jitter: { position: [0, 0.4, 0], rotation: [Math.PI / 4, 0, Math.PI / 4] }
+                    }
+                ]
+            }
+        ]
+    },
+    melon: {
+        name: 'Melon',
+        icon: '🍈',
+        stackSize: 10,
+        description: 'Sweet and heavy.',
+        seedDescription: 'Slow growing, but worth the wait.',
+        seasons: ['summer'],
+        market: { sell: 40, seasons: { summer: 0.9, winter: 1.5 } },
+        seedMarket: { buy: 15 },
+        yield: { min: 1, max: 1 },
+        seedChance: 0.3,
+        frostTender: true,
+        minMoisture: 0.4,
+        stages: [
+            { name: 'Seedling', duration: 3, parts: SPROUT },
+            {
+                name: 'Vining',
+                duration: 5,
+                parts: [
+                    {
+                        shape: 'cylinder', size: [0.02, 0.02, 0.3], color: 0x228B22, position: [0, 0.05, 0],
+                        rotation: [0, 0, Math.PI / 2], count: 3, ring: 0.21, spin: true
+                    },
+                    {
+                        shape: 'circle', size: [0.13], segments: 5, color: 0x228B22, position: [0, 0.02, 0],
+                        rotation: [-Math.PI / 2, 0, 0], count: 3, ring: 0.21
+                    }
+                ]
+            },
+            {
+                name: 'Flowering',
+                duration: 6,
+                parts: [
+                    {
+                        shape: 'cylinder', size: [0.02, 0.02, 0.4], color: 0x228B22, position: [0, 0.05, 0],
+                        rotation: [0, 0, Math.PI / 2], count: 3, ring: 0.28, spin: true
+                    },
+                    {
+                        shape: 'circle', size: [0.17], segments: 5, color: 0x228B22, position: [0, 0.02, 0],
+                        rotation: [-Math.PI / 2, 0, 0], count: 3, ring: 0.28
+                    }
+                ]
+            },
+            {
+                name: 'Ripe',
+                parts: [
+                    { shape: 'cylinder', size: [0.03, 0.03, 0.3], color: 0x228B22, position: [0, 0.15, 0] },
+                    { shape: 'sphere', size: [0.25], segments: 12, color: 0x90EE90, position: [0, 0.25, 0] },
+                    {
+                        shape: 'circle', size: [0.2], segments: 5, color: 0x228B22, position: [0, 0.05, 0],
+                        rotation: [-Math.PI / 2, 0, 0], count: 3, ring: 0.3
+                    }
+                ]
+            }
+        ]
+    },
+    strawberry: {
+        name: 'Strawberry',
+        icon: '🍓',
+        stackSize: 30,
+        description: 'Small, sweet berries.',
+        seedDescription: 'Quick, low growing berries.',
+        seasons: ['spring', 'summer', 'fall'],
+        market: { sell: 8, seasons: { spring: 0.9, winter: 1.5 } },
+        seedMarket: { buy: 4 },
+        yield: { min: 2, max: 4 },
+        seedChance: 0.2,
+        frostTender: false,
+        minMoisture: 0.35,
+        stages: [
+            { name: 'Seedling', duration: 1.5, parts: SPROUT },
+            {
+                name: 'Sprout',
+                duration: 2,
+                parts: [
+                    { shape: 'sphere', size: [0.13], color: 0x228B22, position: [0, 0.1, 0], scale: [1, 0.3, 1] },
+                    {
+                        shape: 'circle', size: [0.1], segments: 3, color: 0x228B22, position: [0, 0.05, 0],
+                        rotation: [-Math.PI / 2, 0, 0], count: 3, ring: 0.15, spin: true
+                    }
+                ]
+            },
+            {
+                name: 'Flowering',
+                duration: 3,
+                parts: [
+                    { shape: 'sphere', size: [0.17], color: 0x228B22, position: [0, 0.1, 0], scale: [1, 0.3, 1] },
+                    {
+                        shape: 'circle', size: [0.1], segments: 3, color: 0x228B22, position: [0, 0.05, 0],
+                        rotation: [-Math.PI / 2, 0, 0], count: 4, ring: 0.15, spin: true
+                    }
+                ]
+            },
+            {
+                name: 'Ripe',
+                parts: [
+                    { shape: 'sphere', size: [0.2], color: 0x228B22, position: [0, 0.2, 0], scale: [1, 0.5, 1] },
+                    { shape: 'sphere', size: [0.08], color: 0xFF0000, position: [0, 0.15, 0], count: 4, ring: 0.15 }
+                ]
+            }
+        ]
+    },
+    carrot: {
+        name: 'Carrot',
+        icon: '🥕',
+        stackSize: 20,
+        description: 'Crunchy and orange.',
+        seedDescription: 'Hardy roots that shrug off frost.',
+        seasons: ['spring', 'fall', 'winter'],
+        market: { sell: 10, seasons: { winter: 1.3 } },
+        seedMarket: { buy: 4 },
+        yield: { min: 1, max: 3 },
+        seedChance: 0.25,
+        frostTender: false,
+        minMoisture: 0.3,
+        stages: [
+            { name: 'Seedling', duration: 2, parts: SPROUT },
+            {
+                name: 'Sprout',
+                duration: 2,
+                parts: [
+                    {
+                        shape: 'cone', size: [0.02, 0.23], segments: 4, color: 0x3CB043, position: [0, 0.12, 0],
+                        rotation: [0.3, 0, 0], count: 4, ring: 0.03, spin: true
+                    }
+                ]
+            },
+            {
+                name: 'Rooting',
+                duration: 3,
+                parts: [
+                    {
+                        shape: 'cone', size: [0.02, 0.32], segments: 4, color: 0x3CB043, position: [0, 0.16, 0],
+                        rotation: [0.3, 0, 0], count: 5, ring: 0.03, spin: true
+                    }
+                ]
+            },
+            {
+                name: 'Ripe',
+                parts: [
+                    // Carrot shoulder poking out of the soil
+                    { shape: 'cone', size: [0.07, 0.25], color: 0xFF8C00, position: [0, 0.02, 0], rotation: [Math.PI, 0, 0] },
+                    {
+                        shape: 'cone', size: [0.02, 0.45], segments: 4, color: 0x3CB043, position: [0, 0.35, 0],
+                        rotation: [0.35, 0, 0], count: 7, ring: 0.04, spin: true
+                    }
+                ]
+            }
+        ]
+    },
+    pumpkin: {
+        name: 'Pumpkin',
+        icon: '🎃',
+        stackSize: 5,
+        description: 'Big enough to carve.',
+        seedDescription: 'The slowest crop, and the most valuable.',
+        seasons: ['summer'],
+        market: { sell: 55, seasons: { fall: 1.3 } },
+        seedMarket: { buy: 20, seasons: { summer: 0.8 } },
+        yield: { min: 1, max: 1 },
+        seedChance: 0.3,
+        frostTender: true,
+        minMoisture: 0.4,
+        stages: [
+            { name: 'Seedling', duration: 4, parts: SPROUT },
+            {
+                name: 'Vining',
+                duration: 6,
+                parts: [
+                    {
+                        shape: 'cylinder', size: [0.025, 0.025, 0.47], color: 0x2E8B57, position: [0, 0.03, 0],
+                        rotation: [0, Math.PI / 2, Math.PI / 2], count: 4, ring: 0.23, spin: true
+                    },
+                    {
+                        shape: 'circle', size: [0.15], segments: 6, color: 0x2E8B57, position: [0, 0.04, 0],
+                        rotation: [-Math.PI / 2, 0, 0], count: 4, ring: 0.47
+                    }
+                ]
+            },
+            {
+                name: 'Flowering',
+                duration: 8,
+                parts: [
+                    {
+                        shape: 'cylinder', size: [0.025, 0.025, 0.63], color: 0x2E8B57, position: [0, 0.03, 0],
+                        rotation: [0, Math.PI / 2, Math.PI / 2], count: 4, ring: 0.32, spin: true
+                    },
+                    {
+                        shape: 'circle', size: [0.19], segments: 6, color: 0x2E8B57, position: [0, 0.04, 0],
+                        rotation: [-Math.PI / 2, 0, 0], count: 4, ring: 0.63
+                    },
+                    // A small green pumpkin sets while flowering
+                    { shape: 'sphere', size: [0.12], segments: 10, color: 0x6B8E23, position: [0, 0.1, 0], scale: [1, 0.8, 1] }
+                ]
+            },
+            {
+                name: 'Ripe',
+                parts: [
+                    { shape: 'sphere', size: [0.35], segments: 16, color: 0xFF7518, position: [0, 0.25, 0], scale: [1, 0.75, 1] },
+                    { shape: 'cylinder', size: [0.03, 0.04, 0.15], segments: 6, color: 0x556B2F, position: [0, 0.55, 0] },
+                    {
+                        shape: 'circle', size: [0.25], segments: 6, color: 0x2E8B57, position: [0, 0.04, 0],
+                        rotation: [-Math.PI / 2, 0, 0], count: 4, ring: 0.5, ringStart: Math.PI / 4
+                    }
+                ]
+            }
+        ]
+    },
+    sunflower: {
+        name: 'Sunflower',
+        icon: '🌻',
+        stackSize: 20,
+        description: 'A cheerful head full of seeds.',
+        seedDescription: 'Grows taller than you are.',
+        seasons: ['spring', 'summer'],
+        market: { sell: 18, seasons: { summer: 0.9, winter: 1.4 } },
+        seedMarket: { buy: 7 },
+        yield: { min: 1, max: 2 },
+        seedChance: 0.4,
+        frostTender: true,
+        minMoisture: 0.25,
+        stages: [
+            { name: 'Seedling', duration: 2, parts: SPROUT },
+            {
+                name: 'Sprout',
+                duration: 3,
+                parts: [
+                    { shape: 'cylinder', size: [0.03, 0.04, 0.5], color: 0x4F7942, position: [0, 0.25, 0] },
+                    {
+                        shape: 'plane', size: [0.15, 0.2], color: 0x4F7942, position: [0, 0.3, 0],
+                        rotation: [Math.PI / 4, 0, 0], count: 2, ring: 0.08, spin: true
+                    }
+                ]
+            },
+            {
+                name: 'Budding',
+                duration: 4,
+                parts: [
+                    { shape: 'cylinder', size: [0.035, 0.05, 1.1], color: 0x4F7942, position: [0, 0.55, 0] },
+                    {
+                        shape: 'plane', size: [0.2, 0.25], color: 0x4F7942, position: [0, 0.4, 0],
+                        rotation: [Math.PI / 4, 0, 0], count: 4, ring: 0.1, step: [0, 0.15, 0], spin: true
+                    },
+                    { shape: 'sphere', size: [0.08], color: 0x6B8E23, position: [0, 1.12, 0] }
+                ]
+            },
+            {
+                name: 'Blooming',
+                parts: [
+                    { shape: 'cylinder', size: [0.04, 0.06, 1.6], color: 0x4F7942, position: [0, 0.8, 0] },
+                    {
+                        shape: 'plane', size: [0.25, 0.3], color: 0x4F7942, position: [0, 0.5, 0],
+                        rotation: [Math.PI / 4, 0, 0], count: 4, ring: 0.12, step: [0, 0.2, 0], spin: true
+                    },
+                    // Seed head ringed with petals, facing the sky
+                    { shape: 'cylinder', size: [0.18, 0.18, 0.06], segments: 16, color: 0x5C3A1E, position: [0, 1.62, 0] },
+                    {
+                        shape: 'cone', size: [0.06, 0.22], segments: 4, color: 0xFFC300, position: [0, 1.62, 0],
+                        rotation: [Math.PI / 2, 0, 0], count: 12, ring: 0.28, spin: true
+                    }
+                ]
+            }
+        ]
+    }
+};
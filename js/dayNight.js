@@ -0,0 +1,56 @@
+// Sky and lighting keyframes for the day/night cycle. Colors are hex numbers
+// so the values can be used without a renderer.
+
+const SKY_KEYFRAMES = [
+    { hour: 0, sky: 0x0B1026, sun: 0x6F7FB0, sunIntensity: 0.15, ambient: 0.05, hemisphere: 0.15, fogDensity: 0.012 },
+    { hour: 5, sky: 0x1C2340, sun: 0x6F7FB0, sunIntensity: 0.15, ambient: 0.08, hemisphere: 0.2, fogDensity: 0.014 },
+    { hour: 6, sky: 0xF4A261, sun: 0xFFB07A, sunIntensity: 0.3, ambient: 0.12, hemisphere: 0.4, fogDensity: 0.012 },
+    { hour: 8, sky: 0x87CEEB, sun: 0xFFFFFF, sunIntensity: 1.5, ambient: 0.2, hemisphere: 1, fogDensity: 0.008 },
+    { hour: 17, sky: 0x87CEEB, sun: 0xFFFFFF, sunIntensity: 1.5, ambient: 0.2, hemisphere: 1, fogDensity: 0.008 },
+    { hour: 18, sky: 0xE07A5F, sun: 0xFF9A5A, sunIntensity: 0.3, ambient: 0.12, hemisphere: 0.4, fogDensity: 0.01 },
+    { hour: 19.5, sky: 0x0B1026, sun: 0x6F7FB0, sunIntensity: 0.15, ambient: 0.05, hemisphere: 0.15, fogDensity: 0.012 },
+    { hour: 24, sky: 0x0B1026, sun: 0x6F7FB0, sunIntensity: 0.15, ambient: 0.05, hemisphere: 0.15, fogDensity: 0.012 }
+];
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+// Blend two 0xRRGGBB colors, `t` (0-1) of the way from `a` to `b`
+export function lerpHex(a, b, t) {
+    const amount = Math.max(0, Math.min(1, t));
+    const r = Math.round(lerp((a >> 16) & 0xFF, (b >> 16) & 0xFF, amount));
+    const g = Math.round(lerp((a >> 8) & 0xFF, (b >> 8) & 0xFF, amount));
+    const bl = Math.round(lerp(a & 0xFF, b & 0xFF, amount));
+    return (r << 16) | (g << 8) | bl;
+}
+
+// Sky colors, light levels and sun direction for a fractional hour (0-24)
+export function getSkyState(hour) {
+    let index = 0;
+    while (index < SKY_KEYFRAMES.length - 2 && hour >= SKY_KEYFRAMES[index + 1].hour) {
+        index++;
+    }
+    const from = SKY_KEYFRAMES[index];
+    const to = SKY_KEYFRAMES[index + 1];
+    const t = (hour - from.hour) / (to.hour - from.hour);
+
+    // The sun rises in the east at 6:00 and sets in the west at 18:00.
+    // At night the light follows the moon on the opposite side of the sky.
+    const isDaytime = hour >= 6 && hour < 18;
+    const angle = ((hour - 6) / 12) * Math.PI + (isDaytime ? 0 : Math.PI);
+
+    return {
+        skyColor: lerpHex(from.sky, to.sky, t),
+        sunColor: lerpHex(from.sun, to.sun, t),
+        sunIntensity: lerp(from.sunIntensity, to.sunIntensity, t),
+        ambientIntensity: lerp(from.ambient, to.ambient, t),
+        hemisphereIntensity: lerp(from.hemisphere, to.hemisphere, t),
+        fogDensity: lerp(from.fogDensity, to.fogDensity, t),
+        sunDirection: {
+            x: Math.cos(angle),
+            y: Math.max(Math.sin(angle), 0.1),
+            z: 0.3
+        }
+    };
+}
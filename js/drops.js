@@ -0,0 +1,22 @@
+// What clearing an obstacle leaves behind, keyed by obstacle userData.type.
+// Each entry drops between `min` and `max` of an item.
+
+export const DROP_TABLES = {
+    tree: [
+        { item: 'wood', min: 3, max: 5 }
+    ],
+    rock: [
+        { item: 'stone', min: 2, max: 4 }
+    ]
+};
+
+// Roll the drops for an obstacle type as a list of { item, count }
+export function rollDrops(obstacleType, random = Math.random) {
+    const table = DROP_TABLES[obstacleType] || [];
+    return table
+        .map(entry => ({
+            item: entry.item,
+            count: entry.min + Math.floor(random() * (entry.max - entry.min + 1))
+        }))
+        .filter(drop => drop.count > 0);
+}
@@ -0,0 +1,76 @@
+// In-game clock and calendar. Real seconds are scaled so that one game day
+// lasts `dayLength` real seconds, and a year is four seasons of
+// DAYS_PER_SEASON days. Other systems (growth, mail, shops) read the current
+// game time and season from here.
+
+export const MINUTES_PER_DAY = 24 * 60;
+export const DEFAULT_DAY_LENGTH = 1200; // 20 real minutes per game day
+export const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+export const SEASONS = ['spring', 'summer', 'fall', 'winter'];
+export const DAYS_PER_SEASON = 7;
+
+// Day 1 is a Monday
+export function getWeekday(day) {
+    return WEEKDAYS[(day - 1) % WEEKDAYS.length];
+}
+
+// Day 1 is the first day of spring in year 1. Returns { season, dayOfSeason, year }.
+export function getCalendarDate(day) {
+    const seasonIndex = Math.floor((day - 1) / DAYS_PER_SEASON);
+    return {
+        season: SEASONS[seasonIndex % SEASONS.length],
+        dayOfSeason: (day - 1) % DAYS_PER_SEASON + 1,
+        year: Math.floor(seasonIndex / SEASONS.length) + 1
+    };
+}
+
+export class GameClock {
+    constructor({ dayLength = DEFAULT_DAY_LENGTH, startHour = 8 } = {}) {
+        this.dayLength = dayLength;
+        this.totalMinutes = startHour * 60; // Game minutes since the start of day 1
+    }
+
+    // Advance by real seconds and return the number of game minutes that passed
+    update(deltaTime) {
+        const minutes = (deltaTime / this.dayLength) * MINUTES_PER_DAY;
+        this.totalMinutes += minutes;
+        return minutes;
+    }
+
+    get day() {
+        return Math.floor(this.totalMinutes / MINUTES_PER_DAY) + 1;
+    }
+
+    get season() {
+        return getCalendarDate(this.day).season;
+    }
+
+    // Fractional hour of the day, 0-24
+    get hour() {
+        return (this.totalMinutes % MINUTES_PER_DAY) / 60;
+    }
+
+    getPhase() {
+        const hour = this.hour;
+        if (hour >= 5 && hour < 7) return 'dawn';
+        if (hour >= 7 && hour < 17) return 'day';
+        if (hour >= 17 && hour < 20) return 'dusk';
+        return 'night';
+    }
+
+    getTime() {
+        return {
+            day: this.day,
+            weekday: getWeekday(this.day),
+            ...getCalendarDate(this.day),
+            hour: Math.floor(this.hour),
+            minute: Math.floor(this.totalMinutes % 60),
+            phase: this.getPhase()
+        };
+    }
+
+    format() {
+        const { day, weekday, hour, minute } = this.getTime();
+        return `${weekday.slice(0, 3)}, Day ${day}, ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+    }
+}
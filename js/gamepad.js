@@ -0,0 +1,93 @@
+// Controller input through the Gamepad API. The game polls once per frame;
+// polling turns the first connected gamepad into stick vectors and the
+// actions whose buttons were pressed since the last poll.
+
+// Button indices in the browser's "standard" gamepad mapping
+export const GAMEPAD_BUTTONS = {
+    a: 0,
+    b: 1,
+    x: 2,
+    y: 3,
+    leftBumper: 4,
+    rightBumper: 5,
+    leftTrigger: 6,
+    rightTrigger: 7,
+    back: 8,
+    start: 9,
+    leftStick: 10,
+    rightStick: 11
+};
+
+// Buttons that fire an action once per press
+export const GAMEPAD_BINDINGS = {
+    [GAMEPAD_BUTTONS.a]: 'jump',
+    [GAMEPAD_BUTTONS.b]: 'closeMenu',
+    [GAMEPAD_BUTTONS.x]: 'openMailbox',
+    [GAMEPAD_BUTTONS.y]: 'toggleInventory',
+    [GAMEPAD_BUTTONS.leftBumper]: 'nextSeed',
+    [GAMEPAD_BUTTONS.rightBumper]: 'nextTool',
+    [GAMEPAD_BUTTONS.leftTrigger]: 'useTool',
+    [GAMEPAD_BUTTONS.rightTrigger]: 'useTool',
+    [GAMEPAD_BUTTONS.back]: 'shovelMode',
+    [GAMEPAD_BUTTONS.start]: 'openMailbox'
+};
+
+// How far an analog trigger must be pulled to count as pressed
+const TRIGGER_THRESHOLD = 0.5;
+
+// Ignore stick movement inside the dead zone and rescale the rest so the
+// output still starts at zero and reaches full speed at the edge
+export function applyDeadZone(x, y, deadZone) {
+    const magnitude = Math.hypot(x, y);
+    if (magnitude <= deadZone || deadZone >= 1) return { x: 0, y: 0 };
+
+    const scaled = Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+    return { x: (x / magnitude) * scaled, y: (y / magnitude) * scaled };
+}
+
+export class GamepadInput {
+    // `navigatorLike` only needs getGamepads(), so tests can pass a mock
+    constructor({ navigatorLike = globalThis.navigator, deadZone = 0.15, lookSensitivity = 1 } = {}) {
+        this.navigator = navigatorLike;
+        this.deadZone = deadZone;
+        this.lookSensitivity = lookSensitivity;
+        this.previousButtons = [];
+    }
+
+    getGamepad() {
+        const gamepads = this.navigator?.getGamepads?.() || [];
+        return Array.from(gamepads).find(gamepad => gamepad && gamepad.connected) || null;
+    }
+
+    // Returns null when no gamepad is connected, otherwise
+    // { move, look, sprint, actions }. `move.y` is positive for forward and
+    // `look` is scaled by the look sensitivity.
+    poll() {
+        const gamepad = this.getGamepad();
+        if (!gamepad) {
+            this.previousButtons = [];
+            return null;
+        }
+
+        const buttons = gamepad.buttons.map(button => button.pressed || button.value > TRIGGER_THRESHOLD);
+        const actions = [];
+        buttons.forEach((pressed, index) => {
+            const action = GAMEPAD_BINDINGS[index];
+            if (action && pressed && !this.previousButtons[index] && !actions.includes(action)) {
+                actions.push(action);
+            }
+        });
+        this.previousButtons = buttons;
+
+        const [leftX = 0, leftY = 0, rightX = 0, rightY = 0] = gamepad.axes;
+        const move = applyDeadZone(leftX, -leftY, this.deadZone);
+        const look = applyDeadZone(rightX, rightY, this.deadZone);
+
+        return {
+            move,
+            look: { x: look.x * this.lookSensitivity, y: look.y * this.lookSensitivity },
+            sprint: Boolean(buttons[GAMEPAD_BUTTONS.leftStick]),
+            actions
+        };
+    }
+}
@@ -0,0 +1,145 @@
+// Crop growth simulation. Plants advance through their stages as time passes,
+// but only while the soil they sit in is moist enough, and more slowly in
+// soil short of nutrients. Crops and their stages are defined in crops.js.
+
+import { CROPS } from './crops.js';
+
+// Fraction of soil moisture lost per game hour
+export const SOIL_DRY_RATE = 1 / 4;
+
+// Freshly tilled soil is fairly rich. Each harvest uses up nutrients, more
+// for every time in a row the same crop was grown there; following a
+// different crop gives some back. Fertilizer restores them.
+export const STARTING_NUTRIENTS = 0.8;
+export const HARVEST_NUTRIENT_USE = 0.15;
+export const ROTATION_BONUS = 0.1;
+export const SOIL_HISTORY_LENGTH = 4; // Most recent harvests remembered
+
+// Game hours soil can lie dry with nothing growing before grass takes it back
+export const SOIL_REVERT_HOURS = 48;
+
+// Crops outside the seasons they are sown in grow this much slower and lose
+// health each game hour, dying within a day. Winter kills frost-tender crops
+// outright.
+export const OUT_OF_SEASON_GROWTH = 0.5;
+export const OUT_OF_SEASON_DAMAGE = 1 / 24;
+
+export function isInSeason(cropType, season) {
+    return CROPS[cropType].seasons.includes(season);
+}
+
+export function getTotalGrowthTime(cropType) {
+    return CROPS[cropType].stages.reduce((total, stage) => total + (stage.duration || 0), 0);
+}
+
+// Map a growth progress value (0-1) to the index of the stage the plant is in
+export function getGrowthStage(cropType, growth) {
+    const stages = CROPS[cropType].stages;
+    const totalTime = getTotalGrowthTime(cropType);
+    let elapsed = growth * totalTime;
+
+    for (let i = 0; i < stages.length - 1; i++) {
+        if (elapsed < stages[i].duration) return i;
+        elapsed -= stages[i].duration;
+    }
+    return stages.length - 1;
+}
+
+// A tilled tile's soil. `history` lists the crops harvested from it, oldest
+// first, and `dryHours` how long it has been dry and empty.
+export function createSoil() {
+    return { moisture: 0, nutrients: STARTING_NUTRIENTS, history: [], dryHours: 0 };
+}
+
+export function drySoil(soil, hours, dryingMultiplier = 1) {
+    soil.moisture = Math.max(0, soil.moisture - SOIL_DRY_RATE * dryingMultiplier * hours);
+}
+
+export function wetSoil(soil, amount) {
+    soil.moisture = Math.min(1, soil.moisture + amount);
+}
+
+export function fertilizeSoil(soil, amount) {
+    soil.nutrients = Math.min(1, soil.nutrients + amount);
+}
+
+// Number of harvests in a row, most recent first, that were `cropType`
+export function countRepeats(soil, cropType) {
+    let repeats = 0;
+    for (let i = soil.history.length - 1; i >= 0 && soil.history[i] === cropType; i--) repeats++;
+    return repeats;
+}
+
+// Take what a harvest of `cropType` used out of the soil, and remember it
+export function depleteSoil(soil, cropType) {
+    const repeats = countRepeats(soil, cropType);
+    const rotated = soil.history.length > 0 && repeats === 0;
+    const change = (rotated ? ROTATION_BONUS : 0) - HARVEST_NUTRIENT_USE * (1 + repeats);
+    soil.nutrients = Math.max(0, Math.min(1, soil.nutrients + change));
+    soil.history = [...soil.history, cropType].slice(-SOIL_HISTORY_LENGTH);
+}
+
+// Crops grow at half speed in exhausted soil
+export function getNutrientGrowth(soil) {
+    return 0.5 + soil.nutrients * 0.5;
+}
+
+// Count the hours soil lies dry with nothing planted. Returns true once
+// grass should take it back.
+export function neglectSoil(soil, hours, planted) {
+    if (planted || soil.moisture > 0) {
+        soil.dryHours = 0;
+        return false;
+    }
+    soil.dryHours += hours;
+    return soil.dryHours >= SOIL_REVERT_HOURS;
+}
+
+// Apply frost damage to a plant. Returns true when the plant has died.
+export function applyFrost(plant, damage) {
+    if (damage <= 0 || !CROPS[plant.type].frostTender) return false;
+
+    plant.health = Math.max(0, plant.health - damage);
+    return plant.health === 0;
+}
+
+// Wear down a plant that is out of season. Returns true when it has died.
+export function applySeason(plant, season, hours) {
+    if (hours <= 0 || isInSeason(plant.type, season)) return false;
+
+    if (season === 'winter' && CROPS[plant.type].frostTender) {
+        plant.health = 0;
+    } else {
+        plant.health = Math.max(0, plant.health - OUT_OF_SEASON_DAMAGE * hours);
+    }
+    return plant.health === 0;
+}
+
+// Advance a plant by a number of game hours. Growth stalls while the soil is
+// too dry, and slows out of season or in poor soil. Returns true when the
+// plant moved into a new stage.
+export function advanceGrowth(plant, soil, hours, season = null) {
+    if (plant.isHarvestable) return false;
+
+    const crop = CROPS[plant.type];
+    if (!crop || soil.moisture < crop.minMoisture) return false;
+
+    const seasonGrowth = season && !isInSeason(plant.type, season) ? OUT_OF_SEASON_GROWTH : 1;
+    const growingHours = hours * seasonGrowth * getNutrientGrowth(soil);
+    plant.growth = Math.min(1, plant.growth + growingHours / getTotalGrowthTime(plant.type));
+
+    const stage = getGrowthStage(plant.type, plant.growth);
+    if (stage === plant.stage) return false;
+
+    plant.stage = stage;
+    plant.isHarvestable = stage === crop.stages.length - 1;
+    return true;
+}
+
+// Roll what harvesting a ripe plant yields
+export function rollHarvest(cropType, random = Math.random) {
+    const crop = CROPS[cropType];
+    const produce = crop.yield.min + Math.floor(random() * (crop.yield.max - crop.yield.min + 1));
+    const seeds = random() < crop.seedChance ? 1 + Math.floor(random() * 2) : 0;
+    return { produce, seeds };
+}
@@ -0,0 +1,187 @@
+// Keyboard bindings. Keys are matched by `event.code`, the physical key
+// position, and mapped to named actions. Each profile has its own bindings,
+// and any rebinding the player does is stored per profile.
+
+export const INPUT_KEY = 'gardenGameKeyBindings';
+export const INPUT_VERSION = 1;
+
+// Actions in the order they are listed on the remapping screen. `hold`
+// actions stay active while their key is down; the rest fire once per press.
+export const ACTIONS = {
+    moveForward: { label: 'Move Forward', hold: true },
+    moveBackward: { label: 'Move Backward', hold: true },
+    moveLeft: { label: 'Move Left', hold: true },
+    moveRight: { label: 'Move Right', hold: true },
+    sprint: { label: 'Sprint', hold: true },
+    jump: { label: 'Jump' },
+    selectTool1: { label: 'Select Tool 1', toolIndex: 0 },
+    selectTool2: { label: 'Select Tool 2', toolIndex: 1 },
+    selectTool3: { label: 'Select Tool 3', toolIndex: 2 },
+    selectTool4: { label: 'Select Tool 4', toolIndex: 3 },
+    shovelMode: { label: 'Change Shovel Mode' },
+    toggleInventory: { label: 'Inventory' },
+    closeMenu: { label: 'Close Menu' }
+};
+
+// Each action has up to two keys
+export const BINDING_SLOTS = 2;
+
+export const BINDING_PROFILES = {
+    default: {
+        name: 'Default (WASD)',
+        bindings: {
+            moveForward: ['KeyW', 'ArrowUp'],
+            moveBackward: ['KeyS', 'ArrowDown'],
+            moveLeft: ['KeyA', 'ArrowLeft'],
+            moveRight: ['KeyD', 'ArrowRight'],
+            sprint: ['ShiftLeft'],
+            jump: ['Space'],
+            selectTool1: ['Digit1'],
+            selectTool2: ['Digit2'],
+            selectTool3: ['Digit3'],
+            selectTool4: ['Digit4'],
+            shovelMode: ['KeyR'],
+            toggleInventory: ['KeyI'],
+            closeMenu: ['Escape']
+        }
+    },
+    // Right hand on the keyboard, left hand on the mouse
+    leftHanded: {
+        name: 'Left-Handed (IJKL)',
+        bindings: {
+            moveForward: ['KeyI', 'ArrowUp'],
+            moveBackward: ['KeyK', 'ArrowDown'],
+            moveLeft: ['KeyJ', 'ArrowLeft'],
+            moveRight: ['KeyL', 'ArrowRight'],
+            sprint: ['ShiftRight'],
+            jump: ['Space'],
+            selectTool1: ['Digit8', 'Numpad1'],
+            selectTool2: ['Digit9', 'Numpad2'],
+            selectTool3: ['Digit0', 'Numpad3'],
+            selectTool4: ['Minus', 'Numpad4'],
+            shovelMode: ['KeyU'],
+            toggleInventory: ['KeyO'],
+            closeMenu: ['Escape']
+        }
+    }
+};
+
+const KEY_NAMES = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ShiftLeft: 'Left Shift',
+    ShiftRight: 'Right Shift',
+    ControlLeft: 'Left Ctrl',
+    ControlRight: 'Right Ctrl',
+    AltLeft: 'Left Alt',
+    AltRight: 'Right Alt',
+    Space: 'Space',
+    Escape: 'Esc',
+    Enter: 'Enter',
+    Tab: 'Tab',
+    Backspace: 'Backspace',
+    Minus: '-'
+};
+
+// A readable name for a key code. `layoutMap` is the optional result of
+// navigator.keyboard.getLayoutMap(), which gives the label printed on the
+// player's keyboard, e.g. "Z" for KeyW on AZERTY.
+export function formatKeyCode(code, layoutMap = null) {
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    if (layoutMap && layoutMap.has(code)) return layoutMap.get(code).toUpperCase();
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+    return code;
+}
+
+export class InputMap {
+    // `custom` holds the player's bindings per profile, replacing the
+    // profile's own bindings action by action
+    constructor({ profile = 'default', custom = {} } = {}) {
+        this.profile = BINDING_PROFILES[profile] ? profile : 'default';
+        this.custom = {};
+        Object.entries(custom).forEach(([profileId, bindings]) => {
+            if (!BINDING_PROFILES[profileId]) return;
+            this.custom[profileId] = {};
+            Object.entries(bindings).forEach(([action, codes]) => {
+                if (ACTIONS[action] && Array.isArray(codes)) {
+                    this.custom[profileId][action] = codes.filter(code => typeof code === 'string').slice(0, BINDING_SLOTS);
+                }
+            });
+        });
+    }
+
+    setProfile(profile) {
+        if (!BINDING_PROFILES[profile]) throw new Error(`Unknown binding profile: ${profile}`);
+        this.profile = profile;
+    }
+
+    getBindings(action) {
+        return this.custom[this.profile]?.[action] ?? BINDING_PROFILES[this.profile].bindings[action] ?? [];
+    }
+
+    // Every action bound to a key. Conflicting bindings trigger all of them.
+    getActions(code) {
+        return Object.keys(ACTIONS).filter(action => this.getBindings(action).includes(code));
+    }
+
+    // Bind a key to one of an action's slots, or clear the slot with null.
+    // Returns the other actions that already use the key.
+    setBinding(action, slot, code) {
+        if (!ACTIONS[action]) throw new Error(`Unknown action: ${action}`);
+
+        const codes = [...this.getBindings(action)];
+        if (code) {
+            codes[slot] = code;
+        } else {
+            codes.splice(slot, 1);
+        }
+
+        this.custom[this.profile] = {
+            ...this.custom[this.profile],
+            [action]: codes.filter((value, index) => value && codes.indexOf(value) === index)
+        };
+
+        return code ? this.getActions(code).filter(other => other !== action) : [];
+    }
+
+    // Keys bound to more than one action, as { code, actions }
+    getConflicts() {
+        const usage = new Map();
+        Object.keys(ACTIONS).forEach(action => {
+            this.getBindings(action).forEach(code => {
+                usage.set(code, [...(usage.get(code) || []), action]);
+            });
+        });
+        return Array.from(usage, ([code, actions]) => ({ code, actions }))
+            .filter(({ actions }) => actions.length > 1);
+    }
+
+    // Drop the player's changes to the current profile
+    resetProfile() {
+        delete this.custom[this.profile];
+    }
+
+    toJSON() {
+        return { profile: this.profile, custom: structuredClone(this.custom) };
+    }
+}
+
+export function loadInputMap(storage = localStorage) {
+    try {
+        const stored = JSON.parse(storage.getItem(INPUT_KEY));
+        if (stored && stored.version === INPUT_VERSION) {
+            return new InputMap(stored);
+        }
+    } catch {
+        // Unreadable bindings are replaced by the default profile
+    }
+    return new InputMap();
+}
+
+export function saveInputMap(inputMap, storage = localStorage) {
+    storage.setItem(INPUT_KEY, JSON.stringify({ version: INPUT_VERSION, ...inputMap.toJSON() }));
+}
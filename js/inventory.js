@@ -0,0 +1,146 @@
+// Item definitions and the player's inventory. The inventory holds plain
+// counts per item id; stack sizes decide how many slots those counts take.
+
+import { CROPS } from './crops.js';
+
+export const ITEM_CATEGORIES = [
+    { id: 'seeds', name: 'Seeds' },
+    { id: 'produce', name: 'Produce' },
+    { id: 'materials', name: 'Materials' },
+    { id: 'structures', name: 'Structures' },
+    { id: 'tools', name: 'Tools' }
+];
+
+// "spring", "spring and summer", "spring, summer and fall"
+const formatList = (words) =>
+    words.length > 1 ? `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}` : words.join('');
+
+// Seeds and produce for every crop in crops.js
+const cropItems = (makeItem) =>
+    Object.fromEntries(Object.entries(CROPS).map(([cropType, crop]) => makeItem(cropType, crop)));
+
+export const ITEMS = {
+    ...cropItems((cropType, crop) => [getSeedItemId(cropType), {
+        category: 'seeds',
+        name: `${crop.name} Seeds`,
+        icon: crop.icon,
+        stackSize: 99,
+        crop: cropType,
+        description: `${crop.seedDescription} Sow in ${formatList(crop.seasons)}.`
+    }]),
+    ...cropItems((cropType, crop) => [cropType, {
+        category: 'produce',
+        name: crop.name,
+        icon: crop.icon,
+        stackSize: crop.stackSize,
+        crop: cropType,
+        description: crop.description
+    }]),
+
+    // Materials
+    wood: { category: 'materials', name: 'Wood', icon: '🪵', stackSize: 50, description: 'Chopped from trees.' },
+    stone: { category: 'materials', name: 'Stone', icon: '🪨', stackSize: 50, description: 'Broken from rocks.' },
+    fertilizer: { category: 'materials', name: 'Fertilizer', icon: '🧪', stackSize: 50, fertilizer: 0.5, description: 'Spread on tilled soil to restore its nutrients.' },
+
+    // Structures, placed in the garden from the inventory
+    fence: { category: 'structures', name: 'Fence', icon: '🚧', stackSize: 50, structure: true, description: 'A wooden fence segment.' },
+    raised_bed: { category: 'structures', name: 'Raised Bed', icon: '🟫', stackSize: 10, structure: true, description: 'Ready-tilled soil that holds water twice as long.' },
+    scarecrow: { category: 'structures', name: 'Scarecrow', icon: '🧑‍🌾', stackSize: 5, structure: true, description: 'Keeps watch over the garden.' },
+    sprinkler: { category: 'structures', name: 'Sprinkler', icon: '⛲', stackSize: 10, structure: true, description: 'Keeps the soil around it watered.' },
+
+    // Tools. Higher power tools work faster or cover more ground.
+    axe: { category: 'tools', name: 'Axe', icon: '🪓', stackSize: 1, tool: 'axe', power: 1, description: 'Clears trees and rocks.' },
+    hoe: { category: 'tools', name: 'Hoe', icon: '⛏️', stackSize: 1, tool: 'hoe', power: 1, description: 'Tills grass into soil.' },
+    watering_can: { category: 'tools', name: 'Watering Can', icon: '💧', stackSize: 1, tool: 'water', power: 1, description: 'Waters tilled soil.' },
+    shovel: { category: 'tools', name: 'Shovel', icon: '🪏', stackSize: 1, tool: 'shovel', power: 1, description: 'Raises, lowers and levels the ground, or digs ponds.' },
+    sturdy_axe: { category: 'tools', name: 'Sturdy Axe', icon: '🪓', stackSize: 1, tool: 'axe', power: 2, description: 'Deals double damage to trees and rocks.' },
+    large_watering_can: { category: 'tools', name: 'Large Watering Can', icon: '🚿', stackSize: 1, tool: 'water', power: 2, description: 'Waters a 3×3 area.' }
+};
+
+export const DEFAULT_INVENTORY = {
+    corn_seeds: 5,
+    tomato_seeds: 5,
+    melon_seeds: 5,
+    strawberry_seeds: 5,
+    axe: 1,
+    hoe: 1,
+    watering_can: 1,
+    shovel: 1
+};
+
+export function getSeedItemId(cropType) {
+    return `${cropType}_seeds`;
+}
+
+export class Inventory {
+    constructor(counts = DEFAULT_INVENTORY, capacity = 24) {
+        this.capacity = capacity; // Number of slots
+        this.counts = {};
+        Object.entries(counts).forEach(([itemId, count]) => {
+            if (ITEMS[itemId] && count > 0) this.counts[itemId] = count;
+        });
+    }
+
+    getCount(itemId) {
+        return this.counts[itemId] || 0;
+    }
+
+    has(itemId, amount = 1) {
+        return this.getCount(itemId) >= amount;
+    }
+
+    getUsedSlots() {
+        return Object.entries(this.counts).reduce(
+            (slots, [itemId, count]) => slots + Math.ceil(count / ITEMS[itemId].stackSize), 0);
+    }
+
+    // How many more of an item fit, topping up its last stack and using free slots
+    getSpaceFor(itemId) {
+        const { stackSize } = ITEMS[itemId];
+        const count = this.getCount(itemId);
+        const partialSpace = count % stackSize === 0 ? 0 : stackSize - (count % stackSize);
+        const freeSlots = Math.max(0, this.capacity - this.getUsedSlots());
+        return partialSpace + freeSlots * stackSize;
+    }
+
+    // Adds as many as fit and returns how many were added
+    add(itemId, amount) {
+        if (!ITEMS[itemId]) throw new Error(`Unknown item: ${itemId}`);
+
+        const added = Math.min(amount, this.getSpaceFor(itemId));
+        if (added > 0) this.counts[itemId] = this.getCount(itemId) + added;
+        return added;
+    }
+
+    // Removes the full amount or nothing. Returns whether it was removed.
+    remove(itemId, amount = 1) {
+        if (!this.has(itemId, amount)) return false;
+
+        this.counts[itemId] -= amount;
+        if (this.counts[itemId] === 0) delete this.counts[itemId];
+        return true;
+    }
+
+    getItemsByCategory(category) {
+        return Object.keys(ITEMS)
+            .filter(itemId => ITEMS[itemId].category === category && this.getCount(itemId) > 0)
+            .map(itemId => ({ id: itemId, ...ITEMS[itemId], count: this.getCount(itemId) }));
+    }
+
+    toJSON() {
+        return { capacity: this.capacity, counts: { ...this.counts } };
+    }
+
+    static fromJSON(data) {
+        if (data && data.counts) {
+            return new Inventory(data.counts, data.capacity);
+        }
+
+        // Older saves stored seed counts keyed by crop, e.g. { corn: { count: 5, ... } }
+        const counts = { axe: 1, hoe: 1, watering_can: 1, shovel: 1 };
+        Object.entries(data || {}).forEach(([cropType, item]) => {
+            counts[getSeedItemId(cropType)] = item.count;
+        });
+        return new Inventory(counts);
+    }
+}
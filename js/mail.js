@@ -0,0 +1,211 @@
+// Letters delivered to the mailbox over game time, and the quests they carry.
+// The mail system only tracks state; the game grants attachments and rewards.
+
+import { WEEKDAYS, getWeekday } from './gameClock.js';
+
+// Letters in delivery order. `deliverAt` is a game day and hour. A quest's
+// deadline is either the next `weekday` on or after delivery or a number of
+// `days` after delivery; the quest fails once that day is over.
+// Objectives count `harvest`, `sell` or `craft` events for an item.
+export const LETTERS = [
+    {
+        id: 'welcome',
+        deliverAt: { day: 1, hour: 8 },
+        from: 'Grandma Rose',
+        subject: 'Welcome to the garden!',
+        body: 'The old cabin is yours now. Till the soil with the hoe, plant some seeds and keep them watered. Here are some carrot seeds from my own garden to get you started.',
+        attachments: { items: { carrot_seeds: 3 } }
+    },
+    {
+        id: 'first_harvest',
+        deliverAt: { day: 1, hour: 14 },
+        from: 'Mayor Hollis',
+        subject: 'A taste of the harvest',
+        body: 'Word is there is a new gardener in town! Bring in your first harvest and the town will make it worth your while.',
+        quest: {
+            title: 'Harvest 5 crops',
+            objectives: [{ event: 'harvest', count: 5 }],
+            deadline: { days: 3 },
+            reward: { coins: 60 }
+        }
+    },
+    {
+        id: 'tomato_order',
+        deliverAt: { day: 2, hour: 8 },
+        from: 'Luigi\'s Kitchen',
+        subject: 'Tomato order',
+        body: 'Our sauce needs fresh tomatoes. Deliver 10 tomatoes through the market by Friday and we will pay 200 coins on top.',
+        quest: {
+            title: 'Deliver 10 tomatoes',
+            objectives: [{ event: 'sell', item: 'tomato', count: 10 }],
+            deadline: { weekday: 'Friday' },
+            reward: { coins: 200 }
+        }
+    },
+    {
+        id: 'scarecrow',
+        deliverAt: { day: 3, hour: 9 },
+        from: 'Grandma Rose',
+        subject: 'Keep the crows away',
+        body: 'Every proper garden has a scarecrow. Build one and I will send you some of my prize pumpkin seeds.',
+        quest: {
+            title: 'Craft a scarecrow',
+            objectives: [{ event: 'craft', item: 'scarecrow', count: 1 }],
+            deadline: { days: 5 },
+            reward: { coins: 50, items: { pumpkin_seeds: 3 } }
+        }
+    },
+    {
+        id: 'lumber',
+        deliverAt: { day: 4, hour: 10 },
+        from: 'Hollow Creek Mill',
+        subject: 'Lumber wanted',
+        body: 'The mill is short on wood this week. Sell us 20 pieces within three days and there is a bonus in it for you.',
+        quest: {
+            title: 'Sell 20 wood',
+            objectives: [{ event: 'sell', item: 'wood', count: 20 }],
+            deadline: { days: 3 },
+            reward: { coins: 120 }
+        }
+    },
+    {
+        id: 'sprinkler_tip',
+        deliverAt: { day: 5, hour: 8 },
+        from: 'Grandma Rose',
+        subject: 'A gardener\'s secret',
+        body: 'Tired of watering? A sprinkler keeps the soil around it moist, and raised beds hold water twice as long. Both can be crafted from wood and stone.'
+    }
+];
+
+function resolveDeadline(deadline, day) {
+    if (deadline.weekday) {
+        const target = WEEKDAYS.indexOf(deadline.weekday);
+        const current = WEEKDAYS.indexOf(getWeekday(day));
+        return day + ((target - current + WEEKDAYS.length) % WEEKDAYS.length);
+    }
+    return day + deadline.days;
+}
+
+export class MailSystem {
+    constructor(state = {}) {
+        this.letters = structuredClone(state.letters || []); // Delivered letters, newest last
+        this.quests = structuredClone(state.quests || []);
+    }
+
+    // Deliver every letter that is due by the given game day and hour.
+    // Returns the newly delivered letters.
+    deliver(day, hour) {
+        const delivered = LETTERS.filter(template =>
+            !this.letters.some(letter => letter.id === template.id) &&
+            (template.deliverAt.day < day ||
+                (template.deliverAt.day === day && template.deliverAt.hour <= hour)));
+
+        delivered.forEach(template => {
+            const letter = {
+                id: template.id,
+                from: template.from,
+                subject: template.subject,
+                body: template.body,
+                day,
+                read: false,
+                attachments: template.attachments || null,
+                attachmentsClaimed: false,
+                questId: template.quest ? template.id : null
+            };
+            this.letters.push(letter);
+
+            if (template.quest) {
+                this.quests.push({
+                    id: template.id,
+                    title: template.quest.title,
+                    objectives: template.quest.objectives.map(objective => ({ ...objective, progress: 0 })),
+                    deadlineDay: resolveDeadline(template.quest.deadline, day),
+                    reward: template.quest.reward,
+                    status: 'offered'
+                });
+            }
+        });
+
+        return delivered;
+    }
+
+    // Add a letter that isn't part of the schedule, e.g. a thank-you note
+    send(letter, day) {
+        this.letters.push({
+            attachments: null,
+            attachmentsClaimed: false,
+            questId: null,
+            ...letter,
+            day,
+            read: false
+        });
+    }
+
+    getLetter(letterId) {
+        return this.letters.find(letter => letter.id === letterId);
+    }
+
+    getQuest(questId) {
+        return this.quests.find(quest => quest.id === questId);
+    }
+
+    getUnreadCount() {
+        return this.letters.filter(letter => !letter.read).length;
+    }
+
+    markRead(letterId) {
+        const letter = this.getLetter(letterId);
+        if (letter) letter.read = true;
+    }
+
+    // Returns the attachments the first time they are claimed, otherwise null
+    claimAttachments(letterId) {
+        const letter = this.getLetter(letterId);
+        if (!letter || !letter.attachments || letter.attachmentsClaimed) return null;
+
+        letter.attachmentsClaimed = true;
+        return letter.attachments;
+    }
+
+    acceptQuest(questId) {
+        const quest = this.getQuest(questId);
+        if (quest && quest.status === 'offered') quest.status = 'active';
+    }
+
+    // Count a harvest, sell or craft event towards active quests.
+    // Returns the quests this event completed.
+    recordEvent(event, item, count) {
+        const completed = [];
+
+        this.quests
+            .filter(quest => quest.status === 'active')
+            .forEach(quest => {
+                quest.objectives
+                    .filter(objective => objective.event === event && (!objective.item || objective.item === item))
+                    .forEach(objective => {
+                        objective.progress = Math.min(objective.count, objective.progress + count);
+                    });
+
+                if (quest.objectives.every(objective => objective.progress >= objective.count)) {
+                    quest.status = 'completed';
+                    completed.push(quest);
+                }
+            });
+
+        return completed;
+    }
+
+    // Fail quests whose deadline has passed. Returns the quests that failed.
+    expireQuests(day) {
+        const failed = this.quests.filter(quest =>
+            (quest.status === 'offered' || quest.status === 'active') && day > quest.deadlineDay);
+        failed.forEach(quest => {
+            quest.status = 'failed';
+        });
+        return failed;
+    }
+
+    toJSON() {
+        return structuredClone({ letters: this.letters, quests: this.quests });
+    }
+}
@@ -1,11 +1,102 @@
 import * as THREE from 'three';
 import { PointerLockControls } from 'three/addons/controls/PointerLockControls.js';
+import { CROPS } from './crops.js';
+import {
+    advanceGrowth,
+    applyFrost,
+    applySeason,
+    createSoil,
+    depleteSoil,
+    drySoil,
+    fertilizeSoil,
+    getGrowthStage,
+    isInSeason,
+    neglectSoil,
+    rollHarvest,
+    wetSoil
+} from './growth.js';
+import { DAYS_PER_SEASON, GameClock, MINUTES_PER_DAY, getWeekday } from './gameClock.js';
+import { SEASON_LOOKS, SNOW_COLOR, getSeasonColors, getSnow } from './seasons.js';
+import { getSkyState, lerpHex } from './dayNight.js';
+import {
+    OpenWeatherMapProvider,
+    OfflineWeatherProvider,
+    getGardenEffects,
+    getWeatherConditions,
+    getWeatherVisuals
+} from './weather.js';
+import { ITEMS, ITEM_CATEGORIES, Inventory, getSeedItemId } from './inventory.js';
+import { rollDrops } from './drops.js';
+import { RECIPES, craft, getMissingIngredients, validateRecipes } from './crafting.js';
+import { MailSystem } from './mail.js';
+import { ACTIONS, BINDING_PROFILES, BINDING_SLOTS, formatKeyCode, loadInputMap, saveInputMap } from './input.js';
+import { GamepadInput } from './gamepad.js';
+import { JOYSTICK_RADIUS, TOUCH_LOOK_SPEED, getJoystickVector } from './touch.js';
+import { PLAYER_RADIUS, boxCollider, circleCollider, moveCapsule, pushOut } from './collision.js';
+import { Heightfield, MAX_TILL_SLOPE, SHOVEL_MODES } from './terrain.js';
+import { createSeed, generateWorld } from './worldgen.js';
+import { createSnapshot, parseSnapshot } from './snapshot.js';
+import {
+    AUTOSAVE_INTERVAL,
+    cleanSaveMeta,
+    cleanSaveTimestamp,
+    deleteSave,
+    discardQuarantined,
+    duplicateSave,
+    formatPlayTime,
+    getAutosaveName,
+    getUniqueSaveName,
+    isAutosave,
+    loadSaves,
+    putSave,
+    renameSave
+} from './saves.js';
+import { exportSaveFile, getSaveFileName, readSaveFile } from './saveFiles.js';
+import { formatBytes, getStorageEstimate, openSaveStore } from './storage.js';
+import { SETTING_DEFINITIONS, getDefaultSettings, loadSettings, normalizeSettings, saveSettings } from './settings.js';
+import {
+    MARKET_PRICES,
+    STARTING_COINS,
+    canBuy,
+    canSell,
+    createMarketState,
+    getBuyPrice,
+    getSaleValue,
+    getSellPrice,
+    recordSale,
+    recoverDemand
+} from './market.js';
 
 class GardenGame {
-    constructor() {
+    // options.weatherProvider replaces the OpenWeatherMap provider, e.g. with
+    // a FixtureWeatherProvider in tests
+    constructor(options = {}) {
+        // Player preferences, applied live by applySettings()
+        this.settings = loadSettings();
+
+        // Key bindings, and the keyboard's printed key labels where the
+        // browser can tell us them
+        this.inputMap = loadInputMap();
+        this.keyboardLayout = null;
+        navigator.keyboard?.getLayoutMap?.()
+            .then(layoutMap => {
+                this.keyboardLayout = layoutMap;
+            })
+            .catch(() => {});
+        this.rebinding = false; // True while the remapping screen waits for a key
+
+        // Controller input, polled every frame
+        this.gamepad = new GamepadInput();
+        this.analogMove = { x: 0, y: 0 }; // Left stick, y is forward
+        this.gamepadSprint = false;
+
+        // On-screen controls, switched on when the screen is first touched
+        this.touchControls = false;
+        this.touchMove = { x: 0, y: 0 }; // Virtual joystick, y is forward
+
         this.scene = new THREE.Scene();
-        this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-        this.renderer = new THREE.WebGLRenderer({ antialias: true });
+        this.camera = new THREE.PerspectiveCamera(this.settings.fieldOfView, window.innerWidth / window.innerHeight, 0.1, 1000);
+        this.renderer = this.createRenderer();
         
         // Movement state
         this.moveForward = false;
@@ -22,12 +113,37 @@ class GardenGame {
         this.selectedTool = 'Axe';
         this.groundSize = 100;
         this.tileSize = 1;
+        this.eyeHeight = 1.7; // Average human height in meters
+        this.cabinPosition = { x: 8, z: 8 };
+        this.cabin = null;
+        this.mailbox = null;
+
+        // The world is generated from a seed. Adding ?seed= to the address
+        // opens a shared world; otherwise a new seed is picked.
+        this.world = null;
+        this.terrain = null; // Ground heights, one vertex per meter
+        this.terrainMesh = null;
+        this.baseTerrainHeights = null; // Heights before the player dug anything, for saving edits
+        this.decorations = []; // Flowers, grass and mushrooms; digging clears them
+        this.createWorld(new URLSearchParams(window.location.search).get('seed') || createSeed());
+        this.ponds = new Map(); // Water in dug ponds by grid key
+        this.shovelModes = SHOVEL_MODES;
+        this.shovelMode = 'raise';
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
 
         // Interactable objects
         this.interactables = new Map();
 
+        // Colliders for things that never move, like the cabin. Trees and
+        // rocks get theirs from this.obstacles as they can be cleared.
+        this.staticColliders = [];
+
+        // Items lying in the world, and running one-off animations. Each
+        // animation is a function of deltaTime that returns true when done.
+        this.pickups = [];
+        this.animations = [];
+
         // Jump physics
         this.canJump = true;
         this.isJumping = false;
@@ -37,18 +153,27 @@ class GardenGame {
         this.initialJumpVelocity = Math.sqrt(2 * this.gravity * this.jumpHeight);
 
         // Inventory system
-        this.inventory = {
-            corn: { count: 5, icon: '🌽', name: 'Corn Seeds' },
-            tomato: { count: 5, icon: '🍅', name: 'Tomato Seeds' },
-            melon: { count: 5, icon: '🍈', name: 'Melon Seeds' },
-            strawberry: { count: 5, icon: '🍓', name: 'Strawberry Seeds' }
-        };
+        this.inventory = new Inventory();
+        this.inventoryCategory = 'seeds'; // Tab shown in the inventory screen
+
+        // Economy
+        this.coins = STARTING_COINS;
+        this.market = createMarketState();
+
+        // Letters and quests delivered to the mailbox
+        this.mail = new MailSystem();
         this.inventoryVisible = false;
+        this.craftingVisible = false; // Crafting view inside the inventory screen
         this.mailboxVisible = false;
 
         // Game state
         this.isPlaying = false;
-        this.savedGames = JSON.parse(localStorage.getItem('gardenGameSaves') || '{}');
+        this.saveStore = null;
+        this.savedGames = {};
+        this.savesReady = this.openSaves(); // Resolves once saves have been read
+        this.playTime = 0; // Real seconds spent playing, kept in saves
+        this.timeSinceAutosave = 0; // Real seconds played since the last autosave
+        this.compressExports = false; // Gzip exported save files
 
         // Cursor highlight
         this.cursorHighlight = null;
@@ -56,19 +181,27 @@ class GardenGame {
 
         // Plant system
         this.plants = new Map(); // Store plants and their states
-        this.selectedSeed = null;
-        this.wateringCount = new Map(); // Track watering for each plant
-        this.tilledSoil = new Map(); // Track tilled soil locations
+        this.selectedSeed = null; // Item id of the selected seeds, e.g. 'corn_seeds'
+        this.selectedStructure = null; // Item id of the structure being placed
+        this.selectedFertilizer = null; // Item id of the fertilizer being spread
+        this.structures = new Map(); // Placed structures by grid key
+        this.tilledSoil = new Map(); // Tilled soil tiles with their moisture, nutrients and history
         this.seedTooltip = null; // Add tooltip reference
 
         // Add weather system
         this.weatherWidget = null;
         this.weatherData = null;
+        this.weatherConditions = null; // Simplified conditions that drive the garden
+        this.weatherProvider = options.weatherProvider ||
+            new OpenWeatherMapProvider('8e61cd2673f2a7d72856bdeedad1d5d8');
         this.lastWeatherUpdate = 0;
         this.weatherUpdateInterval = 1800000; // 30 minutes in milliseconds
 
-        // Add temperature unit preference
-        this.temperatureUnit = localStorage.getItem('temperatureUnit') || 'F';
+        // Day/night cycle
+        this.dayLength = 1200; // Real seconds per game day
+        this.gameClock = new GameClock({ dayLength: this.dayLength, startHour: 8 });
+        this.seasonColors = null; // { ground, leaves } as shown, including snow
+        this.snow = { cover: 0, falling: 0 };
 
         // Particle systems
         this.particles = {
@@ -81,28 +214,49 @@ class GardenGame {
         this.setupControls();
         this.setupUI();
         this.setupInventoryUI();
-        this.createObstacles();
+        this.setupTouchControls();
+
+        const recipeErrors = validateRecipes();
+        if (recipeErrors.length > 0) {
+            console.warn('Invalid crafting recipes:', recipeErrors);
+        }
+
         this.createCursorHighlight();
         this.createLogCabin();
+        this.applySettings();
         this.animate();
     }
 
+    // Antialiasing can only be chosen when the WebGL context is created, so
+    // changing it means replacing the renderer
+    createRenderer() {
+        const renderer = new THREE.WebGLRenderer({ antialias: this.settings.antialiasing });
+        renderer.setSize(window.innerWidth, window.innerHeight);
+        renderer.shadowMap.enabled = true;
+        renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        renderer.outputColorSpace = THREE.SRGBColorSpace;
+        // Touch look listens on the document and checks for whichever canvas
+        // is current, so a replacement canvas only needs to stop the browser
+        // scrolling and zooming
+        if (this.touchControls) {
+            renderer.domElement.style.touchAction = 'none';
+        }
+        return renderer;
+    }
+
     init() {
         // Setup renderer
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.shadowMap.enabled = true;
-        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-        this.renderer.outputColorSpace = THREE.SRGBColorSpace;
         document.body.appendChild(this.renderer.domElement);
 
         // Setup camera initial position
-        this.camera.position.set(0, 1.7, 0); // Average human height in meters
+        this.camera.position.set(0, this.terrain.getHeightAt(0, 0) + this.eyeHeight, 0);
         
         // Add sky
         const skyColor = new THREE.Color(0x87CEEB);
         const groundColor = new THREE.Color(0x558833);
         const hemisphereLight = new THREE.HemisphereLight(skyColor, groundColor, 1);
         this.scene.add(hemisphereLight);
+        this.hemisphereLight = hemisphereLight;
         
         // Create a more realistic sky gradient
         const verticalFogColor = new THREE.Color(0x87CEEB);
@@ -116,6 +270,12 @@ class GardenGame {
             this.renderer.setSize(window.innerWidth, window.innerHeight);
         });
 
+        // Autosave when the player leaves the page or switches away from it
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.autosave();
+        });
+        window.addEventListener('pagehide', () => this.autosave());
+
         // Setup weather widget
         this.setupWeatherWidget();
         this.updateWeather();
@@ -145,16 +305,26 @@ class GardenGame {
         blocker.innerHTML = '<div style="padding: 20px; background-color: rgba(0,0,0,0.8); border-radius: 10px;">Click to play</div>';
         document.body.appendChild(blocker);
 
+        // Show the world seed so players can share it
+        blocker.style.flexDirection = 'column';
+        const worldSeed = document.createElement('div');
+        worldSeed.id = 'world-seed';
+        worldSeed.style.marginTop = '10px';
+        worldSeed.style.fontSize = '14px';
+        worldSeed.style.opacity = '0.7';
+        blocker.appendChild(worldSeed);
+        this.updateWorldSeedDisplay();
+
         blocker.addEventListener('click', () => {
-            if (!this.inventoryVisible && !this.mailboxVisible) {
+            if (this.inventoryVisible || this.mailboxVisible) return;
+            if (this.touchControls) {
+                this.startPlaying();
+            } else {
                 this.controls.lock();
             }
         });
 
-        this.controls.addEventListener('lock', () => {
-            blocker.style.display = 'none';
-            this.isPlaying = true;
-        });
+        this.controls.addEventListener('lock', () => this.startPlaying());
 
         this.controls.addEventListener('unlock', () => {
             if (!this.inventoryVisible && !this.mailboxVisible) {
@@ -163,158 +333,259 @@ class GardenGame {
             }
         });
 
-        // Handle clicking for all interactions
-        const handleClick = () => {
-            if (!this.isPlaying || this.inventoryVisible || this.mailboxVisible) return; // Early return if inventory or mailbox is open
+        // Handle clicking for all interactions. Touch controls have their own
+        // use button, so taps while looking around don't use the tool.
+        document.addEventListener('click', () => {
+            if (!this.touchControls) this.useTool();
+        });
 
-            // Check for mailbox interaction first
-            const raycaster = new THREE.Raycaster();
-            raycaster.setFromCamera(new THREE.Vector2(), this.camera);
-            
-            // Check interactables first
-            for (const [_, interactable] of this.interactables) {
-                const intersects = raycaster.intersectObject(interactable, true);
-                if (intersects.length > 0 && intersects[0].distance <= 5) {
-                    let object = intersects[0].object;
-                    while (object.parent && !object.userData.interactable) {
-                        object = object.parent;
-                    }
-                    if (object.userData.interactable) {
-                        object.userData.action();
-                        return;
-                    }
+        // Setup movement controls
+        const onKeyDown = (event) => {
+            if (this.rebinding) return;
+            this.inputMap.getActions(event.code).forEach(action => {
+                if (ACTIONS[action].hold) {
+                    this.setHeldAction(action, true);
+                } else if (!event.repeat) {
+                    this.triggerAction(action);
                 }
-            }
+            });
+        };
+
+        const onKeyUp = (event) => {
+            this.inputMap.getActions(event.code)
+                .filter(action => ACTIONS[action].hold)
+                .forEach(action => this.setHeldAction(action, false));
+        };
 
-            const gridPosition = this.getGridPosition();
-            if (!gridPosition) return;
+        document.addEventListener('keydown', onKeyDown);
+        document.addEventListener('keyup', onKeyUp);
+    }
 
-            const key = `${gridPosition.x},${gridPosition.z}`;
-            
-            // Handle planting if a seed is selected
-            if (this.selectedSeed && this.tilledSoil.has(key) && !this.plants.has(key)) {
-                this.plantSeed(key, gridPosition);
-                return; // Return after planting to prevent other actions
-            }
+    // Touch devices play without pointer lock
+    lockPointer() {
+        if (this.touchControls) return;
+        this.controls.lock();
+        document.body.style.cursor = 'none';
+    }
 
-            switch (this.selectedTool) {
-                case 'hoe':
-                    this.tillSoil(key, gridPosition);
-                    break;
-                case 'water':
-                    this.waterPlant(key);
-                    break;
-                case 'axe':
-                    // Handle obstacle interaction
-                    const obstacleIntersects = raycaster.intersectObjects(this.obstacles, true);
-                    if (obstacleIntersects.length > 0) {
-                        let obstacle = obstacleIntersects[0].object;
-                        while (obstacle.parent && !obstacle.userData.type) {
-                            obstacle = obstacle.parent;
-                        }
-                        if (obstacle.userData.type) {
-                            this.damageObstacle(obstacle);
-                        }
-                    }
-                    break;
-            }
+    // Pointer lock needs a mouse click, so a controller or touch screen
+    // starts the game without it
+    startPlaying() {
+        document.getElementById('blocker').style.display = 'none';
+        this.isPlaying = true;
+    }
 
-            // Handle harvesting
-            if (this.plants.has(key) && this.plants.get(key).isHarvestable) {
-                this.harvestPlant(key);
+    // Use the selected tool, seeds or structure on whatever is under the
+    // crosshair. Called for mouse clicks and the gamepad triggers.
+    useTool() {
+        if (!this.isPlaying || this.inventoryVisible || this.mailboxVisible) return; // Early return if inventory or mailbox is open
+
+        // Check for mailbox interaction first
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(new THREE.Vector2(), this.camera);
+        
+        // Check interactables first
+        for (const [_, interactable] of this.interactables) {
+            const intersects = raycaster.intersectObject(interactable, true);
+            if (intersects.length > 0 && intersects[0].distance <= 5) {
+                let object = intersects[0].object;
+                while (object.parent && !object.userData.interactable) {
+                    object = object.parent;
+                }
+                if (object.userData.interactable) {
+                    object.userData.action();
+                    return;
+                }
             }
-        };
+        }
 
-        document.addEventListener('click', handleClick);
+        const gridPosition = this.getGridPosition();
+        if (!gridPosition) return;
 
-        // Setup movement controls
-        const onKeyDown = (event) => {
-            switch (event.code) {
-                case 'ArrowUp':
-                case 'KeyW':
-                    this.moveForward = true;
-                    break;
-                case 'ArrowDown':
-                case 'KeyS':
-                    this.moveBackward = true;
-                    break;
-                case 'ArrowLeft':
-                case 'KeyA':
-                    this.moveLeft = true;
-                    break;
-                case 'ArrowRight':
-                case 'KeyD':
-                    this.moveRight = true;
-                    break;
-                case 'ShiftLeft':
-                    this.sprint = true;
-                    break;
-                case 'Space':
-                    if (this.canJump) {
-                        this.jumpVelocity = this.initialJumpVelocity;
-                        this.canJump = false;
-                        this.isJumping = true;
+        const key = `${gridPosition.x},${gridPosition.z}`;
+
+        // Place a structure if one is selected
+        if (this.selectedStructure) {
+            this.placeStructure(key, gridPosition);
+            return;
+        }
+        
+        // Handle planting if a seed is selected
+        if (this.selectedSeed && this.tilledSoil.has(key) && !this.plants.has(key)) {
+            this.plantSeed(key, gridPosition);
+            return; // Return after planting to prevent other actions
+        }
+
+        // Spread fertilizer on tilled soil, planted or not
+        if (this.selectedFertilizer && this.tilledSoil.has(key)) {
+            this.spreadFertilizer(key);
+            return;
+        }
+
+        switch (this.selectedTool) {
+            case 'hoe':
+                if (this.canTill(key, gridPosition)) {
+                    this.tillSoil(key, gridPosition);
+                }
+                break;
+            case 'water':
+                this.waterSoil(key);
+                break;
+            case 'shovel':
+                this.useShovel(key, gridPosition);
+                break;
+            case 'axe':
+                // Handle obstacle interaction
+                const obstacleIntersects = raycaster.intersectObjects(this.obstacles, true);
+                if (obstacleIntersects.length > 0) {
+                    let obstacle = obstacleIntersects[0].object;
+                    while (obstacle.parent && !obstacle.userData.type) {
+                        obstacle = obstacle.parent;
                     }
-                    break;
-                case 'Digit1':
-                    document.querySelectorAll('#toolbar div')[0]?.click();
-                    break;
-                case 'Digit2':
-                    document.querySelectorAll('#toolbar div')[1]?.click();
-                    break;
-                case 'Digit3':
-                    document.querySelectorAll('#toolbar div')[2]?.click();
-                    break;
-                case 'KeyI':
-                    this.toggleInventory();
-                    break;
-                case 'Escape':
-                    if (this.inventoryVisible) {
-                        this.toggleInventory();
+                    if (obstacle.userData.type) {
+                        this.damageObstacle(obstacle);
                     }
-                    break;
-            }
-        };
+                }
+                break;
+        }
 
-        const onKeyUp = (event) => {
-            switch (event.code) {
-                case 'ArrowUp':
-                case 'KeyW':
-                    this.moveForward = false;
-                    break;
-                case 'ArrowDown':
-                case 'KeyS':
-                    this.moveBackward = false;
-                    break;
-                case 'ArrowLeft':
-                case 'KeyA':
-                    this.moveLeft = false;
-                    break;
-                case 'ArrowRight':
-                case 'KeyD':
-                    this.moveRight = false;
-                    break;
-                case 'ShiftLeft':
-                    this.sprint = false;
-                    break;
-            }
-        };
+        // Handle harvesting
+        if (this.plants.has(key) && this.plants.get(key).isHarvestable) {
+            this.harvestPlant(key);
+        }
+    }
 
-        document.addEventListener('keydown', onKeyDown);
-        document.addEventListener('keyup', onKeyUp);
+    setHeldAction(action, held) {
+        switch (action) {
+            case 'moveForward':
+                this.moveForward = held;
+                break;
+            case 'moveBackward':
+                this.moveBackward = held;
+                break;
+            case 'moveLeft':
+                this.moveLeft = held;
+                break;
+            case 'moveRight':
+                this.moveRight = held;
+                break;
+            case 'sprint':
+                this.sprint = held;
+                break;
+        }
+    }
+
+    cycleTool() {
+        const tools = Array.from(document.querySelectorAll('#toolbar div'));
+        const current = tools.findIndex(tool => tool.dataset.toolType === this.selectedTool);
+        tools[(current + 1) % tools.length]?.click();
+    }
+
+    // Step through the seeds in the inventory, then back to no seeds
+    cycleSeed() {
+        const choices = [...this.inventory.getItemsByCategory('seeds').map(item => item.id), null];
+        const current = choices.indexOf(this.selectedSeed);
+        this.selectedSeed = choices[(current + 1) % choices.length];
+        this.selectedStructure = null;
+        this.selectedFertilizer = null;
+        this.updateInventoryDisplay();
+        this.updateSeedTooltip();
+    }
+
+    cycleShovelMode() {
+        const modes = Object.keys(this.shovelModes);
+        this.shovelMode = modes[(modes.indexOf(this.shovelMode) + 1) % modes.length];
+        this.updateSeedTooltip();
+    }
+
+    // Turn the camera the way PointerLockControls does for mouse movement
+    lookAround(yaw, pitch) {
+        const euler = new THREE.Euler(0, 0, 0, 'YXZ').setFromQuaternion(this.camera.quaternion);
+        euler.y -= yaw;
+        euler.x = Math.max(-Math.PI / 2 + 0.01, Math.min(Math.PI / 2 - 0.01, euler.x - pitch));
+        this.camera.quaternion.setFromEuler(euler);
+    }
+
+    updateGamepad(deltaTime) {
+        const input = this.gamepad.poll();
+        if (!input) {
+            this.analogMove = { x: 0, y: 0 };
+            this.gamepadSprint = false;
+            return;
+        }
+
+        const menuOpen = this.inventoryVisible || this.mailboxVisible;
+        if (!this.isPlaying) {
+            // Any button starts the game, like clicking the blocker
+            if (!menuOpen && input.actions.length > 0) this.startPlaying();
+            return;
+        }
+
+        this.analogMove = menuOpen ? { x: 0, y: 0 } : input.move;
+        this.gamepadSprint = input.sprint;
+        if (!menuOpen) {
+            const lookSpeed = 2.5 * deltaTime; // Radians per second at full tilt
+            this.lookAround(input.look.x * lookSpeed, input.look.y * lookSpeed);
+        }
+
+        input.actions.forEach(action => this.triggerAction(action));
+    }
+
+    triggerAction(action) {
+        switch (action) {
+            case 'jump':
+                if (this.canJump) {
+                    this.jumpVelocity = this.initialJumpVelocity;
+                    this.canJump = false;
+                    this.isJumping = true;
+                }
+                break;
+            case 'toggleInventory':
+                this.toggleInventory();
+                break;
+            case 'closeMenu':
+                if (this.inventoryVisible) {
+                    this.toggleInventory();
+                } else if (this.mailboxVisible) {
+                    this.closeMailboxMenu();
+                }
+                break;
+            case 'openMailbox':
+                if (!this.inventoryVisible && !this.mailboxVisible) {
+                    this.openMailboxMenu();
+                }
+                break;
+            case 'useTool':
+                this.useTool();
+                break;
+            case 'nextTool':
+                this.cycleTool();
+                break;
+            case 'nextSeed':
+                this.cycleSeed();
+                break;
+            case 'shovelMode':
+                this.cycleShovelMode();
+                break;
+            default:
+                if (ACTIONS[action].toolIndex !== undefined) {
+                    document.querySelectorAll('#toolbar div')[ACTIONS[action].toolIndex]?.click();
+                }
+        }
     }
 
     setupScene() {
         // Add ambient light
         const ambientLight = new THREE.AmbientLight(0xffffff, 0.2);
         this.scene.add(ambientLight);
+        this.ambientLight = ambientLight;
 
         // Add directional light (sun)
         const directionalLight = new THREE.DirectionalLight(0xffffff, 1.5);
         directionalLight.position.set(50, 50, 0);
         directionalLight.castShadow = true;
-        directionalLight.shadow.mapSize.width = 2048;
-        directionalLight.shadow.mapSize.height = 2048;
+        directionalLight.shadow.mapSize.width = this.settings.shadowQuality;
+        directionalLight.shadow.mapSize.height = this.settings.shadowQuality;
         directionalLight.shadow.camera.near = 0.5;
         directionalLight.shadow.camera.far = 500;
         directionalLight.shadow.camera.left = -100;
@@ -322,63 +593,59 @@ class GardenGame {
         directionalLight.shadow.camera.top = 100;
         directionalLight.shadow.camera.bottom = -100;
         this.scene.add(directionalLight);
+        this.sunLight = directionalLight;
 
-        // Add ground plane
+        // Add the ground, shaped by the terrain heightfield
         const groundSize = this.groundSize;
-        const groundSegments = 100;
-        const groundGeometry = new THREE.PlaneGeometry(groundSize, groundSize);
+        const groundSegments = this.terrain.segments;
+        const groundGeometry = new THREE.PlaneGeometry(groundSize, groundSize, groundSegments, groundSegments);
         const groundMaterial = new THREE.MeshStandardMaterial({ 
             color: 0x558833,
-            roughness: 0.8,
-            metalness: 0.1,
+            roughness: 1,
+            metalness: 0,
             side: THREE.DoubleSide
         });
 
-        // Create ground mesh
         const ground = new THREE.Mesh(groundGeometry, groundMaterial);
         ground.rotation.x = -Math.PI / 2;
         ground.receiveShadow = true;
         this.scene.add(ground);
+        this.terrainMesh = ground;
+        this.updateTerrainMesh();
 
-        // Add textured ground overlay for more detail
-        const detailGroundGeometry = new THREE.PlaneGeometry(groundSize, groundSize, groundSegments, groundSegments);
-        const detailGroundMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x558833,
-            roughness: 1,
-            metalness: 0,
-            side: THREE.DoubleSide
-        });
-
-        const detailGround = new THREE.Mesh(detailGroundGeometry, detailGroundMaterial);
-        detailGround.rotation.x = -Math.PI / 2;
-        detailGround.position.y = 0.01;
-        detailGround.receiveShadow = true;
+        // Trees, rocks and decorations from the world seed
+        this.populateWorld();
 
-        // Add subtle ground variation
-        const vertices = detailGroundGeometry.attributes.position.array;
-        for (let i = 0; i <= groundSegments; i++) {
-            for (let j = 0; j <= groundSegments; j++) {
-                const index = (i * (groundSegments + 1) + j) * 3 + 1;
-                vertices[index] = (Math.cos(i * 0.3) * Math.sin(j * 0.3) * 0.2) +
-                                (Math.sin(i * 0.7) * Math.cos(j * 0.7) * 0.1);
-            }
-        }
-        
-        detailGroundGeometry.computeVertexNormals();
-        this.scene.add(detailGround);
+        // Add ambient particles after setting up the scene
+        this.setupAmbientParticles();
+        this.setupPrecipitation();
+    }
 
-        // Add grid helper
-        const gridHelper = new THREE.GridHelper(groundSize, groundSize, 0x000000, 0x000000);
-        gridHelper.material.opacity = 0.2;
-        gridHelper.material.transparent = true;
-        gridHelper.position.y = 0.02;
-        this.scene.add(gridHelper);
+    // Copy the heightfield into the ground mesh after it changes
+    updateTerrainMesh() {
+        const geometry = this.terrainMesh.geometry;
+        const positions = geometry.attributes.position;
 
-        // Create and place obstacles
-        this.createObstacles();
+        // PlaneGeometry lists its vertices in the same order as the
+        // heightfield; rotated flat, its local z is the height
+        for (let index = 0; index < positions.count; index++) {
+            positions.setZ(index, this.terrain.heights[index]);
+        }
+        positions.needsUpdate = true;
+        geometry.computeVertexNormals();
+        geometry.computeBoundingSphere();
+    }
 
-        // Add ambient particles after setting up the scene
-        this.setupAmbientParticles();
+    // Drape a flat, ground-facing PlaneGeometry at (x, z) over the terrain
+    conformToTerrain(geometry, x, z, offset) {
+        const positions = geometry.attributes.position;
+        for (let index = 0; index < positions.count; index++) {
+            // Rotated flat, the plane's local y runs along world -z
+            const height = this.terrain.getHeightAt(x + positions.getX(index), z - positions.getY(index));
+            positions.setZ(index, height + offset);
+        }
+        positions.needsUpdate = true;
+        geometry.computeVertexNormals();
     }
 
     setupAmbientParticles() {
@@ -515,63 +782,207 @@ class GardenGame {
         });
     }
 
-    createTree(x, z) {
-        // Create tree trunk
-        const trunkGeometry = new THREE.CylinderGeometry(0.2, 0.3, 2, 8);
-        const trunkMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 });
-        const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
-        trunk.position.set(x, 1, z);
-        trunk.castShadow = true;
-        trunk.receiveShadow = true;
+    setupPrecipitation() {
+        // Precipitation fills a box that follows the player around
+        const area = 40;
+        const height = 20;
+
+        // Rain streaks, two vertices per drop
+        const rainCount = 1500;
+        const rainPositions = new Float32Array(rainCount * 6);
+        for (let i = 0; i < rainCount; i++) {
+            const x = (Math.random() - 0.5) * area;
+            const y = Math.random() * height;
+            const z = (Math.random() - 0.5) * area;
+            rainPositions.set([x, y, z, x, y + 0.4, z], i * 6);
+        }
+        const rainGeometry = new THREE.BufferGeometry();
+        rainGeometry.setAttribute('position', new THREE.BufferAttribute(rainPositions, 3));
+        const rain = new THREE.LineSegments(rainGeometry, new THREE.LineBasicMaterial({
+            color: 0xAACCFF,
+            transparent: true,
+            opacity: 0.5
+        }));
+        rain.frustumCulled = false;
+        rain.visible = false;
+        this.scene.add(rain);
+
+        // Snowflakes
+        const snowCount = 1000;
+        const snowPositions = new Float32Array(snowCount * 3);
+        for (let i = 0; i < snowCount; i++) {
+            snowPositions[i * 3] = (Math.random() - 0.5) * area;
+            snowPositions[i * 3 + 1] = Math.random() * height;
+            snowPositions[i * 3 + 2] = (Math.random() - 0.5) * area;
+        }
+        const snowGeometry = new THREE.BufferGeometry();
+        snowGeometry.setAttribute('position', new THREE.BufferAttribute(snowPositions, 3));
+        const snow = new THREE.Points(snowGeometry, new THREE.PointsMaterial({
+            color: 0xFFFFFF,
+            size: 0.1,
+            transparent: true,
+            opacity: 0.9
+        }));
+        snow.frustumCulled = false;
+        snow.visible = false;
+        this.scene.add(snow);
+
+        this.precipitation = {
+            area,
+            height,
+            rain,
+            snow,
+            puddleGeometry: new THREE.CircleGeometry(0.35, 16),
+            puddles: new Map() // Puddles on tilled soil, keyed like tilledSoil
+        };
+    }
 
-        // Create tree top (leaves)
-        const leavesGeometry = new THREE.ConeGeometry(1, 2, 8);
-        const leavesMaterial = new THREE.MeshStandardMaterial({ color: 0x2D5A27 });
-        const leaves = new THREE.Mesh(leavesGeometry, leavesMaterial);
-        leaves.position.set(0, 1.5, 0);
-        leaves.castShadow = true;
-        trunk.add(leaves);
+    updatePrecipitation(deltaTime) {
+        // Read the same weather state as the widget so the two always agree
+        const weatherVisuals = this.weatherConditions ?
+            getWeatherVisuals(this.weatherConditions) :
+            { rain: 0, snow: 0, wind: 0, windX: 0, windZ: 0 };
+        // Winter's first snow falls whatever the weather outside
+        const visuals = { ...weatherVisuals, snow: Math.max(weatherVisuals.snow, this.snow.falling) };
+        const { area, height, rain, snow } = this.precipitation;
+        const halfArea = area / 2;
+        const driftX = visuals.windX * visuals.wind * 4;
+        const driftZ = visuals.windZ * visuals.wind * 4;
+
+        const wrap = (value) => {
+            if (value > halfArea) return value - area;
+            if (value < -halfArea) return value + area;
+            return value;
+        };
+
+        rain.position.set(this.camera.position.x, 0, this.camera.position.z);
+        snow.position.copy(rain.position);
+
+        rain.visible = visuals.rain > 0;
+        if (rain.visible) {
+            const positions = rain.geometry.attributes.position.array;
+            const count = Math.floor((positions.length / 6) * visuals.rain * this.settings.particleDensity);
+            rain.geometry.setDrawRange(0, count * 2);
+
+            for (let i = 0; i < count; i++) {
+                const index = i * 6;
+                let x = wrap(positions[index] + driftX * deltaTime);
+                let y = positions[index + 1] - 15 * deltaTime;
+                let z = wrap(positions[index + 2] + driftZ * deltaTime);
+                if (y < 0) {
+                    y += height;
+                    x = (Math.random() - 0.5) * area;
+                    z = (Math.random() - 0.5) * area;
+                }
+                // Streaks trail behind the drop, slanted by the wind
+                positions.set([x, y, z, x - driftX * 0.05, y + 0.4, z - driftZ * 0.05], index);
+            }
+            rain.geometry.attributes.position.needsUpdate = true;
+        }
+
+        snow.visible = visuals.snow > 0;
+        if (snow.visible) {
+            const positions = snow.geometry.attributes.position.array;
+            const count = Math.floor((positions.length / 3) * visuals.snow * this.settings.particleDensity);
+            snow.geometry.setDrawRange(0, count);
+            const time = performance.now() / 1000;
+
+            for (let i = 0; i < count; i++) {
+                const index = i * 3;
+                // Flakes drift with the wind and flutter as they fall
+                positions[index] = wrap(positions[index] + (driftX + Math.sin(time + i) * 0.3) * deltaTime);
+                positions[index + 1] -= 1.2 * deltaTime;
+                positions[index + 2] = wrap(positions[index + 2] + (driftZ + Math.cos(time + i) * 0.3) * deltaTime);
+                if (positions[index + 1] < 0) {
+                    positions[index + 1] += height;
+                }
+            }
+            snow.geometry.attributes.position.needsUpdate = true;
+        }
 
-        trunk.userData = { type: 'tree' };
-        return trunk;
+        this.updatePuddles(deltaTime, visuals.rain);
+        this.updateWindSway(visuals);
     }
 
-    createRock(x, z) {
-        // Create rock
-        const rockGeometry = new THREE.DodecahedronGeometry(0.5);
-        const rockMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x808080,
-            roughness: 0.8,
-            metalness: 0.2
+    updatePuddles(deltaTime, rainIntensity) {
+        const { puddles, puddleGeometry } = this.precipitation;
+
+        this.tilledSoil.forEach((tile, key) => {
+            // Puddles form while it rains on soaked soil and slowly soak away afterwards
+            const target = rainIntensity > 0 && tile.moisture > 0.8 ? rainIntensity : 0;
+            let puddle = puddles.get(key);
+            if (!puddle) {
+                if (target === 0) return;
+
+                const mesh = new THREE.Mesh(puddleGeometry, new THREE.MeshStandardMaterial({
+                    color: 0x4A6A8A,
+                    roughness: 0.1,
+                    metalness: 0.3,
+                    transparent: true,
+                    opacity: 0
+                }));
+                mesh.rotation.x = -Math.PI / 2;
+                mesh.position.copy(tile.mesh.position);
+                mesh.position.y = this.terrain.getHeightAt(mesh.position.x, mesh.position.z) + 0.03;
+                this.scene.add(mesh);
+                puddle = { mesh, level: 0 };
+                puddles.set(key, puddle);
+            }
+
+            const rate = target > puddle.level ? 0.2 : 0.05;
+            puddle.level += (target - puddle.level) * Math.min(1, deltaTime * rate);
+            const scale = 0.3 + puddle.level * 0.7;
+            puddle.mesh.scale.set(scale, scale, 1);
+            puddle.mesh.material.opacity = puddle.level * 0.6;
+
+            if (target === 0 && puddle.level < 0.01) {
+                this.removePuddle(key);
+            }
         });
-        const rock = new THREE.Mesh(rockGeometry, rockMaterial);
-        rock.position.set(x, 0.5, z);
-        rock.rotation.set(
-            Math.random() * Math.PI,
-            Math.random() * Math.PI,
-            Math.random() * Math.PI
-        );
-        rock.castShadow = true;
-        rock.receiveShadow = true;
-        rock.userData = { type: 'rock' };
-        return rock;
+
+        // Drop puddles on soil that no longer exists
+        puddles.forEach((puddle, key) => {
+            if (!this.tilledSoil.has(key)) {
+                this.removePuddle(key);
+            }
+        });
+    }
+
+    removePuddle(key) {
+        const { puddles } = this.precipitation;
+        const puddle = puddles.get(key);
+        if (!puddle) return;
+
+        // Every puddle has its own material; the geometry is shared by all
+        // of them and kept
+        this.scene.remove(puddle.mesh);
+        puddle.mesh.material.dispose();
+        puddles.delete(key);
     }
 
-    createObstacles() {
-        const totalTiles = (this.groundSize / this.tileSize) * (this.groundSize / this.tileSize);
-        const obstacleCount = Math.floor(totalTiles * 0.02); // 2% of tiles
-        const halfGroundSize = this.groundSize / 2;
+    updateWindSway(visuals) {
+        const time = performance.now() / 1000;
 
-        for (let i = 0; i < obstacleCount; i++) {
-            // Random position within ground bounds
-            const x = (Math.random() * this.groundSize) - halfGroundSize;
-            const z = (Math.random() * this.groundSize) - halfGroundSize;
+        // Tree tops lean downwind and flutter
+        this.obstacles.forEach((obstacle, index) => {
+            if (obstacle.userData.type !== 'tree') return;
 
-            // Create either a tree or rock
-            const obstacle = Math.random() < 0.7 ? this.createTree(x, z) : this.createRock(x, z);
-            this.obstacles.push(obstacle);
-            this.scene.add(obstacle);
-        }
+            const leaves = obstacle.children[1];
+            if (!leaves.userData.basePosition) {
+                leaves.userData.basePosition = leaves.position.clone();
+            }
+            const base = leaves.userData.basePosition;
+            const offset = (0.15 + Math.sin(time * 2 + index) * 0.1) * visuals.wind;
+            leaves.position.set(base.x + visuals.windX * offset, base.y, base.z + visuals.windZ * offset);
+        });
+
+        // Crops bend from their base
+        this.plants.forEach(plant => {
+            const phase = plant.mesh.position.x + plant.mesh.position.z;
+            const lean = (0.05 + Math.sin(time * 3 + phase) * 0.05) * visuals.wind;
+            plant.mesh.rotation.x = visuals.windZ * lean;
+            plant.mesh.rotation.z = -visuals.windX * lean;
+        });
     }
 
     setupUI() {
@@ -593,7 +1004,8 @@ class GardenGame {
         const tools = [
             { name: 'Axe', icon: '🪓', type: 'axe' },
             { name: 'Hoe', icon: '⛏️', type: 'hoe' },
-            { name: 'Water', icon: '💧', type: 'water' }
+            { name: 'Water', icon: '💧', type: 'water' },
+            { name: 'Shovel', icon: '🪏', type: 'shovel' }
         ];
 
         tools.forEach((tool, index) => {
@@ -621,6 +1033,11 @@ class GardenGame {
             }
 
             toolElement.addEventListener('click', () => {
+                // Picking the shovel again switches what it does
+                if (tool.type === 'shovel' && this.selectedTool === 'shovel') {
+                    this.cycleShovelMode();
+                }
+
                 // Remove highlight from all tools
                 toolbar.querySelectorAll('div').forEach(el => {
                     el.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
@@ -630,6 +1047,11 @@ class GardenGame {
                 toolElement.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
                 toolElement.style.border = '2px solid rgba(255, 255, 255, 0.5)';
                 this.selectedTool = tool.type;
+
+                // Picking up a tool puts away any structure or fertilizer
+                this.selectedStructure = null;
+                this.selectedFertilizer = null;
+                this.updateSeedTooltip();
             });
 
             toolbar.appendChild(toolElement);
@@ -674,6 +1096,220 @@ class GardenGame {
         seedTooltip.style.fontFamily = 'Arial, sans-serif';
         document.body.appendChild(seedTooltip);
         this.seedTooltip = seedTooltip;
+
+        // Create coin display
+        const coinDisplay = document.createElement('div');
+        coinDisplay.id = 'coin-display';
+        coinDisplay.style.position = 'fixed';
+        coinDisplay.style.top = '20px';
+        coinDisplay.style.right = '20px';
+        coinDisplay.style.backgroundColor = 'rgba(0, 0, 0, 0.75)';
+        coinDisplay.style.color = '#FFD700';
+        coinDisplay.style.padding = '10px 15px';
+        coinDisplay.style.borderRadius = '10px';
+        coinDisplay.style.fontSize = '20px';
+        coinDisplay.style.fontWeight = 'bold';
+        coinDisplay.style.zIndex = '1000';
+        coinDisplay.style.fontFamily = 'Arial, sans-serif';
+        document.body.appendChild(coinDisplay);
+        this.updateCoinDisplay();
+
+        // Create new mail indicator below the coins
+        const mailIndicator = document.createElement('div');
+        mailIndicator.id = 'mail-indicator';
+        mailIndicator.style.position = 'fixed';
+        mailIndicator.style.top = '70px';
+        mailIndicator.style.right = '20px';
+        mailIndicator.style.backgroundColor = 'rgba(0, 0, 0, 0.75)';
+        mailIndicator.style.color = 'white';
+        mailIndicator.style.padding = '8px 12px';
+        mailIndicator.style.borderRadius = '10px';
+        mailIndicator.style.fontSize = '14px';
+        mailIndicator.style.display = 'none';
+        mailIndicator.style.zIndex = '1000';
+        mailIndicator.style.fontFamily = 'Arial, sans-serif';
+        document.body.appendChild(mailIndicator);
+
+        // Shown when an autosave couldn't be stored, e.g. with storage full
+        const storageWarning = document.createElement('div');
+        storageWarning.id = 'storage-warning';
+        storageWarning.style.position = 'fixed';
+        storageWarning.style.top = '115px';
+        storageWarning.style.right = '20px';
+        storageWarning.style.maxWidth = '300px';
+        storageWarning.style.backgroundColor = 'rgba(120, 0, 0, 0.8)';
+        storageWarning.style.color = 'white';
+        storageWarning.style.padding = '8px 12px';
+        storageWarning.style.borderRadius = '10px';
+        storageWarning.style.fontSize = '14px';
+        storageWarning.style.display = 'none';
+        storageWarning.style.zIndex = '1000';
+        storageWarning.style.fontFamily = 'Arial, sans-serif';
+        document.body.appendChild(storageWarning);
+    }
+
+    setupTouchControls() {
+        const container = document.createElement('div');
+        container.id = 'touch-controls';
+        container.style.display = 'none';
+        container.style.touchAction = 'none';
+        container.style.userSelect = 'none';
+        document.body.appendChild(container);
+
+        // Virtual joystick in the bottom left corner
+        const joystick = document.createElement('div');
+        joystick.style.position = 'fixed';
+        joystick.style.left = '30px';
+        joystick.style.bottom = '30px';
+        joystick.style.width = `${JOYSTICK_RADIUS * 2 + 40}px`;
+        joystick.style.height = `${JOYSTICK_RADIUS * 2 + 40}px`;
+        joystick.style.borderRadius = '50%';
+        joystick.style.backgroundColor = 'rgba(255, 255, 255, 0.15)';
+        joystick.style.border = '2px solid rgba(255, 255, 255, 0.3)';
+        joystick.style.zIndex = '1000';
+        joystick.style.touchAction = 'none';
+
+        const knob = document.createElement('div');
+        knob.style.position = 'absolute';
+        knob.style.left = '50%';
+        knob.style.top = '50%';
+        knob.style.width = '60px';
+        knob.style.height = '60px';
+        knob.style.marginLeft = '-30px';
+        knob.style.marginTop = '-30px';
+        knob.style.borderRadius = '50%';
+        knob.style.backgroundColor = 'rgba(255, 255, 255, 0.5)';
+        knob.style.pointerEvents = 'none';
+        joystick.appendChild(knob);
+        container.appendChild(joystick);
+
+        let joystickPointer = null;
+        const moveKnob = (event) => {
+            const rect = joystick.getBoundingClientRect();
+            this.touchMove = getJoystickVector(
+                rect.left + rect.width / 2,
+                rect.top + rect.height / 2,
+                event.clientX,
+                event.clientY
+            );
+            knob.style.transform =
+                `translate(${this.touchMove.x * JOYSTICK_RADIUS}px, ${-this.touchMove.y * JOYSTICK_RADIUS}px)`;
+        };
+        const releaseKnob = (event) => {
+            if (event.pointerId !== joystickPointer) return;
+            joystickPointer = null;
+            this.touchMove = { x: 0, y: 0 };
+            knob.style.transform = '';
+        };
+
+        joystick.addEventListener('pointerdown', (event) => {
+            joystickPointer = event.pointerId;
+            joystick.setPointerCapture(event.pointerId);
+            moveKnob(event);
+        });
+        joystick.addEventListener('pointermove', (event) => {
+            if (event.pointerId === joystickPointer) moveKnob(event);
+        });
+        joystick.addEventListener('pointerup', releaseKnob);
+        joystick.addEventListener('pointercancel', releaseKnob);
+
+        // Action buttons in the bottom right corner
+        const buttons = [
+            { icon: '✋', label: 'Use', size: 90, right: 30, bottom: 30, action: () => this.useTool() },
+            { icon: '⤒', label: 'Jump', size: 64, right: 140, bottom: 40, action: () => this.triggerAction('jump') },
+            { icon: '🎒', label: 'Inventory', size: 64, right: 40, bottom: 140, action: () => this.toggleInventory() }
+        ];
+        buttons.forEach(({ icon, label, size, right, bottom, action }) => {
+            const button = document.createElement('div');
+            button.textContent = icon;
+            button.title = label;
+            button.style.position = 'fixed';
+            button.style.right = `${right}px`;
+            button.style.bottom = `${bottom}px`;
+            button.style.width = `${size}px`;
+            button.style.height = `${size}px`;
+            button.style.borderRadius = '50%';
+            button.style.display = 'flex';
+            button.style.justifyContent = 'center';
+            button.style.alignItems = 'center';
+            button.style.fontSize = `${size / 2.5}px`;
+            button.style.color = 'white';
+            button.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
+            button.style.border = '2px solid rgba(255, 255, 255, 0.4)';
+            button.style.zIndex = '1000';
+            button.style.touchAction = 'none';
+            button.addEventListener('pointerdown', (event) => {
+                event.preventDefault();
+                action();
+            });
+            container.appendChild(button);
+        });
+
+        // Drag anywhere on the 3D view to look around
+        let lookPointer = null;
+        let lastX = 0;
+        let lastY = 0;
+        document.addEventListener('pointerdown', (event) => {
+            if (!this.touchControls || event.target !== this.renderer.domElement || lookPointer !== null) return;
+            lookPointer = event.pointerId;
+            lastX = event.clientX;
+            lastY = event.clientY;
+        });
+        document.addEventListener('pointermove', (event) => {
+            if (event.pointerId !== lookPointer) return;
+            if (this.isPlaying && !this.inventoryVisible && !this.mailboxVisible) {
+                const speed = TOUCH_LOOK_SPEED * this.settings.mouseSensitivity;
+                this.lookAround((event.clientX - lastX) * speed, (event.clientY - lastY) * speed);
+            }
+            lastX = event.clientX;
+            lastY = event.clientY;
+        });
+        const releaseLook = (event) => {
+            if (event.pointerId === lookPointer) lookPointer = null;
+        };
+        document.addEventListener('pointerup', releaseLook);
+        document.addEventListener('pointercancel', releaseLook);
+
+        // Switch to touch controls the first time the screen is touched
+        const detectTouch = (event) => {
+            if (event.pointerType !== 'touch') return;
+            window.removeEventListener('pointerdown', detectTouch, true);
+            this.enableTouchControls();
+        };
+        window.addEventListener('pointerdown', detectTouch, true);
+    }
+
+    enableTouchControls() {
+        this.touchControls = true;
+        this.renderer.domElement.style.touchAction = 'none';
+        document.getElementById('touch-controls').style.display = 'block';
+
+        // Touch devices play without pointer lock
+        const blocker = document.getElementById('blocker');
+        blocker.firstElementChild.textContent = 'Tap to play';
+
+        // Make the toolbar easier to hit with a finger
+        document.querySelectorAll('#toolbar div').forEach(tool => {
+            tool.style.width = '70px';
+            tool.style.height = '70px';
+            tool.style.fontSize = '34px';
+        });
+    }
+
+    updateCoinDisplay() {
+        const coinDisplay = document.getElementById('coin-display');
+        if (coinDisplay) {
+            coinDisplay.textContent = `🪙 ${this.coins}`;
+        }
+    }
+
+    updateMailIndicator() {
+        const mailIndicator = document.getElementById('mail-indicator');
+        if (!mailIndicator) return;
+
+        const unread = this.mail.getUnreadCount();
+        mailIndicator.textContent = `✉️ ${unread} new ${unread === 1 ? 'letter' : 'letters'} in the mailbox`;
+        mailIndicator.style.display = unread > 0 ? 'block' : 'none';
     }
 
     setupInventoryUI() {
@@ -703,71 +1339,56 @@ class GardenGame {
         title.textContent = 'Inventory';
         inventory.appendChild(title);
 
+        // Create category tabs
+        const tabs = document.createElement('div');
+        tabs.id = 'inventory-tabs';
+        tabs.style.display = 'flex';
+        tabs.style.gap = '5px';
+
+        ITEM_CATEGORIES.forEach(category => {
+            const tab = document.createElement('button');
+            tab.textContent = category.name;
+            tab.dataset.category = category.id;
+            tab.style.flex = '1';
+            tab.style.padding = '8px';
+            tab.style.border = 'none';
+            tab.style.borderRadius = '5px';
+            tab.style.color = 'white';
+            tab.style.cursor = 'pointer';
+            tab.style.transition = 'all 0.2s';
+
+            tab.addEventListener('click', () => {
+                this.inventoryCategory = category.id;
+                this.updateInventoryDisplay();
+            });
+
+            tabs.appendChild(tab);
+        });
+
+        inventory.appendChild(tabs);
+
         // Create grid container for items
         const grid = document.createElement('div');
+        grid.id = 'inventory-grid';
         grid.style.display = 'grid';
         grid.style.gridTemplateColumns = 'repeat(2, 1fr)';
         grid.style.gap = '10px';
         grid.style.marginTop = '10px';
+        grid.style.minHeight = '120px';
+        grid.style.alignContent = 'start';
+        inventory.appendChild(grid);
 
-        // Add items to grid
-        Object.entries(this.inventory).forEach(([itemId, item]) => {
-            const itemElement = document.createElement('div');
-            itemElement.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
-            itemElement.style.padding = '10px';
-            itemElement.style.borderRadius = '5px';
-            itemElement.style.display = 'flex';
-            itemElement.style.alignItems = 'center';
-            itemElement.style.gap = '10px';
-            itemElement.style.cursor = 'pointer';
-            itemElement.style.transition = 'all 0.2s';
-
-            const icon = document.createElement('span');
-            icon.style.fontSize = '24px';
-            icon.textContent = item.icon;
-
-            const details = document.createElement('div');
-            details.style.flex = '1';
+        // Crafting panel, shown in place of the item grid
+        inventory.appendChild(this.setupCraftingUI());
 
-            const name = document.createElement('div');
-            name.textContent = item.name;
-            name.style.fontSize = '14px';
-
-            const count = document.createElement('div');
-            count.textContent = `Quantity: ${item.count}`;
-            count.style.fontSize = '12px';
-            count.style.opacity = '0.7';
-            count.dataset.itemId = itemId;
-
-            details.appendChild(name);
-            details.appendChild(count);
-
-            itemElement.appendChild(icon);
-            itemElement.appendChild(details);
-
-            // Add click handler for seed selection
-            itemElement.addEventListener('click', () => {
-                this.selectedSeed = itemId;
-                // Update visual feedback
-                grid.querySelectorAll('div').forEach(el => {
-                    el.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
-                });
-                itemElement.style.backgroundColor = 'rgba(255, 255, 255, 0.3)';
-            });
-
-            // Hover effect
-            itemElement.addEventListener('mouseenter', () => {
-                itemElement.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
-            });
-            itemElement.addEventListener('mouseleave', () => {
-                itemElement.style.backgroundColor = this.selectedSeed === itemId ? 
-                    'rgba(255, 255, 255, 0.3)' : 'rgba(255, 255, 255, 0.1)';
-            });
-
-            grid.appendChild(itemElement);
-        });
-
-        inventory.appendChild(grid);
+        // Slot usage
+        const slots = document.createElement('div');
+        slots.id = 'inventory-slots';
+        slots.style.marginTop = '10px';
+        slots.style.fontSize = '12px';
+        slots.style.opacity = '0.7';
+        slots.style.textAlign = 'right';
+        inventory.appendChild(slots);
 
         // Add close button
         const closeButton = document.createElement('button');
@@ -790,9 +1411,131 @@ class GardenGame {
         });
 
         closeButton.addEventListener('click', () => this.toggleInventory());
+
+        // Switch between the items and crafting views
+        const craftingButton = document.createElement('button');
+        craftingButton.id = 'crafting-toggle';
+        craftingButton.textContent = 'Crafting';
+        craftingButton.style.marginTop = '20px';
+        craftingButton.style.padding = '8px 16px';
+        craftingButton.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
+        craftingButton.style.border = 'none';
+        craftingButton.style.borderRadius = '5px';
+        craftingButton.style.color = 'white';
+        craftingButton.style.cursor = 'pointer';
+        craftingButton.style.width = '100%';
+        craftingButton.addEventListener('click', () => {
+            this.craftingVisible = !this.craftingVisible;
+            this.updateInventoryDisplay();
+        });
+
+        inventory.appendChild(craftingButton);
         inventory.appendChild(closeButton);
 
         document.body.appendChild(inventory);
+        this.updateInventoryDisplay();
+    }
+
+    setupCraftingUI() {
+        const panel = document.createElement('div');
+        panel.id = 'crafting-panel';
+        panel.style.display = 'none';
+        panel.style.flexDirection = 'column';
+        panel.style.gap = '10px';
+        panel.style.marginTop = '10px';
+        panel.style.maxHeight = '50vh';
+        panel.style.overflowY = 'auto';
+
+        const message = document.createElement('div');
+        message.id = 'crafting-message';
+        message.style.fontSize = '12px';
+        message.style.color = '#ff6b6b';
+        message.style.minHeight = '14px';
+        panel.appendChild(message);
+
+        const list = document.createElement('div');
+        list.id = 'crafting-list';
+        list.style.display = 'flex';
+        list.style.flexDirection = 'column';
+        list.style.gap = '10px';
+        panel.appendChild(list);
+
+        return panel;
+    }
+
+    updateCraftingDisplay() {
+        const list = document.getElementById('crafting-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        RECIPES.forEach(recipe => {
+            const output = ITEMS[recipe.output.item];
+            const missing = getMissingIngredients(recipe, this.inventory).map(m => m.item);
+
+            const row = document.createElement('div');
+            row.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+            row.style.padding = '10px';
+            row.style.borderRadius = '5px';
+            row.style.display = 'flex';
+            row.style.alignItems = 'center';
+            row.style.gap = '10px';
+            row.title = output.description;
+
+            const icon = document.createElement('span');
+            icon.style.fontSize = '24px';
+            icon.textContent = output.icon;
+
+            const details = document.createElement('div');
+            details.style.flex = '1';
+
+            const name = document.createElement('div');
+            name.textContent = recipe.output.count > 1 ? `${recipe.name} ×${recipe.output.count}` : recipe.name;
+            name.style.fontSize = '14px';
+
+            const ingredients = document.createElement('div');
+            ingredients.style.fontSize = '12px';
+            Object.entries(recipe.ingredients).forEach(([itemId, count]) => {
+                const ingredient = document.createElement('span');
+                ingredient.textContent = `${ITEMS[itemId].icon} ${this.inventory.getCount(itemId)}/${count} `;
+                ingredient.style.color = missing.includes(itemId) ? '#ff6b6b' : 'rgba(255, 255, 255, 0.7)';
+                ingredient.style.marginRight = '6px';
+                ingredient.title = ITEMS[itemId].name;
+                ingredients.appendChild(ingredient);
+            });
+
+            details.appendChild(name);
+            details.appendChild(ingredients);
+
+            const craftButton = document.createElement('button');
+            craftButton.textContent = 'Craft';
+            craftButton.disabled = missing.length > 0;
+            craftButton.style.padding = '6px 12px';
+            craftButton.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
+            craftButton.style.border = 'none';
+            craftButton.style.borderRadius = '5px';
+            craftButton.style.color = 'white';
+            craftButton.style.cursor = craftButton.disabled ? 'default' : 'pointer';
+            craftButton.style.opacity = craftButton.disabled ? '0.4' : '1';
+            craftButton.addEventListener('click', () => this.craftRecipe(recipe));
+
+            row.appendChild(icon);
+            row.appendChild(details);
+            row.appendChild(craftButton);
+            list.appendChild(row);
+        });
+    }
+
+    craftRecipe(recipe) {
+        const message = document.getElementById('crafting-message');
+        try {
+            this.inventory = craft(recipe, this.inventory);
+            if (message) message.textContent = '';
+            this.recordQuestEvent('craft', recipe.output.item, recipe.output.count);
+        } catch (error) {
+            if (message) message.textContent = error.message;
+        }
+        this.updateInventoryDisplay();
+        this.updateSeedTooltip();
     }
 
     toggleInventory() {
@@ -809,26 +1552,134 @@ class GardenGame {
         } else {
             // Hide inventory and return to game
             inventory.style.display = 'none';
-            document.body.style.cursor = 'none';
             if (this.isPlaying) {
-                this.controls.lock();
+                this.lockPointer();
             }
             this.updateSeedTooltip(); // Update tooltip when closing inventory
         }
     }
 
     updateInventoryDisplay() {
-        Object.entries(this.inventory).forEach(([itemId, item]) => {
-            const countElement = document.querySelector(`[data-item-id="${itemId}"]`);
-            if (countElement) {
-                countElement.textContent = `Quantity: ${item.count}`;
-            }
+        const grid = document.getElementById('inventory-grid');
+        if (!grid) return;
+
+        // Show either the items or the crafting panel
+        const tabs = document.getElementById('inventory-tabs');
+        const craftingPanel = document.getElementById('crafting-panel');
+        const craftingToggle = document.getElementById('crafting-toggle');
+        tabs.style.display = this.craftingVisible ? 'none' : 'flex';
+        grid.style.display = this.craftingVisible ? 'none' : 'grid';
+        craftingPanel.style.display = this.craftingVisible ? 'flex' : 'none';
+        craftingToggle.textContent = this.craftingVisible ? 'Back to Items' : 'Crafting';
+        if (this.craftingVisible) {
+            this.updateCraftingDisplay();
+        }
+
+        // Highlight the active tab
+        document.querySelectorAll('#inventory-tabs button').forEach(tab => {
+            tab.style.backgroundColor = tab.dataset.category === this.inventoryCategory ?
+                'rgba(255, 255, 255, 0.3)' : 'rgba(255, 255, 255, 0.1)';
+        });
+
+        grid.innerHTML = '';
+        const items = this.inventory.getItemsByCategory(this.inventoryCategory);
+
+        if (items.length === 0) {
+            const empty = document.createElement('div');
+            empty.textContent = 'Nothing here yet';
+            empty.style.gridColumn = '1 / -1';
+            empty.style.textAlign = 'center';
+            empty.style.opacity = '0.5';
+            empty.style.padding = '20px';
+            grid.appendChild(empty);
+        }
+
+        items.forEach(item => {
+            const isSelected = () => [this.selectedSeed, this.selectedStructure, this.selectedFertilizer].includes(item.id);
+
+            const itemElement = document.createElement('div');
+            itemElement.style.backgroundColor = isSelected() ? 'rgba(255, 255, 255, 0.3)' : 'rgba(255, 255, 255, 0.1)';
+            itemElement.style.padding = '10px';
+            itemElement.style.borderRadius = '5px';
+            itemElement.style.display = 'flex';
+            itemElement.style.alignItems = 'center';
+            itemElement.style.gap = '10px';
+            itemElement.style.cursor = 'pointer';
+            itemElement.style.transition = 'all 0.2s';
+            itemElement.title = item.description;
+
+            const icon = document.createElement('span');
+            icon.style.fontSize = '24px';
+            icon.textContent = item.icon;
+
+            const details = document.createElement('div');
+            details.style.flex = '1';
+
+            const name = document.createElement('div');
+            name.textContent = item.name;
+            name.style.fontSize = '14px';
+
+            const count = document.createElement('div');
+            const stacks = Math.ceil(item.count / item.stackSize);
+            count.textContent = stacks > 1 ?
+                `Quantity: ${item.count} (${stacks} stacks)` :
+                `Quantity: ${item.count}`;
+            count.style.fontSize = '12px';
+            count.style.opacity = '0.7';
+            count.dataset.itemId = item.id;
+
+            details.appendChild(name);
+            details.appendChild(count);
+
+            itemElement.appendChild(icon);
+            itemElement.appendChild(details);
+
+            itemElement.addEventListener('click', () => {
+                if (item.category === 'seeds') {
+                    // Select seeds for planting
+                    this.selectedSeed = item.id;
+                    this.selectedStructure = null;
+                    this.selectedFertilizer = null;
+                    this.updateInventoryDisplay();
+                } else if (item.structure) {
+                    // Select a structure to place
+                    this.selectedStructure = item.id;
+                    this.selectedSeed = null;
+                    this.selectedFertilizer = null;
+                    this.updateInventoryDisplay();
+                } else if (item.fertilizer) {
+                    // Select fertilizer to spread on tilled soil
+                    this.selectedFertilizer = item.id;
+                    this.selectedSeed = null;
+                    this.selectedStructure = null;
+                    this.updateInventoryDisplay();
+                } else if (item.tool) {
+                    // Equip the matching toolbar tool
+                    document.querySelector(`#toolbar [data-tool-type="${item.tool}"]`)?.click();
+                }
+            });
+
+            // Hover effect
+            itemElement.addEventListener('mouseenter', () => {
+                itemElement.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
+            });
+            itemElement.addEventListener('mouseleave', () => {
+                itemElement.style.backgroundColor = isSelected() ?
+                    'rgba(255, 255, 255, 0.3)' : 'rgba(255, 255, 255, 0.1)';
+            });
+
+            grid.appendChild(itemElement);
         });
+
+        const slots = document.getElementById('inventory-slots');
+        if (slots) {
+            slots.textContent = `Slots: ${this.inventory.getUsedSlots()}/${this.inventory.capacity}`;
+        }
     }
 
     updateMovement() {
-        // Only update movement if playing and not in inventory
-        if (!this.controls.isLocked || this.inventoryVisible) return;
+        // Only update movement if playing and no menu is open
+        if (!this.isPlaying || this.inventoryVisible || this.mailboxVisible) return;
 
         const time = performance.now();
         const delta = (time - this.prevTime) / 1000;
@@ -837,64 +1688,223 @@ class GardenGame {
         this.velocity.x -= this.velocity.x * 10.0 * delta;
         this.velocity.z -= this.velocity.z * 10.0 * delta;
 
-        this.direction.z = Number(this.moveForward) - Number(this.moveBackward);
-        this.direction.x = Number(this.moveRight) - Number(this.moveLeft);
-        this.direction.normalize();
+        // Keys move at full speed, a gamepad stick or the touch joystick
+        // anywhere up to it
+        this.direction.z = Number(this.moveForward) - Number(this.moveBackward) + this.analogMove.y + this.touchMove.y;
+        this.direction.x = Number(this.moveRight) - Number(this.moveLeft) + this.analogMove.x + this.touchMove.x;
+        if (this.direction.length() > 1) this.direction.normalize();
 
-        const walkingSpeed = 2.0;
-        const currentSpeed = this.sprint ? walkingSpeed * 3 : walkingSpeed;
+        const walkingSpeed = 2.0 * this.settings.movementSpeed;
+        const currentSpeed = this.sprint || this.gamepadSprint ? walkingSpeed * 3 : walkingSpeed;
 
-        if (this.moveForward || this.moveBackward) {
-            this.velocity.z -= this.direction.z * currentSpeed * delta * 20;
-        }
-        if (this.moveLeft || this.moveRight) {
-            this.velocity.x -= this.direction.x * currentSpeed * delta * 20;
-        }
+        this.velocity.z -= this.direction.z * currentSpeed * delta * 20;
+        this.velocity.x -= this.direction.x * currentSpeed * delta * 20;
 
         // Update vertical movement (jumping)
         if (this.isJumping) {
             this.jumpVelocity -= this.gravity * delta;
             this.camera.position.y += this.jumpVelocity * delta;
-
-            // Check if we've landed
-            if (this.camera.position.y <= 1.7) {
-                this.camera.position.y = 1.7;
-                this.isJumping = false;
-                this.canJump = true;
-                this.jumpVelocity = 0;
-            }
         }
 
-        this.controls.moveRight(-this.velocity.x * delta);
-        this.controls.moveForward(-this.velocity.z * delta);
+        // Work out the move the way PointerLockControls.moveRight/moveForward
+        // would, then slide it along anything in the way
+        const right = new THREE.Vector3().setFromMatrixColumn(this.camera.matrix, 0);
+        const forward = new THREE.Vector3().crossVectors(this.camera.up, right);
+        const movement = right.multiplyScalar(-this.velocity.x * delta)
+            .addScaledVector(forward, -this.velocity.z * delta);
+
+        const halfGround = this.groundSize / 2;
+        const position = moveCapsule(
+            this.camera.position,
+            movement,
+            {
+                radius: PLAYER_RADIUS,
+                bottom: this.camera.position.y - this.eyeHeight,
+                top: this.camera.position.y + 0.1
+            },
+            this.getColliders(),
+            { minX: -halfGround, minZ: -halfGround, maxX: halfGround, maxZ: halfGround }
+        );
+        this.camera.position.x = position.x;
+        this.camera.position.z = position.z;
+
+        // Walk over the ground, or land on it at the end of a jump
+        const eyeLevel = this.terrain.getHeightAt(position.x, position.z) + this.eyeHeight;
+        if (!this.isJumping || this.camera.position.y <= eyeLevel) {
+            this.camera.position.y = eyeLevel;
+            this.isJumping = false;
+            this.canJump = true;
+            this.jumpVelocity = 0;
+        }
 
         this.prevTime = time;
     }
 
+    getColliders() {
+        const obstacleColliders = this.obstacles.map(obstacle => {
+            const { x, y, z } = obstacle.position;
+            return obstacle.userData.type === 'tree' ?
+                circleCollider(x, z, 0.3, y + 3.5, y) : // Trunk
+                circleCollider(x, z, 0.8 * obstacle.scale.x, y + 0.8, y - 0.4); // Rocks shrink as they're broken
+        });
+        return obstacleColliders.concat(this.staticColliders);
+    }
+
+    updateDayNight() {
+        const sky = getSkyState(this.gameClock.hour);
+
+        // Move the sun (or moon at night) across the sky
+        this.sunLight.position.set(
+            sky.sunDirection.x * 100,
+            sky.sunDirection.y * 100,
+            sky.sunDirection.z * 100
+        );
+        this.sunLight.color.setHex(sky.sunColor);
+        this.sunLight.intensity = sky.sunIntensity;
+
+        // Clouds dim the sun
+        if (this.weatherConditions) {
+            this.sunLight.intensity *= getGardenEffects(this.weatherConditions).sunlight;
+        }
+        this.ambientLight.intensity = sky.ambientIntensity;
+        this.hemisphereLight.intensity = sky.hemisphereIntensity;
+
+        this.scene.background.setHex(sky.skyColor);
+        this.scene.fog.color.setHex(sky.skyColor);
+        this.scene.fog.density = sky.fogDensity * this.settings.fogDensity;
+    }
+
+    // Color the ground and trees for the time of year, with any snow on
+    // top, and keep the season shown in the HUD
+    updateSeason() {
+        const totalMinutes = this.gameClock.totalMinutes;
+        this.snow = getSnow(totalMinutes, this.world.seed);
+        const colors = getSeasonColors(totalMinutes);
+        const ground = lerpHex(colors.ground, SNOW_COLOR, this.snow.cover * 0.9);
+        const leaves = lerpHex(colors.leaves, SNOW_COLOR, this.snow.cover * 0.6);
+
+        if (ground !== this.seasonColors?.ground || leaves !== this.seasonColors?.leaves) {
+            this.seasonColors = { ground, leaves };
+            this.terrainMesh.material.color.setHex(ground);
+            this.obstacles
+                .filter(obstacle => obstacle.userData.type === 'tree')
+                .forEach(tree => this.showObstacleDamage(tree));
+        }
+
+        const display = document.getElementById('season-display');
+        if (display) {
+            const { season, dayOfSeason, year } = this.gameClock.getTime();
+            const look = SEASON_LOOKS[season];
+            const text = `${look.icon} ${look.name}, day ${dayOfSeason} of ${DAYS_PER_SEASON}, year ${year}`;
+            if (display.textContent !== text) display.textContent = text;
+        }
+    }
+
     animate() {
         requestAnimationFrame(() => this.animate());
         const deltaTime = (performance.now() - this.prevTime) / 1000;
+        this.updateGamepad(Math.min(deltaTime, 0.1));
         this.updateMovement();
         this.updateCursorHighlight();
         this.updateParticles(deltaTime);
+        this.updatePrecipitation(deltaTime);
+        this.updateAnimations(Math.min(deltaTime, 0.1));
+        this.updatePickups();
+
+        // Game time only passes while playing. Clamp the step so returning to
+        // a background tab doesn't skip hours at once.
+        const gameMinutes = this.isPlaying ? this.gameClock.update(Math.min(deltaTime, 1)) : 0;
+        if (this.isPlaying) {
+            this.playTime += Math.min(deltaTime, 1);
+            this.timeSinceAutosave += Math.min(deltaTime, 1);
+            if (this.timeSinceAutosave >= AUTOSAVE_INTERVAL) this.autosave();
+        }
+        this.updateDayNight();
+        this.updateSeason();
+        this.updatePlants(gameMinutes / 60);
+        if (gameMinutes > 0) {
+            this.market = recoverDemand(this.market, gameMinutes / MINUTES_PER_DAY);
+            this.updateMail();
+        }
         this.renderer.render(this.scene, this.camera);
         this.prevTime = performance.now();
     }
 
-    createObstacles() {
-        // Create trees
-        for (let i = 0; i < 10; i++) {
-            const x = (Math.random() - 0.5) * 80;
-            const z = (Math.random() - 0.5) * 80;
-            this.createTree(x, z);
-        }
+    // Generate the world for a seed and shape the ground from it. The cabin
+    // and the player's starting point are kept clear.
+    createWorld(seed) {
+        const { x: cabinX, z: cabinZ } = this.cabinPosition;
+        this.world = generateWorld({
+            seed,
+            size: this.groundSize,
+            clearings: [
+                { x: cabinX, z: cabinZ, radius: 7 },
+                { x: 0, z: 0, radius: 3 }
+            ]
+        });
 
-        // Create rocks
-        for (let i = 0; i < 5; i++) {
-            const x = (Math.random() - 0.5) * 80;
-            const z = (Math.random() - 0.5) * 80;
-            this.createRock(x, z);
-        }
+        this.terrain = Heightfield.createRolling({
+            size: this.groundSize,
+            segments: this.groundSize,
+            ...this.world.ground
+        });
+
+        // Level the ground under the cabin before anything is placed on it
+        this.terrain.flatten(cabinX, cabinZ, 4.5, this.terrain.getHeightAt(cabinX, cabinZ));
+        this.baseTerrainHeights = Float32Array.from(this.terrain.heights);
+    }
+
+    // Replace the current world with the one for another seed
+    loadWorld(seed) {
+        this.obstacles.forEach(obstacle => this.scene.remove(obstacle));
+        this.decorations.forEach(decoration => this.scene.remove(decoration));
+        this.obstacles = [];
+        this.decorations = [];
+
+        this.createWorld(seed);
+        this.updateTerrainMesh();
+        this.placeCabin();
+        this.populateWorld();
+        this.updateWorldSeedDisplay();
+    }
+
+    // Put back the world's decorations, except where the player has
+    // reshaped the ground
+    resetDecorations() {
+        this.decorations.forEach(decoration => this.scene.remove(decoration));
+        this.decorations = [];
+
+        const base = new Heightfield({
+            size: this.terrain.size,
+            segments: this.terrain.segments,
+            heights: this.baseTerrainHeights
+        });
+        this.world.decorations.forEach(decoration => {
+            const { x, z } = decoration;
+            if (Math.abs(this.terrain.getHeightAt(x, z) - base.getHeightAt(x, z)) < 0.001) {
+                this.createDecoration(decoration);
+            }
+        });
+    }
+
+    updateWorldSeedDisplay() {
+        const display = document.getElementById('world-seed');
+        if (display) display.textContent = `World seed: ${this.world.seed}`;
+    }
+
+    populateWorld() {
+        this.world.obstacles.forEach((obstacle, index) => this.createObstacle(obstacle, index));
+        this.world.decorations.forEach(decoration => this.createDecoration(decoration));
+    }
+
+    // Create a tree or rock from the world's obstacle list, remembering its
+    // place in the list so saves can tell which ones were cleared
+    createObstacle(obstacle, index) {
+        const mesh = obstacle.type === 'tree' ?
+            this.createTree(obstacle.x, obstacle.z) :
+            this.createRock(obstacle.x, obstacle.z, obstacle.rotation);
+        mesh.userData.worldIndex = index;
+        return mesh;
     }
 
     createTree(x, z) {
@@ -902,24 +1912,25 @@ class GardenGame {
         const trunkGeometry = new THREE.CylinderGeometry(0.2, 0.3, 2, 8);
         const trunkMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 });
         const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
-        trunk.position.set(x, 1, z);
+        trunk.position.set(0, 1, 0);
         trunk.castShadow = true;
         trunk.receiveShadow = true;
 
         // Create leaves
         const leavesGeometry = new THREE.SphereGeometry(1, 8, 8);
         const leavesMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x228B22,
+            color: this.seasonColors?.leaves ?? 0x228B22,
             roughness: 1,
             metalness: 0
         });
         const leaves = new THREE.Mesh(leavesGeometry, leavesMaterial);
-        leaves.position.set(x, 2.5, z);
+        leaves.position.set(0, 2.5, 0);
         leaves.castShadow = true;
         leaves.receiveShadow = true;
 
-        // Group the tree parts
+        // Group the tree parts around the base of the trunk so it can fall over
         const treeGroup = new THREE.Group();
+        treeGroup.position.set(x, this.terrain.getHeightAt(x, z), z);
         treeGroup.add(trunk);
         treeGroup.add(leaves);
         
@@ -929,9 +1940,10 @@ class GardenGame {
 
         this.scene.add(treeGroup);
         this.obstacles.push(treeGroup);
+        return treeGroup;
     }
 
-    createRock(x, z) {
+    createRock(x, z, rotation = { x: 0, y: 0, z: 0 }) {
         // Create rock
         const rockGeometry = new THREE.DodecahedronGeometry(0.8, 1);
         const rockMaterial = new THREE.MeshStandardMaterial({ 
@@ -940,12 +1952,8 @@ class GardenGame {
             metalness: 0.1
         });
         const rock = new THREE.Mesh(rockGeometry, rockMaterial);
-        rock.position.set(x, 0.4, z);
-        rock.rotation.set(
-            Math.random() * Math.PI,
-            Math.random() * Math.PI,
-            Math.random() * Math.PI
-        );
+        rock.position.set(x, this.terrain.getHeightAt(x, z) + 0.4, z);
+        rock.rotation.set(rotation.x, rotation.y, rotation.z);
         rock.castShadow = true;
         rock.receiveShadow = true;
 
@@ -955,17 +1963,81 @@ class GardenGame {
 
         this.scene.add(rock);
         this.obstacles.push(rock);
+        return rock;
     }
 
-    damageObstacle(obstacle) {
-        // Decrease health
-        obstacle.userData.health--;
+    // Small scenery the player walks through
+    createDecoration({ type, x, z, rotation, scale, variant }) {
+        const decoration = new THREE.Group();
+
+        if (type === 'flowers') {
+            const colors = [0xFF6B9D, 0xFFD93D, 0xFFFFFF, 0xB088F9];
+            const stem = new THREE.Mesh(
+                new THREE.CylinderGeometry(0.01, 0.01, 0.3, 4),
+                new THREE.MeshStandardMaterial({ color: 0x3A7D2C })
+            );
+            stem.position.y = 0.15;
+            const bloom = new THREE.Mesh(
+                new THREE.SphereGeometry(0.05, 6, 6),
+                new THREE.MeshStandardMaterial({ color: colors[Math.floor(variant * colors.length)] })
+            );
+            bloom.position.y = 0.3;
+            decoration.add(stem, bloom);
+        } else if (type === 'grass') {
+            // A tuft of blades leaning out from the middle
+            const material = new THREE.MeshStandardMaterial({
+                color: new THREE.Color(0x4C8C2B).lerp(new THREE.Color(0x8DB33A), variant)
+            });
+            for (let i = 0; i < 5; i++) {
+                const angle = (i / 5) * Math.PI * 2;
+                const blade = new THREE.Mesh(new THREE.ConeGeometry(0.03, 0.4, 3), material);
+                blade.position.set(Math.cos(angle) * 0.05, 0.2, Math.sin(angle) * 0.05);
+                blade.rotation.set(Math.sin(angle) * 0.3, 0, -Math.cos(angle) * 0.3);
+                decoration.add(blade);
+            }
+        } else {
+            const stem = new THREE.Mesh(
+                new THREE.CylinderGeometry(0.03, 0.04, 0.12, 6),
+                new THREE.MeshStandardMaterial({ color: 0xF5F0E1 })
+            );
+            stem.position.y = 0.06;
+            const cap = new THREE.Mesh(
+                new THREE.SphereGeometry(0.08, 8, 4, 0, Math.PI * 2, 0, Math.PI / 2),
+                new THREE.MeshStandardMaterial({ color: variant < 0.5 ? 0xC0392B : 0x8B5A2B })
+            );
+            cap.position.y = 0.12;
+            decoration.add(stem, cap);
+        }
 
-        // Visual feedback based on type
+        decoration.position.set(x, this.terrain.getHeightAt(x, z), z);
+        decoration.rotation.y = rotation;
+        decoration.scale.setScalar(scale);
+        this.scene.add(decoration);
+        this.decorations.push(decoration);
+    }
+
+    // Remove decorations from ground that is being tilled or dug
+    clearDecorations(x, z, radius) {
+        this.decorations = this.decorations.filter(decoration => {
+            if (Math.hypot(decoration.position.x - x, decoration.position.z - z) > radius) return true;
+            this.scene.remove(decoration);
+            return false;
+        });
+    }
+
+    // Power of the best tool of a kind the player owns
+    getToolPower(tool) {
+        return Object.entries(ITEMS)
+            .filter(([itemId, item]) => item.tool === tool && this.inventory.has(itemId))
+            .reduce((power, [, item]) => Math.max(power, item.power), 1);
+    }
+
+    // Visual feedback based on type
+    showObstacleDamage(obstacle) {
         if (obstacle.userData.type === 'tree') {
-            // Change leaf color based on damage
+            // Change leaf color based on damage, starting from the season's color
             const leaves = obstacle.children[1];
-            const damageColor = new THREE.Color(0x228B22); // Start with healthy green
+            const damageColor = new THREE.Color(this.seasonColors?.leaves ?? 0x228B22);
             damageColor.lerp(new THREE.Color(0x654321), 1 - (obstacle.userData.health / 7));
             leaves.material.color = damageColor;
         } else if (obstacle.userData.type === 'rock') {
@@ -973,15 +2045,192 @@ class GardenGame {
             const scale = 0.7 + (obstacle.userData.health * 0.1);
             obstacle.scale.set(scale, scale, scale);
         }
+    }
+
+    damageObstacle(obstacle) {
+        // Decrease health
+        obstacle.userData.health = Math.max(0, obstacle.userData.health - this.getToolPower('axe'));
+        this.showObstacleDamage(obstacle);
 
         // Remove if destroyed
         if (obstacle.userData.health <= 0) {
-            this.scene.remove(obstacle);
             const index = this.obstacles.indexOf(obstacle);
             if (index > -1) {
                 this.obstacles.splice(index, 1);
             }
+
+            if (obstacle.userData.type === 'tree') {
+                this.fellTree(obstacle);
+            } else {
+                this.shatterRock(obstacle);
+            }
+        }
+    }
+
+    fellTree(tree) {
+        // Fall away from the player, or along x when standing right on it
+        const direction = new THREE.Vector3(
+            tree.position.x - this.camera.position.x,
+            0,
+            tree.position.z - this.camera.position.z
+        );
+        if (direction.lengthSq() < 1e-6) {
+            direction.set(1, 0, 0);
+        }
+        direction.normalize();
+        const axis = new THREE.Vector3(direction.z, 0, -direction.x).normalize();
+        const fallDuration = 1.2;
+        const fadeDuration = 0.6;
+        const groundHeight = tree.position.y;
+        let elapsed = 0;
+
+        const animation = (deltaTime) => {
+            elapsed += deltaTime;
+
+            if (elapsed < fallDuration) {
+                // Accelerate like a real fall
+                const t = elapsed / fallDuration;
+                tree.quaternion.setFromAxisAngle(axis, t * t * Math.PI / 2);
+                return false;
+            }
+
+            tree.quaternion.setFromAxisAngle(axis, Math.PI / 2);
+            const fade = (elapsed - fallDuration) / fadeDuration;
+            if (fade < 1) {
+                // Sink into the ground before disappearing
+                tree.position.y = groundHeight - fade * 0.5;
+                return false;
+            }
+
+            this.scene.remove(tree);
+            this.spawnDrops('tree', tree.position.clone().addScaledVector(direction, 1.5));
+            return true;
+        };
+        // Cut short by loading a save: the tree goes without dropping anything
+        animation.cancel = () => this.scene.remove(tree);
+        this.animations.push(animation);
+    }
+
+    shatterRock(rock) {
+        this.scene.remove(rock);
+
+        const fragmentGeometry = new THREE.DodecahedronGeometry(0.2);
+        const fragments = [];
+        for (let i = 0; i < 8; i++) {
+            const fragment = new THREE.Mesh(fragmentGeometry, rock.material);
+            fragment.position.copy(rock.position);
+            fragment.velocity = new THREE.Vector3(
+                (Math.random() - 0.5) * 4,
+                2 + Math.random() * 2,
+                (Math.random() - 0.5) * 4
+            );
+            fragment.castShadow = true;
+            fragments.push(fragment);
+            this.scene.add(fragment);
+        }
+
+        const duration = 1;
+        let elapsed = 0;
+
+        const animation = (deltaTime) => {
+            elapsed += deltaTime;
+
+            fragments.forEach(fragment => {
+                fragment.velocity.y -= this.gravity * deltaTime;
+                fragment.position.addScaledVector(fragment.velocity, deltaTime);
+                const floor = this.terrain.getHeightAt(fragment.position.x, fragment.position.z) + 0.1;
+                if (fragment.position.y < floor) {
+                    fragment.position.y = floor;
+                    fragment.velocity.set(0, 0, 0);
+                }
+                fragment.rotation.x += deltaTime * 5;
+                const scale = Math.max(0.01, 1 - elapsed / duration);
+                fragment.scale.set(scale, scale, scale);
+            });
+
+            if (elapsed < duration) return false;
+
+            fragments.forEach(fragment => this.scene.remove(fragment));
+            this.spawnDrops('rock', rock.position);
+            return true;
+        };
+        animation.cancel = () => fragments.forEach(fragment => this.scene.remove(fragment));
+        this.animations.push(animation);
+    }
+
+    spawnDrops(obstacleType, position) {
+        rollDrops(obstacleType).forEach(drop => {
+            const x = position.x + (Math.random() - 0.5);
+            const z = position.z + (Math.random() - 0.5);
+            this.createPickup(drop.item, drop.count, x, z);
+        });
+    }
+
+    createPickup(item, count, x, z) {
+        let mesh;
+        if (item === 'wood') {
+            mesh = new THREE.Mesh(
+                new THREE.CylinderGeometry(0.1, 0.1, 0.5, 8),
+                new THREE.MeshStandardMaterial({ color: 0x8B4513 })
+            );
+            mesh.rotation.z = Math.PI / 2;
+        } else if (item === 'stone') {
+            mesh = new THREE.Mesh(
+                new THREE.DodecahedronGeometry(0.15),
+                new THREE.MeshStandardMaterial({ color: 0x808080, roughness: 0.9 })
+            );
+        } else {
+            // Anything else, such as produce that didn't fit in the
+            // inventory, comes in a sack
+            mesh = new THREE.Mesh(
+                new THREE.SphereGeometry(0.15, 8, 6),
+                new THREE.MeshStandardMaterial({ color: 0xC8A165, roughness: 1 })
+            );
+            mesh.scale.y = 1.3;
         }
+        mesh.position.set(x, this.terrain.getHeightAt(x, z) + 0.3, z);
+        mesh.castShadow = true;
+        this.scene.add(mesh);
+
+        this.pickups.push({ mesh, item, count });
+    }
+
+    updatePickups() {
+        const time = performance.now() / 1000;
+
+        this.pickups = this.pickups.filter(pickup => {
+            // Bob and spin so pickups stand out
+            const { x, z } = pickup.mesh.position;
+            pickup.mesh.position.y = this.terrain.getHeightAt(x, z) + 0.3 + Math.sin(time * 3) * 0.1;
+            pickup.mesh.rotation.y += 0.02;
+
+            // Collect when the player walks over it
+            const dx = pickup.mesh.position.x - this.camera.position.x;
+            const dz = pickup.mesh.position.z - this.camera.position.z;
+            if (!this.isPlaying || dx * dx + dz * dz > 1.5 * 1.5) return true;
+
+            const added = this.inventory.add(pickup.item, pickup.count);
+            if (added > 0) {
+                pickup.count -= added;
+                this.updateInventoryDisplay();
+            }
+            if (pickup.count > 0) return true; // Inventory is full, leave the rest
+
+            this.scene.remove(pickup.mesh);
+            return false;
+        });
+    }
+
+    // Animations are functions called every frame until they return true.
+    // Those that leave things in the scene, or spawn drops when they end,
+    // have a cancel() that tidies up instead.
+    updateAnimations(deltaTime) {
+        this.animations = this.animations.filter(animation => !animation(deltaTime));
+    }
+
+    cancelAnimations() {
+        this.animations.forEach(animation => animation.cancel?.());
+        this.animations = [];
     }
 
     createCursorHighlight() {
@@ -1017,23 +2266,14 @@ class GardenGame {
             return;
         }
 
-        // Create raycaster
-        const raycaster = new THREE.Raycaster();
-        raycaster.setFromCamera(new THREE.Vector2(), this.camera);
-
-        // Check intersection with ground
-        const groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
-        const intersectionPoint = new THREE.Vector3();
-        raycaster.ray.intersectPlane(groundPlane, intersectionPoint);
-
-        // Snap to grid
-        const snappedX = Math.round(intersectionPoint.x / this.gridSize) * this.gridSize;
-        const snappedZ = Math.round(intersectionPoint.z / this.gridSize) * this.gridSize;
-
         // Update marker position
+        const gridPosition = this.getGridPosition();
         if (this.cursorHighlight) {
-            this.cursorHighlight.position.set(snappedX, 0.01, snappedZ);
-            this.cursorHighlight.visible = true;
+            this.cursorHighlight.visible = gridPosition !== null;
+            if (gridPosition) {
+                const height = this.terrain.getHeightAt(gridPosition.x, gridPosition.z);
+                this.cursorHighlight.position.set(gridPosition.x, height + 0.05, gridPosition.z);
+            }
         }
     }
 
@@ -1041,10 +2281,9 @@ class GardenGame {
         const raycaster = new THREE.Raycaster();
         raycaster.setFromCamera(new THREE.Vector2(), this.camera);
 
-        const groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
-        const intersectionPoint = new THREE.Vector3();
-        
-        if (raycaster.ray.intersectPlane(groundPlane, intersectionPoint)) {
+        // Find where the view meets the ground
+        const intersectionPoint = this.terrain.raycast(raycaster.ray.origin, raycaster.ray.direction, 50);
+        if (intersectionPoint) {
             return {
                 x: Math.round(intersectionPoint.x / this.gridSize) * this.gridSize,
                 z: Math.round(intersectionPoint.z / this.gridSize) * this.gridSize
@@ -1053,68 +2292,380 @@ class GardenGame {
         return null;
     }
 
-    tillSoil(key, position) {
-        if (this.tilledSoil.has(key)) return;
+    // Reshape the ground at a grid square with the shovel. Ground under or
+    // next to anything built, planted or growing is left alone.
+    useShovel(key, position) {
+        const { x, z } = position;
+        if (this.isGroundOccupied(x, z)) return;
+        this.clearDecorations(x, z, 2);
+
+        const step = 0.25;
+        const nearbyPonds = this.getPondsNear(x, z);
+        switch (this.shovelMode) {
+            case 'raise':
+                this.terrain.raise(x, z, step);
+                break;
+            case 'lower':
+                this.terrain.raise(x, z, -step);
+                break;
+            case 'flatten':
+                // Level the square and its neighbours to the height at the square
+                this.terrain.flatten(x, z, 1, this.terrain.getHeightAt(x, z), 1);
+                break;
+            case 'pond':
+                if (nearbyPonds.length > 0) return;
+                this.digPond(key, position);
+                break;
+        }
 
-        // Create tilled soil visual
-        const soilGeometry = new THREE.PlaneGeometry(0.8, 0.8);
-        const soilMaterial = new THREE.MeshStandardMaterial({
-            color: 0x3d2817,
-            roughness: 1,
-            metalness: 0
-        });
-        const soil = new THREE.Mesh(soilGeometry, soilMaterial);
-        soil.rotation.x = -Math.PI / 2;
-        soil.position.set(position.x, 0.01, position.z);
-        this.scene.add(soil);
+        // Raising or levelling the ground by a pond fills it back in
+        if (this.shovelMode === 'raise' || this.shovelMode === 'flatten') {
+            nearbyPonds.forEach(pondKey => {
+                this.scene.remove(this.ponds.get(pondKey).mesh);
+                this.ponds.delete(pondKey);
+            });
+        }
+        this.updateTerrainMesh();
+    }
 
-        this.tilledSoil.set(key, soil);
+    // Keys of ponds whose water reaches the grid square at (x, z)
+    getPondsNear(x, z) {
+        return Array.from(this.ponds.keys()).filter(key => {
+            const [pondX, pondZ] = key.split(',').map(Number);
+            return Math.hypot(pondX - x, pondZ - z) < 2;
+        });
     }
 
-    plantSeed(key, position) {
-        if (this.plants.has(key) || !this.inventory[this.selectedSeed] || 
-            this.inventory[this.selectedSeed].count <= 0) return;
+    isGroundOccupied(x, z) {
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dz = -1; dz <= 1; dz++) {
+                const key = `${x + dx},${z + dz}`;
+                if (this.tilledSoil.has(key) || this.plants.has(key) || this.structures.has(key)) return true;
+            }
+        }
+        return this.getColliders().some(collider => pushOut({ x, z }, 1.5, collider));
+    }
 
-        // Create initial plant visual (small sprout)
-        const plantGeometry = new THREE.ConeGeometry(0.1, 0.2, 8);
-        const plantMaterial = new THREE.MeshStandardMaterial({
-            color: 0x90EE90, // Light green
+    // Dig a hollow and let water seep into it up to just below the lowest
+    // point of its rim, so it can't spill over on sloping ground
+    digPond(key, position) {
+        let rimHeight = Infinity;
+        for (let angle = 0; angle < Math.PI * 2; angle += Math.PI / 4) {
+            const height = this.terrain.getHeightAt(
+                position.x + Math.cos(angle) * 1.8,
+                position.z + Math.sin(angle) * 1.8
+            );
+            rimHeight = Math.min(rimHeight, height);
+        }
+        const level = rimHeight - 0.05;
+        const depth = 0.5;
+        this.terrain.raise(position.x, position.z, -depth, 1.5);
+
+        const mesh = this.createPondMesh(position.x, position.z, level - depth);
+        this.ponds.set(key, { mesh, level });
+        this.animations.push((deltaTime) => {
+            mesh.position.y = Math.min(level, mesh.position.y + deltaTime * 0.1);
+            return mesh.position.y >= level;
+        });
+    }
+
+    createPondMesh(x, z, height) {
+        // Wide enough that its edge disappears into the sides of the hollow
+        const geometry = new THREE.CircleGeometry(1.8, 24);
+        const material = new THREE.MeshStandardMaterial({
+            color: 0x3A6EA5,
+            transparent: true,
+            opacity: 0.75,
+            roughness: 0.1,
+            metalness: 0.2
+        });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.rotation.x = -Math.PI / 2;
+        mesh.position.set(x, height, z);
+        this.scene.add(mesh);
+        return mesh;
+    }
+
+    // Nothing can be tilled or built in ponds, on ground too steep to hold
+    // soil or in a tree, rock or the cabin
+    canBuildOn(position) {
+        const { x, z } = position;
+        return this.getPondsNear(x, z).length === 0 &&
+            this.terrain.getSlopeAt(x, z) <= MAX_TILL_SLOPE &&
+            !this.getColliders().some(collider => pushOut({ x, z }, 0.4, collider));
+    }
+
+    // Squares under a structure can't be tilled either
+    canTill(key, position) {
+        return !this.structures.has(key) && this.canBuildOn(position);
+    }
+
+    tillSoil(key, position) {
+        if (this.tilledSoil.has(key)) return;
+        this.clearDecorations(position.x, position.z, 0.6);
+
+        // Create tilled soil visual
+        const soilGeometry = new THREE.PlaneGeometry(0.8, 0.8, 2, 2);
+        this.conformToTerrain(soilGeometry, position.x, position.z, 0.02);
+        const soilMaterial = new THREE.MeshStandardMaterial({
+            color: 0x3d2817,
             roughness: 1,
             metalness: 0
         });
-        const plant = new THREE.Mesh(plantGeometry, plantMaterial);
-        plant.position.set(position.x, 0.1, position.z);
+        const soil = new THREE.Mesh(soilGeometry, soilMaterial);
+        soil.rotation.x = -Math.PI / 2;
+        soil.position.set(position.x, 0, position.z);
+        this.scene.add(soil);
+
+        const tile = { mesh: soil, ...createSoil() };
+        this.tilledSoil.set(key, tile);
+        this.updateSoilAppearance(tile);
+    }
+
+    updateSoilAppearance(tile) {
+        // Dry soil is pale, watered soil is dark, and worn-out soil turns
+        // grey and dusty
+        const wetColor = lerpHex(0x8B6B4A, 0x3d2817, tile.moisture);
+        tile.mesh.material.color.setHex(lerpHex(wetColor, 0x9E9582, (1 - tile.nutrients) * 0.6));
+    }
+
+    // Grass takes back soil left dry and empty for too long
+    revertSoil(key) {
+        const tile = this.tilledSoil.get(key);
+        if (!tile) return;
+        this.scene.remove(tile.mesh);
+        this.removePuddle(key);
+        this.tilledSoil.delete(key);
+    }
+
+    spreadFertilizer(key) {
+        const tile = this.tilledSoil.get(key);
+        const type = this.selectedFertilizer;
+        if (!tile || !this.inventory.has(type)) return;
+
+        fertilizeSoil(tile, ITEMS[type].fertilizer);
+        this.updateSoilAppearance(tile);
+
+        this.inventory.remove(type);
+        if (!this.inventory.has(type)) {
+            this.selectedFertilizer = null;
+        }
+        this.updateInventoryDisplay();
+        this.updateSeedTooltip();
+    }
+
+    plantSeed(key, position) {
+        if (this.plants.has(key) || !this.inventory.has(this.selectedSeed)) return;
+
+        // Seeds only go in during their seasons; the tooltip says so
+        const type = ITEMS[this.selectedSeed].crop;
+        if (!isInSeason(type, this.gameClock.season)) return;
+
+        // Every crop starts out as a small sprout
+        const plant = this.createCropMesh(type, 0);
+        plant.position.set(position.x, this.terrain.getHeightAt(position.x, position.z), position.z);
         this.scene.add(plant);
 
         // Store plant data
         this.plants.set(key, {
             mesh: plant,
-            type: this.selectedSeed,
+            type,
             growth: 0,
-            waterCount: 0,
+            stage: 0,
+            health: 1,
             isHarvestable: false
         });
 
         // Decrease seed count
-        this.inventory[this.selectedSeed].count--;
+        this.inventory.remove(this.selectedSeed);
         this.updateInventoryDisplay();
         this.updateSeedTooltip();
     }
 
-    waterPlant(key) {
-        if (!this.plants.has(key)) return;
+    waterSoil(key) {
+        // Larger watering cans reach the surrounding tiles too
+        const reach = this.getToolPower('water') - 1;
+        const [x, z] = key.split(',').map(Number);
 
-        const plant = this.plants.get(key);
-        if (plant.waterCount >= 3 || plant.isHarvestable) return;
+        for (let dx = -reach; dx <= reach; dx++) {
+            for (let dz = -reach; dz <= reach; dz++) {
+                const tile = this.tilledSoil.get(`${x + dx * this.gridSize},${z + dz * this.gridSize}`);
+                if (!tile) continue;
 
-        // Increment water count
-        plant.waterCount++;
-        
-        // Update growth stage
-        this.growPlant(key, plant);
+                // Watering tops up the soil; the plant grows from it over time
+                tile.moisture = 1;
+                this.updateSoilAppearance(tile);
+
+                // Visual feedback for watering
+                this.createWaterEffect(tile.mesh.position);
+            }
+        }
+    }
+
+    placeStructure(key, position) {
+        const type = this.selectedStructure;
+        if (!this.inventory.has(type) || this.structures.has(key) || this.plants.has(key)) return;
+        if (!this.canBuildOn(position)) return;
+
+        // Raised beds come with their own soil; everything else needs untilled ground
+        if (type === 'raised_bed') {
+            this.tillSoil(key, position);
+            this.tilledSoil.get(key).raised = true;
+        } else if (this.tilledSoil.has(key)) {
+            return;
+        }
+
+        const mesh = this.createStructureMesh(type);
+        mesh.position.set(position.x, this.terrain.getHeightAt(position.x, position.z), position.z);
+        this.scene.add(mesh);
+        this.structures.set(key, { type, mesh });
+
+        this.inventory.remove(type);
+        this.updateInventoryDisplay();
+        this.updateSeedTooltip();
+    }
+
+    createStructureMesh(type) {
+        const group = new THREE.Group();
+        const woodMaterial = new THREE.MeshStandardMaterial({ color: 0x8B5A2B, roughness: 0.9 });
+        const stoneMaterial = new THREE.MeshStandardMaterial({ color: 0x808080, roughness: 0.8 });
+
+        const addBox = (width, height, depth, x, y, z, material) => {
+            const box = new THREE.Mesh(new THREE.BoxGeometry(width, height, depth), material);
+            box.position.set(x, y, z);
+            box.castShadow = true;
+            box.receiveShadow = true;
+            group.add(box);
+            return box;
+        };
+
+        switch (type) {
+            case 'fence':
+                // Two posts joined by two rails
+                addBox(0.1, 1, 0.1, -0.45, 0.5, 0, woodMaterial);
+                addBox(0.1, 1, 0.1, 0.45, 0.5, 0, woodMaterial);
+                addBox(1, 0.08, 0.05, 0, 0.7, 0, woodMaterial);
+                addBox(1, 0.08, 0.05, 0, 0.35, 0, woodMaterial);
+                break;
+
+            case 'raised_bed':
+                // Wooden frame around the soil
+                addBox(1, 0.25, 0.1, 0, 0.125, -0.45, woodMaterial);
+                addBox(1, 0.25, 0.1, 0, 0.125, 0.45, woodMaterial);
+                addBox(0.1, 0.25, 0.8, -0.45, 0.125, 0, woodMaterial);
+                addBox(0.1, 0.25, 0.8, 0.45, 0.125, 0, woodMaterial);
+                break;
 
-        // Visual feedback for watering
-        this.createWaterEffect(plant.mesh.position);
+            case 'scarecrow': {
+                addBox(0.08, 1.8, 0.08, 0, 0.9, 0, woodMaterial);
+                addBox(1, 0.08, 0.08, 0, 1.3, 0, woodMaterial);
+                // Straw body and head with a hat
+                addBox(0.4, 0.5, 0.25, 0, 1.2, 0, new THREE.MeshStandardMaterial({ color: 0x4169E1 }));
+                const head = new THREE.Mesh(
+                    new THREE.SphereGeometry(0.15, 8, 8),
+                    new THREE.MeshStandardMaterial({ color: 0xE8C872 })
+                );
+                head.position.y = 1.65;
+                group.add(head);
+                const hat = new THREE.Mesh(
+                    new THREE.ConeGeometry(0.25, 0.25, 8),
+                    new THREE.MeshStandardMaterial({ color: 0x8B4513 })
+                );
+                hat.position.y = 1.85;
+                group.add(hat);
+                break;
+            }
+
+            case 'sprinkler': {
+                const base = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.2, 0.15, 8), stoneMaterial);
+                base.position.y = 0.075;
+                group.add(base);
+                const head = new THREE.Mesh(
+                    new THREE.CylinderGeometry(0.03, 0.03, 0.3, 8),
+                    new THREE.MeshStandardMaterial({ color: 0x4682B4, metalness: 0.5 })
+                );
+                head.position.y = 0.3;
+                group.add(head);
+                break;
+            }
+        }
+
+        group.userData.type = type;
+        return group;
+    }
+
+    // Grid keys of all tiles watered by sprinklers
+    getSprinklerCoverage() {
+        const covered = new Set();
+        this.structures.forEach((structure, key) => {
+            if (structure.type !== 'sprinkler') return;
+
+            const [x, z] = key.split(',').map(Number);
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dz = -1; dz <= 1; dz++) {
+                    covered.add(`${x + dx * this.gridSize},${z + dz * this.gridSize}`);
+                }
+            }
+        });
+        return covered;
+    }
+
+    updatePlants(hours) {
+        if (hours <= 0) return;
+
+        const effects = this.weatherConditions ? getGardenEffects(this.weatherConditions) : null;
+        const sprinklerCoverage = this.getSprinklerCoverage();
+        const season = this.gameClock.season;
+        const neglected = [];
+
+        this.tilledSoil.forEach((tile, key) => {
+            const previousMoisture = tile.moisture;
+            // Raised beds hold water twice as long
+            const dryingMultiplier = (effects ? effects.dryingMultiplier : 1) * (tile.raised ? 0.5 : 1);
+            drySoil(tile, hours, dryingMultiplier);
+            if (effects) {
+                // Rain waters every tilled plot
+                wetSoil(tile, effects.moisturePerHour * hours);
+            }
+            if (sprinklerCoverage.has(key)) {
+                wetSoil(tile, hours);
+            }
+            if (tile.moisture !== previousMoisture) {
+                this.updateSoilAppearance(tile);
+            }
+
+            // Raised beds keep their soil however long they're left
+            if (neglectSoil(tile, hours, this.plants.has(key)) && !tile.raised) {
+                neglected.push(key);
+            }
+
+            const plant = this.plants.get(key);
+            if (!plant) return;
+
+            if (effects && applyFrost(plant, effects.frostDamagePerHour * hours)) {
+                this.killPlant(key);
+                return;
+            }
+            if (applySeason(plant, season, hours)) {
+                this.killPlant(key);
+                return;
+            }
+
+            if (advanceGrowth(plant, tile, hours, season)) {
+                this.growPlant(key, plant);
+            }
+        });
+
+        neglected.forEach(key => this.revertSoil(key));
+    }
+
+    killPlant(key) {
+        const plant = this.plants.get(key);
+        if (!plant) return;
+
+        // The plot stays tilled so it can be replanted
+        this.scene.remove(plant.mesh);
+        this.plants.delete(key);
     }
 
     createWaterEffect(position) {
@@ -1146,370 +2697,119 @@ class GardenGame {
         }, 1000);
     }
 
+    // Show the plant as it looks at its current stage
     growPlant(key, plant) {
-        const growthStep = plant.waterCount / 3;
-        
-        // Remove existing plant mesh
-        this.scene.remove(plant.mesh);
-        
-        // Create new plant group
-        const group = new THREE.Group();
-        
-        switch (plant.type) {
-            case 'tomato':
-                if (growthStep === 1) {
-                    // Final stage - full tomato plant
-                    this.createTomatoPlant(plant);
-                } else {
-                    // Growing stages - stem gets taller, leaves appear, then tomatoes
-                    const stemHeight = 0.3 + (growthStep * 0.7);
-                    const stemGeometry = new THREE.CylinderGeometry(0.03, 0.05, stemHeight, 8);
-                    const stemMaterial = new THREE.MeshStandardMaterial({ color: 0x228B22 });
-                    const stem = new THREE.Mesh(stemGeometry, stemMaterial);
-                    stem.position.y = stemHeight/2;
-                    group.add(stem);
-
-                    // Add leaves after first watering
-                    if (growthStep > 0.33) {
-                        const leafGeometry = new THREE.PlaneGeometry(0.15, 0.2);
-                        const leafMaterial = new THREE.MeshStandardMaterial({ 
-                            color: 0x228B22,
-                            side: THREE.DoubleSide
-                        });
-                        
-                        for (let i = 0; i < 2; i++) {
-                            const leaf = new THREE.Mesh(leafGeometry, leafMaterial);
-                            leaf.position.set(
-                                Math.sin(i * Math.PI) * 0.1,
-                                stemHeight * 0.6,
-                                Math.cos(i * Math.PI) * 0.1
-                            );
-                            leaf.rotation.set(Math.PI/6, i * Math.PI, 0);
-                            group.add(leaf);
-                        }
-                    }
-                }
-                break;
-                
-            case 'corn':
-                if (growthStep === 1) {
-                    // Final stage - full corn plant
-                    this.createCornPlant(plant);
-                } else {
-                    // Growing stages - tall thin stalk that grows taller
-                    const stalkHeight = 0.5 + (growthStep * 1.5);
-                    const stalkGeometry = new THREE.CylinderGeometry(0.03, 0.05, stalkHeight, 8);
-                    const stalkMaterial = new THREE.MeshStandardMaterial({ color: 0x90EE90 });
-                    const stalk = new THREE.Mesh(stalkGeometry, stalkMaterial);
-                    stalk.position.y = stalkHeight/2;
-                    group.add(stalk);
-
-                    // Add leaves after first watering
-                    if (growthStep > 0.33) {
-                        const leafGeometry = new THREE.PlaneGeometry(0.1 + growthStep * 0.2, 0.4);
-                        const leafMaterial = new THREE.MeshStandardMaterial({ 
-                            color: 0x90EE90,
-                            side: THREE.DoubleSide
-                        });
-                        
-                        for (let i = 0; i < 3; i++) {
-                            const leaf = new THREE.Mesh(leafGeometry, leafMaterial);
-                            leaf.position.set(
-                                0,
-                                stalkHeight * (0.3 + i * 0.2),
-                                0
-                            );
-                            leaf.rotation.set(0, i * Math.PI/1.5, Math.PI/6);
-                            group.add(leaf);
-                        }
-                    }
-                }
-                break;
-                
-            case 'melon':
-                if (growthStep === 1) {
-                    // Final stage - full melon plant
-                    this.createMelonPlant(plant);
-                } else {
-                    // Growing stages - spreading vines with small leaves
-                    const vineLength = 0.2 + (growthStep * 0.3);
-                    const vineGeometry = new THREE.CylinderGeometry(0.02, 0.02, vineLength, 8);
-                    const vineMaterial = new THREE.MeshStandardMaterial({ color: 0x228B22 });
-                    
-                    // Create multiple vine segments
-                    for (let i = 0; i < 3; i++) {
-                        const vine = new THREE.Mesh(vineGeometry, vineMaterial);
-                        vine.position.set(
-                            Math.sin(i * Math.PI * 2/3) * vineLength * 0.7,
-                            0.05,
-                            Math.cos(i * Math.PI * 2/3) * vineLength * 0.7
-                        );
-                        vine.rotation.z = Math.PI/2;
-                        vine.rotation.y = i * Math.PI * 2/3;
-                        group.add(vine);
-
-                        // Add leaves after first watering
-                        if (growthStep > 0.33) {
-                            const leafGeometry = new THREE.CircleGeometry(0.1 + growthStep * 0.1, 5);
-                            const leafMaterial = new THREE.MeshStandardMaterial({ 
-                                color: 0x228B22,
-                                side: THREE.DoubleSide
-                            });
-                            const leaf = new THREE.Mesh(leafGeometry, leafMaterial);
-                            leaf.position.copy(vine.position);
-                            leaf.position.y = 0.02;
-                            leaf.rotation.x = -Math.PI/2;
-                            group.add(leaf);
-                        }
-                    }
-                }
-                break;
-                
-            case 'strawberry':
-                if (growthStep === 1) {
-                    // Final stage - full strawberry plant
-                    this.createStrawberryPlant(plant);
-                } else {
-                    // Growing stages - low spreading leaves, then berries
-                    const baseGeometry = new THREE.SphereGeometry(0.1 + growthStep * 0.1, 8, 8);
-                    const baseMaterial = new THREE.MeshStandardMaterial({ color: 0x228B22 });
-                    const base = new THREE.Mesh(baseGeometry, baseMaterial);
-                    base.position.y = 0.1;
-                    base.scale.set(1, 0.3, 1);
-                    group.add(base);
-
-                    // Add leaves after first watering
-                    if (growthStep > 0.33) {
-                        const leafCount = Math.floor(2 + growthStep * 4);
-                        const leafGeometry = new THREE.CircleGeometry(0.1, 3);
-                        const leafMaterial = new THREE.MeshStandardMaterial({ 
-                            color: 0x228B22,
-                            side: THREE.DoubleSide
-                        });
-                        
-                        for (let i = 0; i < leafCount; i++) {
-                            const leaf = new THREE.Mesh(leafGeometry, leafMaterial);
-                            leaf.position.set(
-                                Math.sin(i * Math.PI * 2/leafCount) * 0.15,
-                                0.05,
-                                Math.cos(i * Math.PI * 2/leafCount) * 0.15
-                            );
-                            leaf.rotation.x = -Math.PI/2;
-                            leaf.rotation.z = i * Math.PI * 2/leafCount;
-                            group.add(leaf);
-                        }
-                    }
-                }
-                break;
-        }
-
-        // Position the group at the plant's location
-        if (plant.mesh.position) {
-            group.position.copy(plant.mesh.position);
-        }
-        
-        // Update the plant's mesh reference
-        this.scene.add(group);
-        plant.mesh = group;
-
-        // Mark as harvestable when fully grown
-        if (growthStep === 1) {
-            plant.isHarvestable = true;
-        }
-    }
-
-    createTomatoPlant(plant) {
-        // Remove the original sprout
-        this.scene.remove(plant.mesh);
-        
-        // Create plant group
-        const group = new THREE.Group();
-        
-        // Create stem
-        const stemGeometry = new THREE.CylinderGeometry(0.05, 0.08, 1, 8);
-        const stemMaterial = new THREE.MeshStandardMaterial({ color: 0x228B22 });
-        const stem = new THREE.Mesh(stemGeometry, stemMaterial);
-        stem.position.y = 0.5;
-        group.add(stem);
-        
-        // Create tomatoes
-        const tomatoGeometry = new THREE.SphereGeometry(0.15, 8, 8);
-        const tomatoMaterial = new THREE.MeshStandardMaterial({ color: 0xFF6347 });
-        
-        // Add multiple tomatoes
-        for (let i = 0; i < 3; i++) {
-            const tomato = new THREE.Mesh(tomatoGeometry, tomatoMaterial);
-            tomato.position.set(
-                Math.sin(i * Math.PI * 2/3) * 0.2,
-                0.7 + Math.random() * 0.3,
-                Math.cos(i * Math.PI * 2/3) * 0.2
-            );
-            group.add(tomato);
-        }
-        
-        // Add leaves
-        const leafGeometry = new THREE.PlaneGeometry(0.2, 0.3);
-        const leafMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x228B22,
-            side: THREE.DoubleSide
-        });
-        
-        for (let i = 0; i < 4; i++) {
-            const leaf = new THREE.Mesh(leafGeometry, leafMaterial);
-            leaf.position.set(
-                Math.sin(i * Math.PI/2) * 0.2,
-                0.3 + Math.random() * 0.4,
-                Math.cos(i * Math.PI/2) * 0.2
-            );
-            leaf.rotation.set(
-                Math.random() * Math.PI/4,
-                i * Math.PI/2,
-                Math.random() * Math.PI/4
-            );
-            group.add(leaf);
-        }
-        
-        group.position.copy(plant.mesh.position);
-        this.scene.add(group);
-        plant.mesh = group;
-    }
-
-    createCornPlant(plant) {
-        // Remove the original sprout
+        const mesh = this.createCropMesh(plant.type, plant.stage);
+        mesh.position.copy(plant.mesh.position);
         this.scene.remove(plant.mesh);
-        
-        // Create plant group
-        const group = new THREE.Group();
-        
-        // Create tall stalk
-        const stalkGeometry = new THREE.CylinderGeometry(0.05, 0.08, 2, 8);
-        const stalkMaterial = new THREE.MeshStandardMaterial({ color: 0x90EE90 });
-        const stalk = new THREE.Mesh(stalkGeometry, stalkMaterial);
-        stalk.position.y = 1;
-        group.add(stalk);
-        
-        // Create corn ears
-        const cornGeometry = new THREE.CylinderGeometry(0.08, 0.1, 0.4, 8);
-        const cornMaterial = new THREE.MeshStandardMaterial({ color: 0xFFD700 });
-        
-        // Add two ears of corn
-        for (let i = 0; i < 2; i++) {
-            const corn = new THREE.Mesh(cornGeometry, cornMaterial);
-            corn.position.set(
-                Math.sin(i * Math.PI) * 0.2,
-                1.2,
-                Math.cos(i * Math.PI) * 0.2
-            );
-            corn.rotation.z = Math.PI/4;
-            group.add(corn);
-        }
-        
-        group.position.copy(plant.mesh.position);
-        this.scene.add(group);
-        plant.mesh = group;
+        this.scene.add(mesh);
+        plant.mesh = mesh;
     }
 
-    createMelonPlant(plant) {
-        // Remove the original sprout
-        this.scene.remove(plant.mesh);
-        
-        // Create plant group
+    // A crop at one of its growth stages, built from the parts crops.js
+    // lists for that stage
+    createCropMesh(type, stage) {
         const group = new THREE.Group();
-        
-        // Create vine base
-        const vineGeometry = new THREE.CylinderGeometry(0.03, 0.03, 0.3, 8);
-        const vineMaterial = new THREE.MeshStandardMaterial({ color: 0x228B22 });
-        const vine = new THREE.Mesh(vineGeometry, vineMaterial);
-        vine.position.y = 0.15;
-        group.add(vine);
-        
-        // Create melon
-        const melonGeometry = new THREE.SphereGeometry(0.25, 12, 12);
-        const melonMaterial = new THREE.MeshStandardMaterial({ color: 0x90EE90 });
-        const melon = new THREE.Mesh(melonGeometry, melonMaterial);
-        melon.position.y = 0.25;
-        group.add(melon);
-        
-        // Add leaves
-        const leafGeometry = new THREE.CircleGeometry(0.2, 5);
-        const leafMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x228B22,
-            side: THREE.DoubleSide
+        const up = new THREE.Vector3(0, 1, 0);
+        const random = (range = [0, 0, 0]) => range.map(amount => amount * Math.random());
+
+        CROPS[type].stages[stage].parts.forEach(part => {
+            const geometry = this.createCropPartGeometry(part);
+            const material = new THREE.MeshStandardMaterial({
+                color: part.color,
+                // Flat shapes are seen from both sides
+                side: part.shape === 'plane' || part.shape === 'circle' ? THREE.DoubleSide : THREE.FrontSide
+            });
+            const [x, y, z] = part.position || [0, 0, 0];
+            const [rotationX, rotationY, rotationZ] = part.rotation || [0, 0, 0];
+            const [stepX, stepY, stepZ] = part.step || [0, 0, 0];
+            const count = part.count || 1;
+            const ring = part.ring || 0;
+
+            for (let i = 0; i < count; i++) {
+                const angle = (part.ringStart || 0) + i * Math.PI * 2 / count;
+                const [jitterX, jitterY, jitterZ] = random(part.jitter?.position);
+                const [tiltX, tiltY, tiltZ] = random(part.jitter?.rotation);
+
+                const mesh = new THREE.Mesh(geometry, material);
+                mesh.position.set(
+                    x + Math.sin(angle) * ring + stepX * i + jitterX,
+                    y + stepY * i + jitterY,
+                    z + Math.cos(angle) * ring + stepZ * i + jitterZ
+                );
+                mesh.rotation.set(rotationX + tiltX, rotationY + tiltY, rotationZ + tiltZ);
+                if (part.spin) mesh.rotateOnWorldAxis(up, angle);
+                if (part.scale) mesh.scale.set(...part.scale);
+                group.add(mesh);
+            }
         });
-        
-        for (let i = 0; i < 3; i++) {
-            const leaf = new THREE.Mesh(leafGeometry, leafMaterial);
-            leaf.position.set(
-                Math.sin(i * Math.PI * 2/3) * 0.3,
-                0.05,
-                Math.cos(i * Math.PI * 2/3) * 0.3
-            );
-            leaf.rotation.x = -Math.PI/2;
-            group.add(leaf);
-        }
-        
-        group.position.copy(plant.mesh.position);
-        this.scene.add(group);
-        plant.mesh = group;
+        return group;
     }
 
-    createStrawberryPlant(plant) {
-        // Remove the original sprout
-        this.scene.remove(plant.mesh);
-        
-        // Create plant group
-        const group = new THREE.Group();
-        
-        // Create plant base
-        const baseGeometry = new THREE.SphereGeometry(0.2, 8, 8);
-        const baseMaterial = new THREE.MeshStandardMaterial({ color: 0x228B22 });
-        const base = new THREE.Mesh(baseGeometry, baseMaterial);
-        base.position.y = 0.2;
-        base.scale.set(1, 0.5, 1);
-        group.add(base);
-        
-        // Create strawberries
-        const berryGeometry = new THREE.SphereGeometry(0.08, 8, 8);
-        const berryMaterial = new THREE.MeshStandardMaterial({ color: 0xFF0000 });
-        
-        for (let i = 0; i < 4; i++) {
-            const berry = new THREE.Mesh(berryGeometry, berryMaterial);
-            berry.position.set(
-                Math.sin(i * Math.PI/2) * 0.15,
-                0.15,
-                Math.cos(i * Math.PI/2) * 0.15
-            );
-            group.add(berry);
+    createCropPartGeometry(part) {
+        const [a, b, c] = part.size;
+        const segments = part.segments || 8;
+        switch (part.shape) {
+            case 'cylinder':
+                return new THREE.CylinderGeometry(a, b, c, segments);
+            case 'cone':
+                return new THREE.ConeGeometry(a, b, segments);
+            case 'sphere':
+                return new THREE.SphereGeometry(a, segments, segments);
+            case 'plane':
+                return new THREE.PlaneGeometry(a, b);
+            case 'circle':
+                return new THREE.CircleGeometry(a, segments);
+            default:
+                throw new Error(`Unknown crop part shape "${part.shape}"`);
         }
-        
-        group.position.copy(plant.mesh.position);
-        this.scene.add(group);
-        plant.mesh = group;
     }
 
     harvestPlant(key) {
         const plant = this.plants.get(key);
         if (!plant || !plant.isHarvestable) return;
 
-        // Add harvested item to inventory
-        const harvestedAmount = Math.floor(Math.random() * 3) + 1; // 1-3 items
-        this.inventory[plant.type].count += harvestedAmount;
+        // Add produce, and sometimes seeds, to inventory. Whatever doesn't
+        // fit is left on the ground to pick up later.
+        const { produce, seeds } = rollHarvest(plant.type);
+        const { x, z } = plant.mesh.position;
+        const harvest = [[plant.type, produce], [getSeedItemId(plant.type), seeds]];
+        harvest.forEach(([item, count]) => {
+            if (count <= 0) return;
+            const added = this.inventory.add(item, count);
+            if (added < count) this.createPickup(item, count - added, x, z);
+        });
         this.updateInventoryDisplay();
+        this.updateSeedTooltip();
+        this.recordQuestEvent('harvest', plant.type, produce);
 
-        // Remove plant
+        // Remove plant, leaving the soil a little poorer for it
         this.scene.remove(plant.mesh);
         this.plants.delete(key);
-        this.tilledSoil.delete(key);
+        const tile = this.tilledSoil.get(key);
+        depleteSoil(tile, plant.type);
+        this.updateSoilAppearance(tile);
     }
 
     updateSeedTooltip() {
-        if (!this.selectedSeed || this.inventoryVisible) {
+        const selected = this.selectedStructure || this.selectedFertilizer || this.selectedSeed;
+        if (this.inventoryVisible || (!selected && this.selectedTool !== 'shovel')) {
             this.seedTooltip.style.display = 'none';
             return;
         }
 
-        const item = this.inventory[this.selectedSeed];
-        this.seedTooltip.textContent = `Selected: ${item.name} (${item.count} remaining)`;
+        if (!selected) {
+            this.seedTooltip.textContent = `Shovel: ${this.shovelModes[this.shovelMode]}`;
+            this.seedTooltip.style.display = 'block';
+            return;
+        }
+
+        const item = ITEMS[selected];
+        const verb = this.selectedStructure ? 'Placing' : this.selectedFertilizer ? 'Spreading' : 'Selected';
+        const season = this.gameClock.season;
+        const outOfSeason = item.crop && !isInSeason(item.crop, season) ?
+            ` - can't be sown in ${SEASON_LOOKS[season].name.toLowerCase()}` : '';
+        this.seedTooltip.textContent = `${verb}: ${item.name} (${this.inventory.getCount(selected)} remaining)${outOfSeason}`;
         this.seedTooltip.style.display = 'block';
     }
 
@@ -1660,10 +2960,24 @@ class GardenGame {
         mailbox.position.set(4, 0, 2);
         cabin.add(mailbox);
 
-        // Position the cabin near spawn point (no rotation)
-        cabin.position.set(8, 0, 8);
-
         this.scene.add(cabin);
+        this.cabin = cabin;
+        this.mailbox = mailbox;
+        this.placeCabin();
+    }
+
+    // Position the cabin near spawn point (no rotation), on the ground
+    // levelled for it in createWorld
+    placeCabin() {
+        const { x: cabinX, z: cabinZ } = this.cabinPosition;
+        this.cabin.position.set(cabinX, this.terrain.getHeightAt(cabinX, cabinZ), cabinZ);
+
+        // The walls are 6×4 plus the logs around them; the roof is out of reach
+        const { x, y, z } = this.cabin.position;
+        this.staticColliders = [
+            boxCollider(x - 3.2, z - 2.2, x + 3.2, z + 2.2, y + 4, y),
+            circleCollider(x + this.mailbox.position.x, z + this.mailbox.position.z, 0.15, y + 1.4, y)
+        ];
     }
 
     createMailbox() {
@@ -1729,279 +3043,1694 @@ class GardenGame {
         menu.appendChild(title);
 
         // Add menu options
+        const unread = this.mail.getUnreadCount();
         const options = [
             { text: 'Save Game', action: () => this.saveGame() },
             { text: 'Load Game', action: () => this.loadGame() },
-            { text: 'Messages', action: () => this.openMessages() },
+            { text: 'Market', action: () => this.openMarket() },
+            { text: unread > 0 ? `Messages (${unread} new)` : 'Messages', action: () => this.openMessages() },
             { text: 'Settings', action: () => this.openSettings() },
             { text: 'Close', action: () => this.closeMailboxMenu() }
         ];
 
-        options.forEach(option => {
-            const button = document.createElement('button');
-            button.textContent = option.text;
-            button.style.display = 'block';
-            button.style.width = '100%';
-            button.style.padding = '10px';
-            button.style.margin = '5px 0';
-            button.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
-            button.style.border = 'none';
-            button.style.color = 'white';
-            button.style.cursor = 'pointer';
-            button.style.borderRadius = '5px';
-            button.style.transition = 'background-color 0.2s';
-            button.addEventListener('mouseover', () => {
-                button.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
+        options.forEach(option => {
+            const button = document.createElement('button');
+            button.textContent = option.text;
+            button.style.display = 'block';
+            button.style.width = '100%';
+            button.style.padding = '10px';
+            button.style.margin = '5px 0';
+            button.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+            button.style.border = 'none';
+            button.style.color = 'white';
+            button.style.cursor = 'pointer';
+            button.style.borderRadius = '5px';
+            button.style.transition = 'background-color 0.2s';
+            button.addEventListener('mouseover', () => {
+                button.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
+            });
+            button.addEventListener('mouseout', () => {
+                button.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+            });
+            button.onclick = option.action; // Changed to direct assignment for more reliable event handling
+            menu.appendChild(button);
+        });
+
+        document.body.appendChild(menu);
+        this.controls.unlock();
+        document.body.style.cursor = 'default';
+    }
+
+    closeMailboxMenu() {
+        this.mailboxVisible = false;
+        const menu = document.getElementById('mailbox-menu');
+        if (menu) {
+            document.body.removeChild(menu);
+            if (this.isPlaying) {
+                this.lockPointer();
+            }
+        }
+    }
+
+    // Everything a save holds, as plain data for createSnapshot
+    getWorldState() {
+        const { x, y, z } = this.camera.position;
+        const view = new THREE.Euler(0, 0, 0, 'YXZ').setFromQuaternion(this.camera.quaternion);
+        return {
+            seed: this.world.seed,
+            terrainEdits: this.terrain.getChanges(this.baseTerrainHeights),
+            ponds: Array.from(this.ponds, ([key, pond]) => [key, pond.level]),
+            obstacles: this.obstacles.map(obstacle => ({
+                index: obstacle.userData.worldIndex,
+                health: obstacle.userData.health
+            })),
+            plants: Array.from(this.plants, ([key, plant]) => ({
+                key,
+                type: plant.type,
+                growth: plant.growth,
+                health: plant.health
+            })),
+            tilledSoil: Array.from(this.tilledSoil, ([key, tile]) => ({
+                key,
+                moisture: tile.moisture,
+                nutrients: tile.nutrients,
+                history: tile.history,
+                dryHours: tile.dryHours
+            })),
+            structures: Array.from(this.structures, ([key, structure]) => ({ key, type: structure.type })),
+            pickups: this.pickups.map(pickup => ({
+                item: pickup.item,
+                count: pickup.count,
+                x: pickup.mesh.position.x,
+                z: pickup.mesh.position.z
+            })),
+            inventory: this.inventory.toJSON(),
+            coins: this.coins,
+            market: this.market,
+            mail: this.mail.toJSON(),
+            time: this.gameClock.totalMinutes,
+            playTime: this.playTime,
+            player: { x, y, z, yaw: view.y, pitch: view.x },
+            selection: { tool: this.selectedTool, seed: this.selectedSeed, shovelMode: this.shovelMode }
+        };
+    }
+
+    // A save slot: the world snapshot, plus what the save and load dialogs
+    // show about it
+    createSave() {
+        return {
+            ...createSnapshot(this.getWorldState()),
+            timestamp: new Date().toLocaleString(),
+            meta: {
+                savedAt: new Date().toISOString(),
+                playTime: Math.round(this.playTime),
+                day: this.gameClock.day,
+                coins: this.coins,
+                thumbnail: this.captureThumbnail()
+            }
+        };
+    }
+
+    // A small JPEG of the current view. The canvas is only readable right
+    // after rendering, so render a frame first.
+    captureThumbnail() {
+        this.renderer.render(this.scene, this.camera);
+        const canvas = document.createElement('canvas');
+        canvas.width = 160;
+        canvas.height = 90;
+        canvas.getContext('2d').drawImage(this.renderer.domElement, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/jpeg', 0.7);
+    }
+
+    // Find the best place to keep saves and read the ones already there
+    async openSaves() {
+        this.saveStore = await openSaveStore();
+        try {
+            this.savedGames = (await loadSaves(this.saveStore)).saves;
+        } catch (error) {
+            console.warn('Saves could not be read:', error);
+        }
+    }
+
+    // Save to the next autosave slot if anything has been played since the
+    // last autosave. Failing (e.g. with storage full) mustn't interrupt
+    // play, so it is only reported on screen.
+    async autosave() {
+        if (this.timeSinceAutosave === 0) return;
+        this.timeSinceAutosave = 0;
+        const save = this.createSave();
+        await this.savesReady;
+        try {
+            this.savedGames = await putSave(this.saveStore, this.savedGames, getAutosaveName(this.savedGames), save);
+            this.showStorageWarning(null);
+        } catch (error) {
+            console.warn('Autosave failed:', error);
+            this.showStorageWarning(`Autosave failed: ${error.message}`);
+        }
+    }
+
+    // Pass null to hide the warning
+    showStorageWarning(text) {
+        const warning = document.getElementById('storage-warning');
+        if (!warning) return;
+        warning.textContent = text ? `⚠️ ${text}` : '';
+        warning.style.display = text ? 'block' : 'none';
+    }
+
+    // A save in the save and load dialogs: its thumbnail, name, when it was
+    // saved and how far the game had got. `extra` is added under the details.
+    createSaveSlotElement(name, save, extra = null) {
+        const slot = document.createElement('div');
+        slot.style.display = 'flex';
+        slot.style.gap = '10px';
+        slot.style.padding = '10px';
+        slot.style.marginBottom = '5px';
+        slot.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+        slot.style.borderRadius = '5px';
+
+        // Saves from before slots had metadata have no thumbnail or stats
+        const meta = cleanSaveMeta(save.meta);
+        if (meta?.thumbnail) {
+            const thumbnail = document.createElement('img');
+            thumbnail.src = meta.thumbnail;
+            thumbnail.style.width = '96px';
+            thumbnail.style.height = '54px';
+            thumbnail.style.objectFit = 'cover';
+            thumbnail.style.borderRadius = '3px';
+            slot.appendChild(thumbnail);
+        }
+
+        const details = document.createElement('div');
+        details.style.flex = '1';
+
+        const title = document.createElement('div');
+        title.textContent = name;
+        title.dataset.saveName = name;
+        title.style.marginBottom = '5px';
+        if (isAutosave(name)) title.style.fontStyle = 'italic';
+        details.appendChild(title);
+
+        const savedAt = cleanSaveTimestamp(save.timestamp);
+        const timestamp = document.createElement('div');
+        timestamp.textContent = typeof savedAt === 'number' ? new Date(savedAt).toLocaleString() : savedAt ?? '';
+        timestamp.style.fontSize = '12px';
+        timestamp.style.opacity = '0.7';
+        details.appendChild(timestamp);
+
+        const facts = [
+            meta?.day !== undefined && `Day ${meta.day}`,
+            meta?.coins !== undefined && `${meta.coins} coins`,
+            meta?.playTime !== undefined && `${formatPlayTime(meta.playTime)} played`
+        ].filter(Boolean);
+        if (facts.length > 0) {
+            const stats = document.createElement('div');
+            stats.textContent = facts.join(' · ');
+            stats.style.fontSize = '12px';
+            stats.style.opacity = '0.7';
+            details.appendChild(stats);
+        }
+
+        if (extra) details.appendChild(extra);
+        slot.appendChild(details);
+        return slot;
+    }
+
+    async saveGame() {
+        await this.savesReady;
+
+        // Create save game dialog
+        const saveDialog = document.createElement('div');
+        saveDialog.style.position = 'fixed';
+        saveDialog.style.top = '50%';
+        saveDialog.style.left = '50%';
+        saveDialog.style.transform = 'translate(-50%, -50%)';
+        saveDialog.style.backgroundColor = 'rgba(0, 0, 0, 0.95)';
+        saveDialog.style.padding = '20px';
+        saveDialog.style.borderRadius = '10px';
+        saveDialog.style.color = 'white';
+        saveDialog.style.zIndex = '2000';
+        saveDialog.style.minWidth = '300px';
+        saveDialog.style.maxHeight = '80vh';
+        saveDialog.style.overflowY = 'auto';
+
+        const title = document.createElement('div');
+        title.textContent = 'Save Game';
+        title.style.fontSize = '20px';
+        title.style.marginBottom = '15px';
+        title.style.textAlign = 'center';
+        saveDialog.appendChild(title);
+
+        // Existing saves; picking one fills in its name to save over it
+        const savesList = document.createElement('div');
+        savesList.style.marginBottom = '10px';
+        Object.entries(this.savedGames).forEach(([saveName, saveData]) => {
+            const saveItem = this.createSaveSlotElement(saveName, saveData);
+            saveItem.style.cursor = 'pointer';
+            saveItem.addEventListener('click', () => {
+                input.value = saveName;
+                input.dispatchEvent(new Event('input'));
+            });
+            savesList.appendChild(saveItem);
+        });
+        saveDialog.appendChild(savesList);
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = 'Enter save name...';
+        input.style.width = '100%';
+        input.style.padding = '8px';
+        input.style.marginBottom = '15px';
+        input.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+        input.style.border = '1px solid rgba(255, 255, 255, 0.3)';
+        input.style.borderRadius = '5px';
+        input.style.color = 'white';
+        saveDialog.appendChild(input);
+
+        const message = document.createElement('div');
+        message.style.color = '#FFD54F';
+        message.style.fontSize = '12px';
+        message.style.marginBottom = '10px';
+        message.style.display = 'none';
+        saveDialog.appendChild(message);
+
+        const buttonContainer = document.createElement('div');
+        buttonContainer.style.display = 'flex';
+        buttonContainer.style.gap = '10px';
+
+        const saveButton = document.createElement('button');
+        saveButton.textContent = 'Save';
+        saveButton.style.flex = '1';
+        saveButton.style.padding = '8px';
+        saveButton.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
+        saveButton.style.border = 'none';
+        saveButton.style.borderRadius = '5px';
+        saveButton.style.color = 'white';
+        saveButton.style.cursor = 'pointer';
+
+        const cancelButton = document.createElement('button');
+        cancelButton.textContent = 'Cancel';
+        cancelButton.style.flex = '1';
+        cancelButton.style.padding = '8px';
+        cancelButton.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+        cancelButton.style.border = 'none';
+        cancelButton.style.borderRadius = '5px';
+        cancelButton.style.color = 'white';
+        cancelButton.style.cursor = 'pointer';
+
+        buttonContainer.appendChild(saveButton);
+        buttonContainer.appendChild(cancelButton);
+        saveDialog.appendChild(buttonContainer);
+
+        const showMessage = (text) => {
+            message.textContent = text;
+            message.style.display = 'block';
+        };
+
+        // Saving over an existing save needs a second press to confirm
+        let confirmedOverwrite = null;
+        input.addEventListener('input', () => {
+            confirmedOverwrite = null;
+            saveButton.textContent = 'Save';
+            message.style.display = 'none';
+        });
+
+        // Handle save action
+        saveButton.addEventListener('click', async () => {
+            const saveName = input.value.trim();
+            if (!saveName) return;
+
+            if (this.savedGames[saveName] && confirmedOverwrite !== saveName) {
+                confirmedOverwrite = saveName;
+                saveButton.textContent = 'Overwrite';
+                showMessage(`"${saveName}" already exists. Press Overwrite to replace it.`);
+                return;
+            }
+
+            try {
+                this.savedGames = await putSave(this.saveStore, this.savedGames, saveName, this.createSave());
+            } catch (error) {
+                showMessage(`Couldn't save: ${error.message}`);
+                return;
+            }
+            this.showStorageWarning(null);
+            document.body.removeChild(saveDialog);
+        });
+
+        cancelButton.addEventListener('click', () => {
+            document.body.removeChild(saveDialog);
+        });
+
+        document.body.appendChild(saveDialog);
+    }
+
+    async loadGame() {
+        await this.savesReady;
+
+        // Create load game dialog
+        const loadDialog = document.createElement('div');
+        loadDialog.style.position = 'fixed';
+        loadDialog.style.top = '50%';
+        loadDialog.style.left = '50%';
+        loadDialog.style.transform = 'translate(-50%, -50%)';
+        loadDialog.style.backgroundColor = 'rgba(0, 0, 0, 0.95)';
+        loadDialog.style.padding = '20px';
+        loadDialog.style.borderRadius = '10px';
+        loadDialog.style.color = 'white';
+        loadDialog.style.zIndex = '2000';
+        loadDialog.style.minWidth = '300px';
+        loadDialog.style.maxHeight = '80vh';
+        loadDialog.style.overflowY = 'auto';
+
+        const title = document.createElement('div');
+        title.textContent = 'Load Game';
+        title.style.fontSize = '20px';
+        title.style.marginBottom = '15px';
+        title.style.textAlign = 'center';
+        loadDialog.appendChild(title);
+
+        const savesList = document.createElement('div');
+        savesList.style.marginBottom = '15px';
+
+        // Damaged saves are moved to quarantine when the list is read
+        let quarantine = [];
+        let readError = null;
+        try {
+            ({ saves: this.savedGames, quarantine } = await loadSaves(this.saveStore));
+        } catch (error) {
+            readError = error;
+        }
+
+        const errorMessage = document.createElement('div');
+        errorMessage.style.color = '#FF8A80';
+        errorMessage.style.fontSize = '12px';
+        errorMessage.style.marginBottom = '10px';
+        errorMessage.style.display = 'none';
+        loadDialog.appendChild(errorMessage);
+
+        const showError = (text) => {
+            errorMessage.textContent = text;
+            errorMessage.style.display = 'block';
+        };
+        if (readError) showError(`Couldn't read saves: ${readError.message}`);
+
+        // Slot actions change the saves and reopen the dialog to show them
+        const reopen = () => {
+            document.body.removeChild(loadDialog);
+            this.loadGame();
+        };
+        const updateSaves = async (change) => {
+            try {
+                this.savedGames = await change(this.savedGames);
+            } catch (error) {
+                errorMessage.textContent = error.message;
+                errorMessage.style.display = 'block';
+                return;
+            }
+            reopen();
+        };
+
+        // Add saved games to the list
+        Object.entries(this.savedGames).forEach(([saveName, saveData]) => {
+            const actions = document.createElement('div');
+            actions.style.display = 'flex';
+            actions.style.gap = '5px';
+            actions.style.marginTop = '5px';
+
+            const saveItem = this.createSaveSlotElement(saveName, saveData, actions);
+            saveItem.style.cursor = 'pointer';
+
+            const addAction = (label, onClick) => {
+                const button = document.createElement('button');
+                button.textContent = label;
+                button.style.padding = '2px 8px';
+                button.style.fontSize = '12px';
+                button.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+                button.style.border = 'none';
+                button.style.borderRadius = '5px';
+                button.style.color = 'white';
+                button.style.cursor = 'pointer';
+                button.addEventListener('click', (event) => {
+                    // Don't load the save as well
+                    event.stopPropagation();
+                    onClick(button);
+                });
+                actions.appendChild(button);
+            };
+
+            addAction('Rename', () => {
+                // Swap the name for a text box: Enter renames, Escape cancels
+                const nameInput = document.createElement('input');
+                nameInput.type = 'text';
+                nameInput.value = saveName;
+                nameInput.style.padding = '4px';
+                nameInput.style.marginBottom = '5px';
+                nameInput.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+                nameInput.style.border = '1px solid rgba(255, 255, 255, 0.3)';
+                nameInput.style.borderRadius = '5px';
+                nameInput.style.color = 'white';
+                nameInput.addEventListener('click', (event) => event.stopPropagation());
+                nameInput.addEventListener('keydown', (event) => {
+                    event.stopPropagation();
+                    if (event.key === 'Enter') {
+                        updateSaves(saves => renameSave(this.saveStore, saves, saveName, nameInput.value));
+                    } else if (event.key === 'Escape') {
+                        reopen();
+                    }
+                });
+                saveItem.querySelector('[data-save-name]').replaceWith(nameInput);
+                nameInput.focus();
+                nameInput.select();
+            });
+            addAction('Duplicate', () => updateSaves(saves => duplicateSave(this.saveStore, saves, saveName)));
+            addAction('Export', async () => {
+                try {
+                    await this.exportSave(saveName, saveData);
+                } catch (error) {
+                    showError(`Couldn't export "${saveName}": ${error.message}`);
+                }
+            });
+            addAction('Delete', (button) => {
+                // Ask once before deleting
+                if (button.textContent !== 'Confirm Delete') {
+                    button.textContent = 'Confirm Delete';
+                    return;
+                }
+                updateSaves(saves => deleteSave(this.saveStore, saves, saveName));
+            });
+
+            saveItem.addEventListener('mouseenter', () => {
+                saveItem.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
+            });
+
+            saveItem.addEventListener('mouseleave', () => {
+                saveItem.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+            });
+
+            saveItem.addEventListener('click', () => {
+                try {
+                    this.loadSaveGame(saveData);
+                } catch (error) {
+                    errorMessage.textContent = `Couldn't load "${saveName}": ${error.message}`;
+                    errorMessage.style.display = 'block';
+                    return;
+                }
+                document.body.removeChild(loadDialog);
+                this.closeMailboxMenu();
+            });
+
+            savesList.appendChild(saveItem);
+        });
+
+        loadDialog.appendChild(savesList);
+
+        // Damaged saves can't be loaded, but show why and let them be discarded
+        if (quarantine.length > 0) {
+            const quarantineTitle = document.createElement('div');
+            quarantineTitle.textContent = 'Damaged saves';
+            quarantineTitle.style.fontSize = '14px';
+            quarantineTitle.style.marginBottom = '5px';
+            quarantineTitle.style.opacity = '0.7';
+            loadDialog.appendChild(quarantineTitle);
+
+            const quarantineList = document.createElement('div');
+            quarantineList.style.marginBottom = '15px';
+            quarantine.forEach((entry, index) => {
+                const item = document.createElement('div');
+                item.style.display = 'flex';
+                item.style.alignItems = 'center';
+                item.style.gap = '10px';
+                item.style.padding = '10px';
+                item.style.marginBottom = '5px';
+                item.style.backgroundColor = 'rgba(255, 80, 80, 0.1)';
+                item.style.borderRadius = '5px';
+
+                const details = document.createElement('div');
+                details.style.flex = '1';
+                const name = document.createElement('div');
+                name.textContent = entry.name;
+                const reason = document.createElement('div');
+                reason.textContent = entry.error;
+                reason.style.fontSize = '12px';
+                reason.style.opacity = '0.7';
+                details.appendChild(name);
+                details.appendChild(reason);
+
+                const discardButton = document.createElement('button');
+                discardButton.textContent = 'Discard';
+                discardButton.style.padding = '4px 8px';
+                discardButton.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+                discardButton.style.border = 'none';
+                discardButton.style.borderRadius = '5px';
+                discardButton.style.color = 'white';
+                discardButton.style.cursor = 'pointer';
+                discardButton.addEventListener('click', async () => {
+                    try {
+                        await discardQuarantined(this.saveStore, index);
+                    } catch (error) {
+                        showError(`Couldn't discard "${entry.name}": ${error.message}`);
+                        return;
+                    }
+                    reopen();
+                });
+
+                item.appendChild(details);
+                item.appendChild(discardButton);
+                quarantineList.appendChild(item);
+            });
+            loadDialog.appendChild(quarantineList);
+        }
+
+        // Import a save file picked from disk or dropped on the dialog
+        const importFile = async (file) => {
+            try {
+                await this.importSaveFile(file);
+            } catch (error) {
+                showError(`Couldn't import "${file.name}": ${error.message}`);
+                return;
+            }
+            document.body.removeChild(loadDialog);
+            this.closeMailboxMenu();
+        };
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,.gz,application/json,application/gzip';
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) importFile(fileInput.files[0]);
+        });
+        loadDialog.appendChild(fileInput);
+
+        loadDialog.addEventListener('dragover', (event) => {
+            event.preventDefault();
+            loadDialog.style.outline = '2px dashed rgba(255, 255, 255, 0.6)';
+        });
+        loadDialog.addEventListener('dragleave', () => {
+            loadDialog.style.outline = 'none';
+        });
+        loadDialog.addEventListener('drop', (event) => {
+            event.preventDefault();
+            loadDialog.style.outline = 'none';
+            const file = event.dataTransfer.files[0];
+            if (file) importFile(file);
+        });
+
+        const fileOptions = document.createElement('div');
+        fileOptions.style.display = 'flex';
+        fileOptions.style.alignItems = 'center';
+        fileOptions.style.gap = '10px';
+        fileOptions.style.marginBottom = '10px';
+
+        const importButton = document.createElement('button');
+        importButton.textContent = 'Import Save File';
+        importButton.title = 'Or drop a save file on this window';
+        importButton.style.flex = '1';
+        importButton.style.padding = '8px';
+        importButton.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
+        importButton.style.border = 'none';
+        importButton.style.borderRadius = '5px';
+        importButton.style.color = 'white';
+        importButton.style.cursor = 'pointer';
+        importButton.addEventListener('click', () => fileInput.click());
+
+        const compressLabel = document.createElement('label');
+        compressLabel.style.fontSize = '12px';
+        compressLabel.style.cursor = 'pointer';
+        const compressCheckbox = document.createElement('input');
+        compressCheckbox.type = 'checkbox';
+        compressCheckbox.checked = this.compressExports;
+        compressCheckbox.addEventListener('change', () => {
+            this.compressExports = compressCheckbox.checked;
+        });
+        compressLabel.appendChild(compressCheckbox);
+        compressLabel.appendChild(document.createTextNode(' Compress exports'));
+
+        fileOptions.appendChild(importButton);
+        fileOptions.appendChild(compressLabel);
+        loadDialog.appendChild(fileOptions);
+
+        // Where saves are kept and how much room is left
+        const storageInfo = document.createElement('div');
+        storageInfo.style.fontSize = '12px';
+        storageInfo.style.opacity = '0.7';
+        storageInfo.style.marginBottom = '10px';
+        if (this.saveStore.type === 'memory') {
+            storageInfo.textContent = 'This browser won\'t let the game store saves. They will be lost when the page closes, so export any you want to keep.';
+        } else if (this.saveStore.type === 'localStorage') {
+            storageInfo.textContent = 'Saves are kept in limited browser storage. Export old saves to make room.';
+        } else {
+            getStorageEstimate().then(estimate => {
+                if (!estimate) return;
+                storageInfo.textContent = `Storage used: ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)}`;
+            });
+        }
+        loadDialog.appendChild(storageInfo);
+
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'Close';
+        closeButton.style.width = '100%';
+        closeButton.style.padding = '8px';
+        closeButton.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+        closeButton.style.border = 'none';
+        closeButton.style.borderRadius = '5px';
+        closeButton.style.color = 'white';
+        closeButton.style.cursor = 'pointer';
+
+        closeButton.addEventListener('click', () => {
+            document.body.removeChild(loadDialog);
+        });
+
+        loadDialog.appendChild(closeButton);
+        document.body.appendChild(loadDialog);
+    }
+
+    // Download a save as a file that can be imported in another browser
+    async exportSave(name, save) {
+        const blob = await exportSaveFile(name, save, { compress: this.compressExports });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = getSaveFileName(name, { compress: this.compressExports });
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    // Check a save file, load it, and keep it alongside the other saves.
+    // Rejects without changing anything if the file can't be used.
+    async importSaveFile(file) {
+        const { name, save } = await readSaveFile(file);
+        this.loadSaveGame(save);
+
+        await this.savesReady;
+        try {
+            this.savedGames = await putSave(this.saveStore, this.savedGames, getUniqueSaveName(this.savedGames, name), save);
+        } catch (error) {
+            // The game is loaded either way; it just isn't in the list
+            console.warn('Imported save could not be stored:', error);
+            this.showStorageWarning(`The imported save couldn't be kept: ${error.message}`);
+        }
+    }
+
+    // Throws without changing anything if the save can't be used
+    loadSaveGame(saveData) {
+        const state = parseSnapshot(saveData);
+
+        // Clear existing game state. Trees still falling and rocks still
+        // shattering belong to the world being left, so they must not drop
+        // anything into the loaded one.
+        this.cancelAnimations();
+        this.plants.forEach(plant => this.scene.remove(plant.mesh));
+        this.tilledSoil.forEach((tile, key) => {
+            this.scene.remove(tile.mesh);
+            this.removePuddle(key);
+        });
+        this.structures.forEach(structure => this.scene.remove(structure.mesh));
+        this.pickups.forEach(pickup => this.scene.remove(pickup.mesh));
+        this.plants.clear();
+        this.tilledSoil.clear();
+        this.structures.clear();
+        this.pickups = [];
+
+        // Rebuild the world the save was made in. Saves from before worlds
+        // had seeds keep the current one.
+        if (state.seed && state.seed !== this.world.seed) {
+            this.loadWorld(state.seed);
+        }
+
+        // Restore the shape of the ground before putting anything back on it
+        this.terrain.heights.set(this.baseTerrainHeights);
+        this.terrain.applyChanges(state.terrainEdits);
+        this.updateTerrainMesh();
+        this.resetDecorations();
+        this.ponds.forEach(pond => this.scene.remove(pond.mesh));
+        this.ponds.clear();
+        state.ponds.forEach(([key, level]) => {
+            const [x, z] = key.split(',').map(Number);
+            this.ponds.set(key, { mesh: this.createPondMesh(x, z, level), level });
+        });
+
+        // Put back the trees and rocks still standing, with the damage they
+        // had taken. Older saves didn't record them, so keep the current ones.
+        if (state.obstacles) {
+            this.obstacles.forEach(obstacle => this.scene.remove(obstacle));
+            this.obstacles = [];
+            state.obstacles.forEach(({ index, health }) => {
+                if (!this.world.obstacles[index]) return;
+                const obstacle = this.createObstacle(this.world.obstacles[index], index);
+                obstacle.userData.health = Math.min(health, obstacle.userData.health);
+                this.showObstacleDamage(obstacle);
+            });
+        }
+
+        // Restore inventory
+        this.inventory = Inventory.fromJSON(state.inventory);
+        this.updateInventoryDisplay();
+
+        // Restore coins and market demand
+        this.coins = state.coins ?? STARTING_COINS;
+        this.market = state.market || createMarketState();
+        this.updateCoinDisplay();
+
+        // Restore letters and quests
+        this.mail = new MailSystem(state.mail);
+        this.updateMailIndicator();
+
+        // Restore tilled soil, how wet and rich it was and what grew there
+        state.tilledSoil.forEach(({ key, moisture, nutrients, history, dryHours }) => {
+            const [x, z] = key.split(',').map(Number);
+            this.tillSoil(key, { x, z });
+            const tile = this.tilledSoil.get(key);
+            Object.assign(tile, { moisture, nutrients, history: [...history], dryHours });
+            this.updateSoilAppearance(tile);
+        });
+
+        // Restore plants
+        state.plants.forEach(({ key, type, growth, health }) => {
+            if (!CROPS[type]) return;
+            const [x, z] = key.split(',').map(Number);
+            const position = { x, z };
+            this.tillSoil(key, position);
+
+            // Recreate the plant as it looked at its stage
+            const stage = getGrowthStage(type, growth);
+            const plant = this.createCropMesh(type, stage);
+            plant.position.set(x, this.terrain.getHeightAt(x, z), z);
+            this.scene.add(plant);
+
+            this.plants.set(key, {
+                mesh: plant,
+                type,
+                growth,
+                stage,
+                health,
+                isHarvestable: stage === CROPS[type].stages.length - 1
+            });
+        });
+
+        // Restore structures
+        state.structures.forEach(({ key, type }) => {
+            const [x, z] = key.split(',').map(Number);
+            const mesh = this.createStructureMesh(type);
+            mesh.position.set(x, this.terrain.getHeightAt(x, z), z);
+            this.scene.add(mesh);
+            this.structures.set(key, { type, mesh });
+            if (type === 'raised_bed') {
+                if (!this.tilledSoil.has(key)) this.tillSoil(key, { x, z });
+                this.tilledSoil.get(key).raised = true;
+            }
+        });
+
+        // Restore drops nobody picked up yet
+        state.pickups.forEach(({ item, count, x, z }) => this.createPickup(item, count, x, z));
+
+        // Restore the time of day and how long the game has been played
+        if (state.time !== null) {
+            this.gameClock.totalMinutes = state.time;
+        }
+        this.playTime = state.playTime;
+        this.timeSinceAutosave = 0;
+
+        // Put the player back where they stood, looking the same way
+        if (state.player) {
+            const { x, y, z, yaw, pitch } = state.player;
+            this.camera.position.set(x, y, z);
+            this.camera.quaternion.setFromEuler(new THREE.Euler(pitch, yaw, 0, 'YXZ'));
+            this.jumpVelocity = 0;
+            this.isJumping = false;
+            this.canJump = true;
+        }
+
+        // Restore the selected tool, seeds and shovel mode
+        const { tool, seed, shovelMode } = state.selection;
+        if (tool) {
+            document.querySelector(`#toolbar [data-tool-type="${tool}"]`)?.click();
+        }
+        if (shovelMode && this.shovelModes[shovelMode]) {
+            this.shovelMode = shovelMode;
+        }
+        this.selectedSeed = seed && this.inventory.getCount(seed) > 0 ? seed : null;
+        this.selectedStructure = null;
+        this.selectedFertilizer = null;
+        this.updateInventoryDisplay();
+        this.updateSeedTooltip();
+    }
+
+    openMarket() {
+        // Create market dialog
+        const marketDialog = document.createElement('div');
+        marketDialog.style.position = 'fixed';
+        marketDialog.style.top = '50%';
+        marketDialog.style.left = '50%';
+        marketDialog.style.transform = 'translate(-50%, -50%)';
+        marketDialog.style.backgroundColor = 'rgba(0, 0, 0, 0.95)';
+        marketDialog.style.padding = '20px';
+        marketDialog.style.borderRadius = '10px';
+        marketDialog.style.color = 'white';
+        marketDialog.style.zIndex = '2000';
+        marketDialog.style.minWidth = '360px';
+        marketDialog.style.maxHeight = '80vh';
+        marketDialog.style.overflowY = 'auto';
+
+        const title = document.createElement('div');
+        title.textContent = 'Market';
+        title.style.fontSize = '20px';
+        title.style.marginBottom = '15px';
+        title.style.textAlign = 'center';
+        marketDialog.appendChild(title);
+
+        const coins = document.createElement('div');
+        coins.style.textAlign = 'center';
+        coins.style.color = '#FFD700';
+        coins.style.marginBottom = '10px';
+        marketDialog.appendChild(coins);
+
+        const tabs = document.createElement('div');
+        tabs.style.display = 'flex';
+        tabs.style.gap = '5px';
+        tabs.style.marginBottom = '10px';
+        marketDialog.appendChild(tabs);
+
+        const list = document.createElement('div');
+        list.style.display = 'flex';
+        list.style.flexDirection = 'column';
+        list.style.gap = '8px';
+        marketDialog.appendChild(list);
+
+        const message = document.createElement('div');
+        message.style.fontSize = '12px';
+        message.style.color = '#ff6b6b';
+        message.style.minHeight = '14px';
+        message.style.margin = '10px 0';
+        marketDialog.appendChild(message);
+
+        let activeTab = 'sell';
+
+        const createButton = (text, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.style.padding = '6px 10px';
+            button.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
+            button.style.border = 'none';
+            button.style.borderRadius = '5px';
+            button.style.color = 'white';
+            button.style.cursor = 'pointer';
+            button.addEventListener('click', onClick);
+            return button;
+        };
+
+        const render = () => {
+            coins.textContent = `🪙 ${this.coins}`;
+
+            tabs.innerHTML = '';
+            [['sell', 'Sell'], ['buy', 'Buy Seeds']].forEach(([tabId, label]) => {
+                const tab = createButton(label, () => {
+                    activeTab = tabId;
+                    message.textContent = '';
+                    render();
+                });
+                tab.style.flex = '1';
+                tab.style.backgroundColor = tabId === activeTab ?
+                    'rgba(255, 255, 255, 0.3)' : 'rgba(255, 255, 255, 0.1)';
+                tabs.appendChild(tab);
+            });
+
+            list.innerHTML = '';
+            const itemIds = activeTab === 'sell' ?
+                Object.keys(ITEMS).filter(itemId => canSell(itemId) && this.inventory.has(itemId)) :
+                Object.keys(MARKET_PRICES).filter(canBuy);
+
+            if (itemIds.length === 0) {
+                const empty = document.createElement('div');
+                empty.textContent = activeTab === 'sell' ?
+                    'Nothing to sell yet. Harvest some crops!' :
+                    'No seeds for sale right now.';
+                empty.style.textAlign = 'center';
+                empty.style.opacity = '0.5';
+                empty.style.padding = '20px';
+                list.appendChild(empty);
+            }
+
+            itemIds.forEach(itemId => {
+                const item = ITEMS[itemId];
+                const row = document.createElement('div');
+                row.style.display = 'flex';
+                row.style.alignItems = 'center';
+                row.style.gap = '10px';
+                row.style.padding = '8px';
+                row.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+                row.style.borderRadius = '5px';
+
+                const label = document.createElement('div');
+                label.style.flex = '1';
+                const price = activeTab === 'sell' ?
+                    getSellPrice(itemId, { market: this.market, season: this.gameClock.season }) :
+                    getBuyPrice(itemId, { season: this.gameClock.season });
+                label.innerHTML = `
+                    <div>${item.icon} ${item.name}</div>
+                    <div style="font-size: 12px; opacity: 0.7;">
+                        🪙 ${price} each · You have ${this.inventory.getCount(itemId)}
+                    </div>
+                `;
+                row.appendChild(label);
+
+                if (activeTab === 'sell') {
+                    row.appendChild(createButton('Sell 1', () => {
+                        this.sellItem(itemId, 1);
+                        render();
+                    }));
+                    row.appendChild(createButton('Sell All', () => {
+                        this.sellItem(itemId, this.inventory.getCount(itemId));
+                        render();
+                    }));
+                } else {
+                    [1, 5].forEach(amount => {
+                        row.appendChild(createButton(`Buy ${amount}`, () => {
+                            message.textContent = this.buyItem(itemId, amount) || '';
+                            render();
+                        }));
+                    });
+                }
+
+                list.appendChild(row);
+            });
+        };
+
+        const closeButton = createButton('Close', () => {
+            document.body.removeChild(marketDialog);
+        });
+        closeButton.style.width = '100%';
+        closeButton.style.padding = '8px';
+        closeButton.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+        marketDialog.appendChild(closeButton);
+
+        render();
+        document.body.appendChild(marketDialog);
+    }
+
+    sellItem(itemId, amount) {
+        const value = getSaleValue(itemId, amount, { market: this.market, season: this.gameClock.season });
+        if (amount <= 0 || !this.inventory.remove(itemId, amount)) return;
+
+        this.coins += value;
+        this.market = recordSale(this.market, itemId, amount);
+        this.updateCoinDisplay();
+        this.updateInventoryDisplay();
+        this.updateSeedTooltip();
+        this.recordQuestEvent('sell', itemId, amount);
+    }
+
+    // Returns an error message if the purchase couldn't be made
+    buyItem(itemId, amount) {
+        const cost = getBuyPrice(itemId, { season: this.gameClock.season }) * amount;
+        if (cost > this.coins) return 'Not enough coins';
+        if (this.inventory.getSpaceFor(itemId) < amount) return 'No room in your inventory';
+
+        this.coins -= cost;
+        this.inventory.add(itemId, amount);
+        this.updateCoinDisplay();
+        this.updateInventoryDisplay();
+        this.updateSeedTooltip();
+        return null;
+    }
+
+    // Deliver letters that are due and fail quests that ran out of time
+    updateMail() {
+        const { day, hour } = this.gameClock;
+        const delivered = this.mail.deliver(day, hour);
+        const failed = this.mail.expireQuests(day);
+        if (delivered.length > 0 || failed.length > 0) {
+            this.updateMailIndicator();
+        }
+    }
+
+    // Count a harvest, sell or craft event towards quests and reward any
+    // that it completes with a letter carrying the reward
+    recordQuestEvent(event, itemId, count) {
+        if (count <= 0) return;
+
+        this.mail.recordEvent(event, itemId, count).forEach(quest => {
+            const letterId = `${quest.id}_reward`;
+            this.mail.send({
+                id: letterId,
+                from: 'Town Hall',
+                subject: `Quest complete: ${quest.title}`,
+                body: 'Thank you for your help! Your reward is enclosed.',
+                attachments: quest.reward
+            }, this.gameClock.day);
+
+            // Rewards that don't fit in the inventory stay in the letter
+            this.takeAttachments(letterId);
+        });
+        this.updateMailIndicator();
+    }
+
+    // Returns an error message if the attachments couldn't be taken
+    takeAttachments(letterId) {
+        const letter = this.mail.getLetter(letterId);
+        if (!letter || !letter.attachments || letter.attachmentsClaimed) return null;
+
+        const items = Object.entries(letter.attachments.items || {});
+        if (items.some(([itemId, count]) => this.inventory.getSpaceFor(itemId) < count)) {
+            return 'No room in your inventory';
+        }
+
+        const { coins = 0 } = this.mail.claimAttachments(letterId);
+        items.forEach(([itemId, count]) => this.inventory.add(itemId, count));
+        this.coins += coins;
+        this.updateCoinDisplay();
+        this.updateInventoryDisplay();
+        this.updateSeedTooltip();
+        return null;
+    }
+
+    openMessages() {
+        // Create messages dialog
+        const messagesDialog = document.createElement('div');
+        messagesDialog.style.position = 'fixed';
+        messagesDialog.style.top = '50%';
+        messagesDialog.style.left = '50%';
+        messagesDialog.style.transform = 'translate(-50%, -50%)';
+        messagesDialog.style.backgroundColor = 'rgba(0, 0, 0, 0.95)';
+        messagesDialog.style.padding = '20px';
+        messagesDialog.style.borderRadius = '10px';
+        messagesDialog.style.color = 'white';
+        messagesDialog.style.zIndex = '2000';
+        messagesDialog.style.width = '400px';
+        messagesDialog.style.maxHeight = '80vh';
+        messagesDialog.style.overflowY = 'auto';
+
+        const title = document.createElement('div');
+        title.textContent = 'Messages';
+        title.style.fontSize = '20px';
+        title.style.marginBottom = '15px';
+        title.style.textAlign = 'center';
+        messagesDialog.appendChild(title);
+
+        const content = document.createElement('div');
+        content.style.display = 'flex';
+        content.style.flexDirection = 'column';
+        content.style.gap = '8px';
+        content.style.marginBottom = '15px';
+        messagesDialog.appendChild(content);
+
+        const createButton = (text, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.style.padding = '6px 10px';
+            button.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
+            button.style.border = 'none';
+            button.style.borderRadius = '5px';
+            button.style.color = 'white';
+            button.style.cursor = 'pointer';
+            button.addEventListener('click', onClick);
+            return button;
+        };
+
+        const createHeading = (text) => {
+            const heading = document.createElement('div');
+            heading.textContent = text;
+            heading.style.fontSize = '14px';
+            heading.style.opacity = '0.7';
+            heading.style.marginTop = '5px';
+            return heading;
+        };
+
+        // Letters and quests can come from an imported save, so their text is
+        // only ever set as textContent
+        const createLine = (text, fontSize) => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            if (fontSize) line.style.fontSize = fontSize;
+            return line;
+        };
+
+        const describeAttachments = ({ items = {}, coins = 0 }) => [
+            ...Object.entries(items).map(([itemId, count]) => `${ITEMS[itemId].icon} ${count} ${ITEMS[itemId].name}`),
+            ...(coins > 0 ? [`🪙 ${coins}`] : [])
+        ].join(', ');
+
+        const describeObjective = ({ event, item, count, progress }) => {
+            const verb = { harvest: 'Harvest', sell: 'Sell', craft: 'Craft' }[event];
+            const target = item ? ITEMS[item].name : 'crops';
+            return `${verb} ${target}: ${progress}/${count}`;
+        };
+
+        const describeQuestStatus = (quest) => {
+            const due = `due ${getWeekday(quest.deadlineDay)}, Day ${quest.deadlineDay}`;
+            return {
+                offered: `Not accepted · ${due}`,
+                active: `In progress · ${due}`,
+                completed: 'Completed',
+                failed: 'Failed'
+            }[quest.status];
+        };
+
+        const createQuestDetails = (quest) => {
+            const details = document.createElement('div');
+            details.style.padding = '8px';
+            details.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+            details.style.borderRadius = '5px';
+            details.appendChild(createLine(`📜 ${quest.title}`));
+
+            const status = createLine(describeQuestStatus(quest), '12px');
+            status.style.opacity = '0.7';
+            details.appendChild(status);
+
+            quest.objectives.forEach(objective => {
+                details.appendChild(createLine(describeObjective(objective), '12px'));
             });
-            button.addEventListener('mouseout', () => {
-                button.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+
+            const reward = createLine(`Reward: ${describeAttachments(quest.reward)}`, '12px');
+            reward.style.color = '#FFD700';
+            details.appendChild(reward);
+            return details;
+        };
+
+        const showLetter = (letter) => {
+            this.mail.markRead(letter.id);
+            this.updateMailIndicator();
+            content.innerHTML = '';
+
+            const header = document.createElement('div');
+            const subject = createLine(letter.subject, '16px');
+            subject.style.fontWeight = 'bold';
+            header.appendChild(subject);
+            const sender = createLine(`From ${letter.from} · Day ${letter.day}`, '12px');
+            sender.style.opacity = '0.7';
+            header.appendChild(sender);
+            content.appendChild(header);
+
+            const body = document.createElement('div');
+            body.textContent = letter.body;
+            body.style.lineHeight = '1.4';
+            content.appendChild(body);
+
+            const message = document.createElement('div');
+            message.style.fontSize = '12px';
+            message.style.color = '#ff6b6b';
+
+            if (letter.attachments) {
+                const attachments = document.createElement('div');
+                attachments.style.display = 'flex';
+                attachments.style.alignItems = 'center';
+                attachments.style.gap = '10px';
+                attachments.style.padding = '8px';
+                attachments.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+                attachments.style.borderRadius = '5px';
+
+                const label = document.createElement('div');
+                label.style.flex = '1';
+                label.textContent = `📎 ${describeAttachments(letter.attachments)}`;
+                attachments.appendChild(label);
+
+                if (letter.attachmentsClaimed) {
+                    label.style.opacity = '0.5';
+                } else {
+                    attachments.appendChild(createButton('Take', () => {
+                        message.textContent = this.takeAttachments(letter.id) || '';
+                        if (!message.textContent) showLetter(letter);
+                    }));
+                }
+                content.appendChild(attachments);
+            }
+
+            const quest = letter.questId && this.mail.getQuest(letter.questId);
+            if (quest) {
+                content.appendChild(createQuestDetails(quest));
+                if (quest.status === 'offered') {
+                    content.appendChild(createButton('Accept Quest', () => {
+                        this.mail.acceptQuest(quest.id);
+                        showLetter(letter);
+                    }));
+                }
+            }
+
+            content.appendChild(message);
+            content.appendChild(createButton('Back', showInbox));
+        };
+
+        const showInbox = () => {
+            content.innerHTML = '';
+
+            const openQuests = this.mail.quests.filter(quest => quest.status === 'offered' || quest.status === 'active');
+            if (openQuests.length > 0) {
+                content.appendChild(createHeading('Quests'));
+                openQuests.forEach(quest => content.appendChild(createQuestDetails(quest)));
+            }
+
+            content.appendChild(createHeading('Letters'));
+            if (this.mail.letters.length === 0) {
+                const empty = document.createElement('div');
+                empty.textContent = 'No mail yet';
+                empty.style.textAlign = 'center';
+                empty.style.opacity = '0.5';
+                empty.style.padding = '20px';
+                content.appendChild(empty);
+            }
+
+            // Newest letters first
+            [...this.mail.letters].reverse().forEach(letter => {
+                const row = document.createElement('div');
+                row.style.padding = '10px';
+                row.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+                row.style.borderRadius = '5px';
+                row.style.cursor = 'pointer';
+                row.style.fontWeight = letter.read ? 'normal' : 'bold';
+
+                const hasUnclaimed = letter.attachments && !letter.attachmentsClaimed;
+                row.appendChild(createLine(`${letter.read ? '' : '● '}${letter.subject}${hasUnclaimed ? ' 📎' : ''}`));
+                const sender = createLine(`From ${letter.from} · Day ${letter.day}`, '12px');
+                sender.style.opacity = '0.7';
+                sender.style.fontWeight = 'normal';
+                row.appendChild(sender);
+
+                row.addEventListener('mouseenter', () => {
+                    row.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
+                });
+                row.addEventListener('mouseleave', () => {
+                    row.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+                });
+                row.addEventListener('click', () => showLetter(letter));
+                content.appendChild(row);
             });
-            button.onclick = option.action; // Changed to direct assignment for more reliable event handling
-            menu.appendChild(button);
+        };
+
+        const closeButton = createButton('Close', () => {
+            document.body.removeChild(messagesDialog);
         });
+        closeButton.style.width = '100%';
+        closeButton.style.padding = '8px';
+        closeButton.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+        messagesDialog.appendChild(closeButton);
 
-        document.body.appendChild(menu);
-        this.controls.unlock();
-        document.body.style.cursor = 'default';
+        showInbox();
+        document.body.appendChild(messagesDialog);
     }
 
-    closeMailboxMenu() {
-        this.mailboxVisible = false;
-        const menu = document.getElementById('mailbox-menu');
-        if (menu) {
-            document.body.removeChild(menu);
-            if (this.isPlaying) {
-                this.controls.lock();
-                document.body.style.cursor = 'none';
+    updateSetting(settingId, value) {
+        this.settings = normalizeSettings({ ...this.settings, [settingId]: value });
+        saveSettings(this.settings);
+        this.applySettings();
+    }
+
+    // Apply the current settings to the running game without a reload.
+    // Volumes are only stored for now; the game has no sound yet.
+    applySettings() {
+        const settings = this.settings;
+
+        this.controls.pointerSpeed = settings.mouseSensitivity;
+        this.gamepad.deadZone = settings.gamepadDeadZone;
+        this.gamepad.lookSensitivity = settings.gamepadLookSensitivity;
+
+        this.camera.fov = settings.fieldOfView;
+        this.camera.updateProjectionMatrix();
+
+        // Shadow maps are recreated at the new size on the next render
+        const shadow = this.sunLight.shadow;
+        if (shadow.mapSize.width !== settings.shadowQuality) {
+            shadow.mapSize.set(settings.shadowQuality, settings.shadowQuality);
+            if (shadow.map) {
+                shadow.map.dispose();
+                shadow.map = null;
             }
         }
+
+        if (this.renderer.getContextAttributes().antialias !== settings.antialiasing) {
+            const oldRenderer = this.renderer;
+            this.renderer = this.createRenderer();
+            oldRenderer.domElement.replaceWith(this.renderer.domElement);
+            // Release the old WebGL context now rather than whenever the
+            // browser gets round to it, or toggling runs out of contexts
+            oldRenderer.dispose();
+            oldRenderer.forceContextLoss();
+        }
+
+        // Fog and precipitation read their settings every frame; ambient
+        // particles are hidden rather than removed
+        const { pollen, butterflies } = this.particles;
+        [pollen, butterflies].forEach(group => {
+            const visibleCount = Math.round(group.length * settings.particleDensity);
+            group.forEach((particle, index) => {
+                particle.visible = index < visibleCount;
+            });
+        });
+
+        // Scale every HUD element and dialog, but not the 3D view
+        let uiScaleStyle = document.getElementById('ui-scale-style');
+        if (!uiScaleStyle) {
+            uiScaleStyle = document.createElement('style');
+            uiScaleStyle.id = 'ui-scale-style';
+            document.head.appendChild(uiScaleStyle);
+        }
+        uiScaleStyle.textContent = `body > :not(canvas):not(#blocker) { zoom: ${settings.uiScale}; }`;
+
+        this.updateTemperatureToggle();
+        if (this.weatherData) this.updateWeatherDisplay();
     }
 
-    // Placeholder methods for mailbox menu actions
-    saveGame() {
-        // Create save game dialog
-        const saveDialog = document.createElement('div');
-        saveDialog.style.position = 'fixed';
-        saveDialog.style.top = '50%';
-        saveDialog.style.left = '50%';
-        saveDialog.style.transform = 'translate(-50%, -50%)';
-        saveDialog.style.backgroundColor = 'rgba(0, 0, 0, 0.95)';
-        saveDialog.style.padding = '20px';
-        saveDialog.style.borderRadius = '10px';
-        saveDialog.style.color = 'white';
-        saveDialog.style.zIndex = '2000';
-        saveDialog.style.minWidth = '300px';
+    openSettings() {
+        // Create settings dialog
+        const settingsDialog = document.createElement('div');
+        settingsDialog.style.position = 'fixed';
+        settingsDialog.style.top = '50%';
+        settingsDialog.style.left = '50%';
+        settingsDialog.style.transform = 'translate(-50%, -50%)';
+        settingsDialog.style.backgroundColor = 'rgba(0, 0, 0, 0.95)';
+        settingsDialog.style.padding = '20px';
+        settingsDialog.style.borderRadius = '10px';
+        settingsDialog.style.color = 'white';
+        settingsDialog.style.zIndex = '2000';
+        settingsDialog.style.width = '360px';
+        settingsDialog.style.maxHeight = '80vh';
+        settingsDialog.style.overflowY = 'auto';
 
         const title = document.createElement('div');
-        title.textContent = 'Save Game';
+        title.textContent = 'Settings';
         title.style.fontSize = '20px';
         title.style.marginBottom = '15px';
         title.style.textAlign = 'center';
-        saveDialog.appendChild(title);
+        settingsDialog.appendChild(title);
+
+        const list = document.createElement('div');
+        list.style.display = 'flex';
+        list.style.flexDirection = 'column';
+        list.style.gap = '8px';
+        list.style.marginBottom = '15px';
+        settingsDialog.appendChild(list);
+
+        const formatValue = (definition, value) => {
+            if (definition.step >= 1) return String(value);
+            if (definition.max <= 1) return `${Math.round(value * 100)}%`;
+            return `${value.toFixed(2)}×`;
+        };
 
-        const input = document.createElement('input');
-        input.type = 'text';
-        input.placeholder = 'Enter save name...';
-        input.style.width = '100%';
-        input.style.padding = '8px';
-        input.style.marginBottom = '15px';
-        input.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
-        input.style.border = '1px solid rgba(255, 255, 255, 0.3)';
-        input.style.borderRadius = '5px';
-        input.style.color = 'white';
-        saveDialog.appendChild(input);
+        const render = () => {
+            list.innerHTML = '';
+            let currentGroup = null;
+
+            Object.entries(SETTING_DEFINITIONS).forEach(([settingId, definition]) => {
+                if (definition.group !== currentGroup) {
+                    currentGroup = definition.group;
+                    const heading = document.createElement('div');
+                    heading.textContent = currentGroup;
+                    heading.style.fontSize = '14px';
+                    heading.style.opacity = '0.7';
+                    heading.style.marginTop = '5px';
+                    list.appendChild(heading);
+                }
+
+                const row = document.createElement('label');
+                row.style.display = 'flex';
+                row.style.alignItems = 'center';
+                row.style.gap = '10px';
+                row.style.fontSize = '14px';
+
+                const label = document.createElement('span');
+                label.textContent = definition.label;
+                label.style.flex = '1';
+                row.appendChild(label);
+
+                const value = this.settings[settingId];
+                let input;
+                if (definition.type === 'range') {
+                    const valueLabel = document.createElement('span');
+                    valueLabel.textContent = formatValue(definition, value);
+                    valueLabel.style.minWidth = '45px';
+                    valueLabel.style.textAlign = 'right';
+
+                    input = document.createElement('input');
+                    input.type = 'range';
+                    input.min = definition.min;
+                    input.max = definition.max;
+                    input.step = definition.step;
+                    input.value = value;
+                    input.addEventListener('input', () => {
+                        this.updateSetting(settingId, input.value);
+                        valueLabel.textContent = formatValue(definition, this.settings[settingId]);
+                    });
+                    row.appendChild(input);
+                    row.appendChild(valueLabel);
+                } else if (definition.type === 'select') {
+                    input = document.createElement('select');
+                    definition.options.forEach(option => {
+                        const optionElement = document.createElement('option');
+                        optionElement.value = option.value;
+                        optionElement.textContent = option.label;
+                        input.appendChild(optionElement);
+                    });
+                    input.value = value;
+                    input.addEventListener('change', () => this.updateSetting(settingId, input.value));
+                    row.appendChild(input);
+                } else {
+                    input = document.createElement('input');
+                    input.type = 'checkbox';
+                    input.checked = value;
+                    input.addEventListener('change', () => this.updateSetting(settingId, input.checked));
+                    row.appendChild(input);
+                }
+
+                list.appendChild(row);
+            });
+        };
 
         const buttonContainer = document.createElement('div');
         buttonContainer.style.display = 'flex';
         buttonContainer.style.gap = '10px';
 
-        const saveButton = document.createElement('button');
-        saveButton.textContent = 'Save';
-        saveButton.style.flex = '1';
-        saveButton.style.padding = '8px';
-        saveButton.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
-        saveButton.style.border = 'none';
-        saveButton.style.borderRadius = '5px';
-        saveButton.style.color = 'white';
-        saveButton.style.cursor = 'pointer';
+        const keyBindingsButton = document.createElement('button');
+        keyBindingsButton.textContent = 'Key Bindings';
+        const resetButton = document.createElement('button');
+        resetButton.textContent = 'Reset to Defaults';
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'Close';
 
-        const cancelButton = document.createElement('button');
-        cancelButton.textContent = 'Cancel';
-        cancelButton.style.flex = '1';
-        cancelButton.style.padding = '8px';
-        cancelButton.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
-        cancelButton.style.border = 'none';
-        cancelButton.style.borderRadius = '5px';
-        cancelButton.style.color = 'white';
-        cancelButton.style.cursor = 'pointer';
+        [keyBindingsButton, resetButton, closeButton].forEach(button => {
+            button.style.flex = '1';
+            button.style.padding = '8px';
+            button.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+            button.style.border = 'none';
+            button.style.borderRadius = '5px';
+            button.style.color = 'white';
+            button.style.cursor = 'pointer';
+            buttonContainer.appendChild(button);
+        });
 
-        buttonContainer.appendChild(saveButton);
-        buttonContainer.appendChild(cancelButton);
-        saveDialog.appendChild(buttonContainer);
+        keyBindingsButton.addEventListener('click', () => this.openKeyBindings());
 
-        // Handle save action
-        saveButton.addEventListener('click', () => {
-            const saveName = input.value.trim();
-            if (saveName) {
-                const gameState = {
-                    inventory: this.inventory,
-                    plants: Array.from(this.plants.entries()),
-                    tilledSoil: Array.from(this.tilledSoil.keys()),
-                    timestamp: new Date().toLocaleString()
-                };
-                
-                this.savedGames[saveName] = gameState;
-                localStorage.setItem('gardenGameSaves', JSON.stringify(this.savedGames));
-                document.body.removeChild(saveDialog);
-            }
+        resetButton.addEventListener('click', () => {
+            this.settings = getDefaultSettings();
+            saveSettings(this.settings);
+            this.applySettings();
+            render();
         });
 
-        cancelButton.addEventListener('click', () => {
-            document.body.removeChild(saveDialog);
+        closeButton.addEventListener('click', () => {
+            document.body.removeChild(settingsDialog);
         });
 
-        document.body.appendChild(saveDialog);
+        settingsDialog.appendChild(buttonContainer);
+        render();
+        document.body.appendChild(settingsDialog);
     }
 
-    loadGame() {
-        // Create load game dialog
-        const loadDialog = document.createElement('div');
-        loadDialog.style.position = 'fixed';
-        loadDialog.style.top = '50%';
-        loadDialog.style.left = '50%';
-        loadDialog.style.transform = 'translate(-50%, -50%)';
-        loadDialog.style.backgroundColor = 'rgba(0, 0, 0, 0.95)';
-        loadDialog.style.padding = '20px';
-        loadDialog.style.borderRadius = '10px';
-        loadDialog.style.color = 'white';
-        loadDialog.style.zIndex = '2000';
-        loadDialog.style.minWidth = '300px';
-        loadDialog.style.maxHeight = '80vh';
-        loadDialog.style.overflowY = 'auto';
+    openKeyBindings() {
+        // Create key bindings dialog
+        const bindingsDialog = document.createElement('div');
+        bindingsDialog.style.position = 'fixed';
+        bindingsDialog.style.top = '50%';
+        bindingsDialog.style.left = '50%';
+        bindingsDialog.style.transform = 'translate(-50%, -50%)';
+        bindingsDialog.style.backgroundColor = 'rgba(0, 0, 0, 0.95)';
+        bindingsDialog.style.padding = '20px';
+        bindingsDialog.style.borderRadius = '10px';
+        bindingsDialog.style.color = 'white';
+        bindingsDialog.style.zIndex = '2001';
+        bindingsDialog.style.width = '400px';
+        bindingsDialog.style.maxHeight = '80vh';
+        bindingsDialog.style.overflowY = 'auto';
 
         const title = document.createElement('div');
-        title.textContent = 'Load Game';
+        title.textContent = 'Key Bindings';
         title.style.fontSize = '20px';
         title.style.marginBottom = '15px';
         title.style.textAlign = 'center';
-        loadDialog.appendChild(title);
-
-        const savesList = document.createElement('div');
-        savesList.style.marginBottom = '15px';
-
-        // Add saved games to the list
-        Object.entries(this.savedGames).forEach(([saveName, saveData]) => {
-            const saveItem = document.createElement('div');
-            saveItem.style.padding = '10px';
-            saveItem.style.marginBottom = '5px';
-            saveItem.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
-            saveItem.style.borderRadius = '5px';
-            saveItem.style.cursor = 'pointer';
-
-            const saveTitleDiv = document.createElement('div');
-            saveTitleDiv.textContent = saveName;
-            saveTitleDiv.style.marginBottom = '5px';
-
-            const saveTimeDiv = document.createElement('div');
-            saveTimeDiv.textContent = saveData.timestamp;
-            saveTimeDiv.style.fontSize = '12px';
-            saveTimeDiv.style.opacity = '0.7';
-
-            saveItem.appendChild(saveTitleDiv);
-            saveItem.appendChild(saveTimeDiv);
+        bindingsDialog.appendChild(title);
+
+        const profileRow = document.createElement('label');
+        profileRow.style.display = 'flex';
+        profileRow.style.alignItems = 'center';
+        profileRow.style.gap = '10px';
+        profileRow.style.marginBottom = '10px';
+        profileRow.textContent = 'Profile';
+        const profileSelect = document.createElement('select');
+        profileSelect.style.flex = '1';
+        Object.entries(BINDING_PROFILES).forEach(([profileId, profile]) => {
+            const option = document.createElement('option');
+            option.value = profileId;
+            option.textContent = profile.name;
+            profileSelect.appendChild(option);
+        });
+        profileRow.appendChild(profileSelect);
+        bindingsDialog.appendChild(profileRow);
+
+        const list = document.createElement('div');
+        list.style.display = 'flex';
+        list.style.flexDirection = 'column';
+        list.style.gap = '5px';
+        bindingsDialog.appendChild(list);
+
+        const message = document.createElement('div');
+        message.style.fontSize = '12px';
+        message.style.color = '#ff6b6b';
+        message.style.minHeight = '14px';
+        message.style.margin = '10px 0';
+        bindingsDialog.appendChild(message);
+
+        const keyName = (code) => formatKeyCode(code, this.keyboardLayout);
+        let waitingFor = null; // { action, slot } while waiting for a key
+
+        // Keys held under the old bindings would otherwise never be released
+        const saveBindings = () => {
+            Object.keys(ACTIONS)
+                .filter(action => ACTIONS[action].hold)
+                .forEach(action => this.setHeldAction(action, false));
+            saveInputMap(this.inputMap);
+        };
 
-            saveItem.addEventListener('mouseenter', () => {
-                saveItem.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
-            });
+        const render = () => {
+            profileSelect.value = this.inputMap.profile;
+            list.innerHTML = '';
+
+            const conflicts = this.inputMap.getConflicts();
+            const conflictingActions = new Set(conflicts.flatMap(conflict => conflict.actions));
+
+            Object.entries(ACTIONS).forEach(([action, definition]) => {
+                const row = document.createElement('div');
+                row.style.display = 'flex';
+                row.style.alignItems = 'center';
+                row.style.gap = '8px';
+                row.style.padding = '5px 8px';
+                row.style.borderRadius = '5px';
+                row.style.backgroundColor = conflictingActions.has(action) ?
+                    'rgba(255, 107, 107, 0.3)' : 'rgba(255, 255, 255, 0.1)';
+
+                const label = document.createElement('div');
+                label.textContent = definition.label;
+                label.style.flex = '1';
+                row.appendChild(label);
+
+                const codes = this.inputMap.getBindings(action);
+                for (let slot = 0; slot < BINDING_SLOTS; slot++) {
+                    const isWaiting = waitingFor && waitingFor.action === action && waitingFor.slot === slot;
+                    const keyButton = document.createElement('button');
+                    keyButton.textContent = isWaiting ? 'Press a key…' : (codes[slot] ? keyName(codes[slot]) : '—');
+                    keyButton.style.width = '95px';
+                    keyButton.style.padding = '5px';
+                    keyButton.style.backgroundColor = isWaiting ? 'rgba(255, 255, 255, 0.4)' : 'rgba(255, 255, 255, 0.2)';
+                    keyButton.style.border = 'none';
+                    keyButton.style.borderRadius = '5px';
+                    keyButton.style.color = 'white';
+                    keyButton.style.cursor = 'pointer';
+                    keyButton.addEventListener('click', () => {
+                        // A new key always goes after the existing ones
+                        waitingFor = { action, slot: Math.min(slot, codes.length) };
+                        this.rebinding = true;
+                        message.textContent = 'Press a key, Delete to clear it or Escape to cancel';
+                        message.style.color = 'white';
+                        render();
+                    });
+                    row.appendChild(keyButton);
+                }
 
-            saveItem.addEventListener('mouseleave', () => {
-                saveItem.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+                list.appendChild(row);
             });
 
-            saveItem.addEventListener('click', () => {
-                this.loadSaveGame(saveData);
-                document.body.removeChild(loadDialog);
-                this.closeMailboxMenu();
-            });
+            if (!waitingFor) {
+                message.style.color = '#ff6b6b';
+                message.textContent = conflicts.map(({ code, actions }) =>
+                    `${keyName(code)} is bound to ${actions.map(action => ACTIONS[action].label).join(' and ')}`
+                ).join('. ');
+            }
+        };
 
-            savesList.appendChild(saveItem);
+        // Capture the next key press before the game sees it
+        const onKeyDown = (event) => {
+            if (!waitingFor) return;
+            event.preventDefault();
+            event.stopPropagation();
+
+            const { action, slot } = waitingFor;
+            waitingFor = null;
+            this.rebinding = false;
+
+            if (event.code === 'Escape') {
+                // Cancelled
+            } else if (event.code === 'Delete') {
+                this.inputMap.setBinding(action, slot, null);
+            } else {
+                this.inputMap.setBinding(action, slot, event.code);
+            }
+            saveBindings();
+            render();
+        };
+        document.addEventListener('keydown', onKeyDown, true);
+
+        profileSelect.addEventListener('change', () => {
+            this.inputMap.setProfile(profileSelect.value);
+            waitingFor = null;
+            this.rebinding = false;
+            saveBindings();
+            render();
         });
 
-        loadDialog.appendChild(savesList);
+        const buttonContainer = document.createElement('div');
+        buttonContainer.style.display = 'flex';
+        buttonContainer.style.gap = '10px';
 
+        const resetButton = document.createElement('button');
+        resetButton.textContent = 'Reset Profile';
         const closeButton = document.createElement('button');
         closeButton.textContent = 'Close';
-        closeButton.style.width = '100%';
-        closeButton.style.padding = '8px';
-        closeButton.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
-        closeButton.style.border = 'none';
-        closeButton.style.borderRadius = '5px';
-        closeButton.style.color = 'white';
-        closeButton.style.cursor = 'pointer';
 
-        closeButton.addEventListener('click', () => {
-            document.body.removeChild(loadDialog);
+        [resetButton, closeButton].forEach(button => {
+            button.style.flex = '1';
+            button.style.padding = '8px';
+            button.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+            button.style.border = 'none';
+            button.style.borderRadius = '5px';
+            button.style.color = 'white';
+            button.style.cursor = 'pointer';
+            buttonContainer.appendChild(button);
         });
 
-        loadDialog.appendChild(closeButton);
-        document.body.appendChild(loadDialog);
-    }
-
-    loadSaveGame(saveData) {
-        // Clear existing game state
-        this.plants.forEach(plant => this.scene.remove(plant.mesh));
-        this.tilledSoil.forEach(soil => this.scene.remove(soil));
-        this.plants.clear();
-        this.tilledSoil.clear();
-
-        // Restore inventory
-        this.inventory = saveData.inventory;
-        this.updateInventoryDisplay();
-
-        // Restore plants
-        saveData.plants.forEach(([key, plantData]) => {
-            const [x, z] = key.split(',').map(Number);
-            const position = { x, z };
-            this.tillSoil(key, position);
-            
-            // Recreate the plant
-            const plantGeometry = new THREE.ConeGeometry(0.1, 0.2, 8);
-            const plantMaterial = new THREE.MeshStandardMaterial({
-                color: 0x90EE90
-            });
-            const plant = new THREE.Mesh(plantGeometry, plantMaterial);
-            plant.position.set(x, 0.1, z);
-            this.scene.add(plant);
-
-            this.plants.set(key, {
-                mesh: plant,
-                type: plantData.type,
-                growth: plantData.growth,
-                waterCount: plantData.waterCount,
-                isHarvestable: plantData.isHarvestable
-            });
-
-            // If the plant was grown, update its appearance
-            if (plantData.waterCount > 0) {
-                this.growPlant(key, this.plants.get(key));
-            }
+        resetButton.addEventListener('click', () => {
+            this.inputMap.resetProfile();
+            waitingFor = null;
+            this.rebinding = false;
+            saveBindings();
+            render();
         });
 
-        // Restore tilled soil
-        saveData.tilledSoil.forEach(key => {
-            const [x, z] = key.split(',').map(Number);
-            if (!this.tilledSoil.has(key)) {
-                this.tillSoil(key, { x, z });
-            }
+        closeButton.addEventListener('click', () => {
+            this.rebinding = false;
+            document.removeEventListener('keydown', onKeyDown, true);
+            document.body.removeChild(bindingsDialog);
         });
-    }
 
-    openMessages() {
-        console.log('Messages functionality to be implemented');
+        bindingsDialog.appendChild(buttonContainer);
+        render();
+        document.body.appendChild(bindingsDialog);
     }
 
-    openSettings() {
-        console.log('Settings functionality to be implemented');
+    updateTemperatureToggle() {
+        this.temperatureToggle.forEach(btn => {
+            if (btn.textContent.includes(this.settings.temperatureUnit)) {
+                btn.style.backgroundColor = 'rgba(255, 255, 255, 0.3)';
+                btn.style.color = 'white';
+            } else {
+                btn.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+                btn.style.color = 'rgba(255, 255, 255, 0.7)';
+            }
+        });
     }
 
     setupWeatherWidget() {
@@ -2055,37 +4784,15 @@ class GardenGame {
             btn.style.minWidth = '40px';
         });
 
-        const updateToggleButtons = () => {
-            [celsiusBtn, fahrenheitBtn].forEach(btn => {
-                if (btn.textContent.includes(this.temperatureUnit)) {
-                    btn.style.backgroundColor = 'rgba(255, 255, 255, 0.3)';
-                    btn.style.color = 'white';
-                } else {
-                    btn.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
-                    btn.style.color = 'rgba(255, 255, 255, 0.7)';
-                }
-            });
-        };
-
-        celsiusBtn.onclick = () => {
-            this.temperatureUnit = 'C';
-            localStorage.setItem('temperatureUnit', 'C');
-            updateToggleButtons();
-            if (this.weatherData) this.updateWeatherDisplay();
-        };
-
-        fahrenheitBtn.onclick = () => {
-            this.temperatureUnit = 'F';
-            localStorage.setItem('temperatureUnit', 'F');
-            updateToggleButtons();
-            if (this.weatherData) this.updateWeatherDisplay();
-        };
+        celsiusBtn.onclick = () => this.updateSetting('temperatureUnit', 'C');
+        fahrenheitBtn.onclick = () => this.updateSetting('temperatureUnit', 'F');
 
         toggleContainer.appendChild(celsiusBtn);
         toggleContainer.appendChild(fahrenheitBtn);
         widget.appendChild(toggleContainer);
+        this.temperatureToggle = [celsiusBtn, fahrenheitBtn];
 
-        updateToggleButtons();
+        this.updateTemperatureToggle();
 
         // Loading state
         const loadingDiv = document.createElement('div');
@@ -2105,6 +4812,22 @@ class GardenGame {
         dateTime.style.textAlign = 'center';
         widget.appendChild(dateTime);
 
+        // Season in the game's calendar
+        const season = document.createElement('div');
+        season.id = 'season-display';
+        season.style.fontSize = '14px';
+        season.style.textAlign = 'center';
+        season.style.paddingTop = '5px';
+        widget.appendChild(season);
+
+        // In-game time
+        const gameTime = document.createElement('div');
+        gameTime.id = 'game-time';
+        gameTime.style.fontSize = '14px';
+        gameTime.style.textAlign = 'center';
+        gameTime.style.opacity = '0.8';
+        widget.appendChild(gameTime);
+
         // Current weather
         const current = document.createElement('div');
         current.id = 'current-weather';
@@ -2148,7 +4871,7 @@ class GardenGame {
     }
 
     convertTemperature(celsius) {
-        return this.temperatureUnit === 'F' ? 
+        return this.settings.temperatureUnit === 'F' ? 
             Math.round(celsius * 9/5 + 32) : 
             Math.round(celsius);
     }
@@ -2173,70 +4896,65 @@ class GardenGame {
             if (currentWeather) currentWeather.style.display = 'none';
             if (forecast) forecast.style.display = 'none';
 
-            // Get current location
-            console.log('Requesting location...');
-            const position = await this.getCurrentLocation();
-            console.log('Location received:', position.coords.latitude, position.coords.longitude);
-            
-            const { latitude, longitude } = position.coords;
-            const apiKey = '8e61cd2673f2a7d72856bdeedad1d5d8';
-
-            // Fetch current weather
-            console.log('Fetching current weather...');
-            const currentWeatherUrl = `https://api.openweathermap.org/data/2.5/weather?lat=${latitude}&lon=${longitude}&appid=${apiKey}&units=metric`;
-            const currentResponse = await fetch(currentWeatherUrl);
-
-            if (!currentResponse.ok) {
-                const errorText = await currentResponse.text();
-                throw new Error(`Current weather API error (${currentResponse.status}): ${errorText}`);
-            }
-
-            const currentData = await currentResponse.json();
-            console.log('Current weather data received');
-
-            // Fetch forecast
-            console.log('Fetching forecast...');
-            const forecastUrl = `https://api.openweathermap.org/data/2.5/forecast?lat=${latitude}&lon=${longitude}&appid=${apiKey}&units=metric`;
-            const forecastResponse = await fetch(forecastUrl);
+            let weatherData;
+            try {
+                let coords = null;
+                if (this.weatherProvider.requiresLocation) {
+                    // Get current location
+                    console.log('Requesting location...');
+                    const position = await this.getCurrentLocation();
+                    console.log('Location received:', position.coords.latitude, position.coords.longitude);
+                    coords = position.coords;
+                }
 
-            if (!forecastResponse.ok) {
-                const errorText = await forecastResponse.text();
-                throw new Error(`Forecast API error (${forecastResponse.status}): ${errorText}`);
+                console.log('Fetching weather...');
+                weatherData = await this.weatherProvider.getWeather(coords);
+                console.log('Weather data received');
+
+                // Remember the last good response for offline play
+                localStorage.setItem('gardenGameWeatherCache', JSON.stringify({
+                    timestamp: now,
+                    data: weatherData
+                }));
+
+                // Update last weather update timestamp ONLY if successful
+                this.lastWeatherUpdate = now;
+            } catch (error) {
+                // Keep the garden simulation running without a connection
+                console.error('Error fetching weather, using offline weather:', error);
+                const cached = JSON.parse(localStorage.getItem('gardenGameWeatherCache') || 'null');
+                weatherData = await new OfflineWeatherProvider({ cached }).getWeather();
+                this.showWeatherError(error);
             }
 
-            const forecastData = await forecastResponse.json();
-            console.log('Forecast data received');
+            this.weatherData = weatherData;
+            this.weatherConditions = getWeatherConditions(weatherData.current);
 
-            // Update last weather update timestamp ONLY if successful
-            this.lastWeatherUpdate = now;
-
-            // Combine the data
-            this.weatherData = {
-                current: currentData,
-                forecast: forecastData
-            };
-            
             // Hide loading, show weather
             if (loadingDiv) loadingDiv.style.display = 'none';
             this.updateWeatherDisplay();
 
         } catch (error) {
             console.error('Error fetching weather:', error);
-            const errorDiv = document.getElementById('weather-error');
             const loadingDiv = document.getElementById('weather-loading');
-            if (errorDiv) {
-                errorDiv.style.display = 'block';
-                errorDiv.textContent = `Weather Error: ${error.message}`;
-                errorDiv.style.color = '#ff6b6b';
-                errorDiv.style.padding = '10px';
-                errorDiv.style.backgroundColor = 'rgba(255, 0, 0, 0.1)';
-                errorDiv.style.borderRadius = '5px';
-                errorDiv.style.margin = '10px 0';
-            }
+            this.showWeatherError(error);
             if (loadingDiv) loadingDiv.style.display = 'none';
         }
     }
 
+    showWeatherError(error) {
+        const errorDiv = document.getElementById('weather-error');
+        if (errorDiv) {
+            errorDiv.style.display = 'block';
+            errorDiv.textContent = `Weather Error: ${error.message}`;
+            errorDiv.style.color = '#ff6b6b';
+            errorDiv.style.padding = '10px';
+            errorDiv.style.backgroundColor = 'rgba(255, 0, 0, 0.1)';
+            errorDiv.style.borderRadius = '5px';
+            errorDiv.style.margin = '10px 0';
+        }
+    }
+
     getCurrentLocation() {
         return new Promise((resolve, reject) => {
             if (!navigator.geolocation) {
@@ -2264,6 +4982,7 @@ class GardenGame {
 
         const currentWeather = document.getElementById('current-weather');
         const current = this.weatherData.current;
+        const conditions = this.weatherConditions;
         
         // Update location display
         const locationDiv = document.getElementById('location-display');
@@ -2274,21 +4993,21 @@ class GardenGame {
         // Show the weather container
         currentWeather.style.display = 'flex';
         
-        const temp = this.convertTemperature(current.main.temp);
+        const temp = this.convertTemperature(conditions.temperature);
         const tempHigh = this.convertTemperature(current.main.temp_max);
         const tempLow = this.convertTemperature(current.main.temp_min);
         
         currentWeather.innerHTML = `
             <div style="text-align: center; flex: 1;">
                 <div style="font-size: 32px; font-weight: bold; margin-bottom: 5px;">
-                    ${temp}°${this.temperatureUnit}
+                    ${temp}°${this.settings.temperatureUnit}
                 </div>
                 <div style="font-size: 16px; margin-bottom: 5px;">
-                    ${current.weather[0].main}
+                    ${conditions.main}
                 </div>
                 <div style="font-size: 14px; opacity: 0.8;">
-                    H: ${tempHigh}°${this.temperatureUnit}
-                    L: ${tempLow}°${this.temperatureUnit}
+                    H: ${tempHigh}°${this.settings.temperatureUnit}
+                    L: ${tempLow}°${this.settings.temperatureUnit}
                 </div>
             </div>
             <div style="background: rgba(255, 255, 255, 0.1); padding: 10px; border-radius: 10px;">
@@ -2329,7 +5048,7 @@ class GardenGame {
                     src="https://openweathermap.org/img/wn/${day.weather[0].icon}.png"
                     style="width: 40px; height: 40px;"
                 />
-                <div style="font-size: 14px;">${temp}°${this.temperatureUnit}</div>
+                <div style="font-size: 14px;">${temp}°${this.settings.temperatureUnit}</div>
             `;
             
             // Hover effect
@@ -2359,6 +5078,12 @@ class GardenGame {
             };
             dateTime.textContent = now.toLocaleDateString(undefined, options);
         }
+
+        const gameTime = document.getElementById('game-time');
+        if (gameTime) {
+            const phaseIcons = { dawn: '🌅', day: '☀️', dusk: '🌇', night: '🌙' };
+            gameTime.textContent = `${phaseIcons[this.gameClock.getPhase()]} ${this.gameClock.format()}`;
+        }
     }
 }
 
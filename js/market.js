@@ -0,0 +1,92 @@
+// Market prices and demand. Prices are base values in coins, adjusted by an
+// optional per-season multiplier and by how much of an item was sold lately.
+
+import { CROPS } from './crops.js';
+import { getSeedItemId } from './inventory.js';
+
+export const STARTING_COINS = 50;
+
+export const MARKET_PRICES = {
+    // Produce and seeds, priced in crops.js
+    ...Object.fromEntries(Object.entries(CROPS).flatMap(([cropType, crop]) => [
+        [cropType, crop.market],
+        [getSeedItemId(cropType), crop.seedMarket]
+    ])),
+
+    // Materials the market buys
+    wood: { sell: 2 },
+    stone: { sell: 2 },
+
+    // Supplies the market sells
+    fertilizer: { buy: 8, seasons: { spring: 1.2 } }
+};
+
+// Each unit sold recently knocks this much off the price, down to MIN_DEMAND
+const DEMAND_DROP_PER_UNIT = 0.02;
+const MIN_DEMAND = 0.5;
+// Fraction of the recent sales forgotten each game day
+const DEMAND_RECOVERY_PER_DAY = 0.3;
+
+export function createMarketState() {
+    return { sold: {} }; // Recently sold amounts per item
+}
+
+function getSeasonMultiplier(itemId, season) {
+    return MARKET_PRICES[itemId].seasons?.[season] ?? 1;
+}
+
+export function getDemandMultiplier(market, itemId) {
+    return Math.max(MIN_DEMAND, 1 - (market.sold[itemId] || 0) * DEMAND_DROP_PER_UNIT);
+}
+
+export function canSell(itemId) {
+    return MARKET_PRICES[itemId]?.sell !== undefined;
+}
+
+export function canBuy(itemId) {
+    return MARKET_PRICES[itemId]?.buy !== undefined;
+}
+
+// Coins paid for one unit
+export function getSellPrice(itemId, { market, season } = {}) {
+    if (!canSell(itemId)) return 0;
+
+    const demand = market ? getDemandMultiplier(market, itemId) : 1;
+    return Math.max(1, Math.round(MARKET_PRICES[itemId].sell * getSeasonMultiplier(itemId, season) * demand));
+}
+
+// Coins charged for one unit
+export function getBuyPrice(itemId, { season } = {}) {
+    if (!canBuy(itemId)) return 0;
+
+    return Math.max(1, Math.round(MARKET_PRICES[itemId].buy * getSeasonMultiplier(itemId, season)));
+}
+
+// Coins paid for selling `amount` units in one go. Each unit is priced
+// against the demand left by the units sold before it, so a big sale fetches
+// no more than the same units sold one at a time.
+export function getSaleValue(itemId, amount, { market = createMarketState(), season } = {}) {
+    let value = 0;
+    let current = market;
+    for (let unit = 0; unit < amount; unit++) {
+        value += getSellPrice(itemId, { market: current, season });
+        current = recordSale(current, itemId, 1);
+    }
+    return value;
+}
+
+// Returns a new market state with a sale recorded
+export function recordSale(market, itemId, amount) {
+    return { ...market, sold: { ...market.sold, [itemId]: (market.sold[itemId] || 0) + amount } };
+}
+
+// Returns a new market state with demand recovered over a number of game days
+export function recoverDemand(market, days) {
+    const keep = Math.pow(1 - DEMAND_RECOVERY_PER_DAY, days);
+    const sold = {};
+    Object.entries(market.sold).forEach(([itemId, amount]) => {
+        const remaining = amount * keep;
+        if (remaining >= 0.01) sold[itemId] = remaining;
+    });
+    return { ...market, sold };
+}
@@ -0,0 +1,97 @@
+// Save files, for moving a garden to another browser, keeping a backup or
+// attaching one to a bug report. A file holds one save and its name, and may
+// be gzip-compressed. Files are checked the same way stored saves are, both
+// when exporting and when importing.
+
+import { cleanSaveMeta, cleanSaveTimestamp } from './saves.js';
+import { parseSnapshot } from './snapshot.js';
+
+export const SAVE_FILE_FORMAT = 'garden-game-save';
+export const MAX_SAVE_FILE_SIZE = 20 * 1024 * 1024; // Far bigger than any real save
+
+const TOO_LARGE_MESSAGE = 'The file is too large to be a save';
+
+// Throws if the save couldn't be imported again
+export function createSaveFile(name, save) {
+    parseSnapshot(save);
+    return { format: SAVE_FILE_FORMAT, name, exportedAt: new Date().toISOString(), save };
+}
+
+// Resolves to a Blob with the file's contents
+export async function exportSaveFile(name, save, { compress = false } = {}) {
+    const json = new Blob([JSON.stringify(createSaveFile(name, save))], { type: 'application/json' });
+    if (!compress) return json;
+
+    const compressed = json.stream().pipeThrough(new CompressionStream('gzip'));
+    return new Blob([await new Response(compressed).arrayBuffer()], { type: 'application/gzip' });
+}
+
+// e.g. "My Garden" becomes "My-Garden.json", or "My-Garden.json.gz". Only
+// characters file systems don't allow are dropped, so names in any script
+// survive.
+export function getSaveFileName(name, { compress = false } = {}) {
+    const base = name.replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '').trim().replace(/\s+/g, '-') || 'garden';
+    return `${base}${compress ? '.json.gz' : '.json'}`;
+}
+
+// Unpack gzip data, giving up once it grows past MAX_SAVE_FILE_SIZE so a
+// small file that unpacks to gigabytes can't use up the page's memory
+async function decompress(bytes) {
+    const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip')).getReader();
+    const chunks = [];
+    let size = 0;
+    try {
+        for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+            size += chunk.value.length;
+            if (size > MAX_SAVE_FILE_SIZE) {
+                reader.cancel().catch(() => {});
+                throw new Error(TOO_LARGE_MESSAGE);
+            }
+            chunks.push(chunk.value);
+        }
+    } catch (error) {
+        if (error.message === TOO_LARGE_MESSAGE) throw error;
+        throw new Error('The file is compressed but could not be unpacked');
+    }
+
+    const unpacked = new Uint8Array(size);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        unpacked.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return unpacked;
+}
+
+// Read a File or Blob, compressed or not. Resolves to { name, save }, or
+// rejects with an Error saying what is wrong with the file. Whatever of the
+// save's `timestamp` and `meta` can't be trusted is dropped.
+export async function readSaveFile(file) {
+    if (file.size > MAX_SAVE_FILE_SIZE) throw new Error(TOO_LARGE_MESSAGE);
+
+    let bytes = new Uint8Array(await file.arrayBuffer());
+
+    // gzip data starts with the bytes 1f 8b
+    if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+        bytes = await decompress(bytes);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(new TextDecoder().decode(bytes));
+    } catch {
+        throw new Error('The file is not a save file');
+    }
+    if (data?.format !== SAVE_FILE_FORMAT || !data.save) {
+        throw new Error('The file is not a save file');
+    }
+
+    parseSnapshot(data.save);
+    const name = typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Imported save';
+    const { timestamp, meta, ...save } = data.save;
+    const cleanTimestamp = cleanSaveTimestamp(timestamp);
+    if (cleanTimestamp !== null) save.timestamp = cleanTimestamp;
+    const cleanMeta = cleanSaveMeta(meta);
+    if (cleanMeta) save.meta = cleanMeta;
+    return { name, save };
+}
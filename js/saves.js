@@ -0,0 +1,146 @@
+// Save games, kept by name in a save store (see storage.js). Saves that
+// can't be read are moved aside into quarantine along with the reason, so
+// one damaged save never stops the others from loading.
+
+import { parseSnapshot } from './snapshot.js';
+
+// Resolves to { saves, quarantine }: the saves that can be loaded, by name,
+// and everything in quarantine including saves moved there just now
+export async function loadSaves(store) {
+    const stored = await store.getSaves();
+    const quarantine = await store.getQuarantine();
+    const quarantinedAt = new Date().toISOString();
+
+    const saves = {};
+    const damaged = [];
+    Object.entries(stored).forEach(([name, save]) => {
+        try {
+            parseSnapshot(save);
+            saves[name] = save;
+        } catch (error) {
+            quarantine.push({ name, save, error: error.message, quarantinedAt });
+            damaged.push(name);
+        }
+    });
+
+    if (damaged.length > 0) {
+        // Quarantine first so nothing is lost if deleting fails
+        await store.setQuarantine(quarantine);
+        for (const name of damaged) await store.deleteSave(name);
+    }
+    return { saves, quarantine };
+}
+
+// Resolves to the quarantine list without the entry at `index`
+export async function discardQuarantined(store, index) {
+    const quarantine = await store.getQuarantine();
+    quarantine.splice(index, 1);
+    await store.setQuarantine(quarantine);
+    return quarantine;
+}
+
+export const AUTOSAVE_SLOTS = 3;
+export const AUTOSAVE_INTERVAL = 300; // Real seconds of play between autosaves
+
+const AUTOSAVE_NAME = /^Autosave \d+$/;
+
+export function isAutosave(name) {
+    return AUTOSAVE_NAME.test(name);
+}
+
+// Autosaves rotate through "Autosave 1" to "Autosave 3": the first empty
+// slot, otherwise the one saved longest ago
+export function getAutosaveName(saves) {
+    const names = Array.from({ length: AUTOSAVE_SLOTS }, (_, index) => `Autosave ${index + 1}`);
+    const savedAt = (name) => saves[name].meta?.savedAt || '';
+    return names.find(name => !saves[name]) ||
+        names.reduce((oldest, name) => savedAt(name) < savedAt(oldest) ? name : oldest);
+}
+
+// The functions below write the change to `store` and resolve to a new set
+// of saves, leaving the `saves` passed in unchanged
+export async function putSave(store, saves, name, save) {
+    await store.putSave(name, save);
+    return { ...saves, [name]: save };
+}
+
+export async function renameSave(store, saves, name, newName) {
+    const trimmed = newName.trim();
+    if (!trimmed) throw new Error('Enter a name for the save');
+    if (trimmed === name) return saves;
+    if (saves[trimmed]) throw new Error(`There is already a save called "${trimmed}"`);
+
+    // Store the new name before dropping the old one, so a failure in
+    // between leaves a copy rather than nothing
+    await store.putSave(trimmed, saves[name]);
+    await store.deleteSave(name);
+
+    const renamed = {};
+    Object.entries(saves).forEach(([key, save]) => {
+        renamed[key === name ? trimmed : key] = save;
+    });
+    return renamed;
+}
+
+export async function duplicateSave(store, saves, name) {
+    let copyName = `${name} (copy)`;
+    for (let copy = 2; saves[copyName]; copy++) {
+        copyName = `${name} (copy ${copy})`;
+    }
+    return putSave(store, saves, copyName, structuredClone(saves[name]));
+}
+
+export async function deleteSave(store, saves, name) {
+    await store.deleteSave(name);
+    const { [name]: deleted, ...remaining } = saves;
+    return remaining;
+}
+
+// The parts of a save's `meta` that are safe to show, or null if it has
+// none. Saves can come from files other people made, so numbers must be
+// numbers and only inline images are shown as thumbnails; a URL would make
+// the game fetch whatever it points at.
+export function cleanSaveMeta(meta) {
+    if (meta === null || typeof meta !== 'object' || Array.isArray(meta)) return null;
+
+    const clean = {};
+    if (typeof meta.savedAt === 'string' && !Number.isNaN(Date.parse(meta.savedAt))) {
+        clean.savedAt = meta.savedAt;
+    }
+    ['playTime', 'day', 'coins'].forEach(field => {
+        if (Number.isFinite(meta[field])) clean[field] = meta[field];
+    });
+    if (typeof meta.thumbnail === 'string' && meta.thumbnail.startsWith('data:image/')) {
+        clean.thumbnail = meta.thumbnail;
+    }
+    return Object.keys(clean).length > 0 ? clean : null;
+}
+
+const MAX_TIMESTAMP_LENGTH = 64; // Far longer than any date the game writes
+
+// A save's `timestamp` if it is safe to show, or null. The game writes it
+// as local date text; a number is read as milliseconds since 1970.
+export function cleanSaveTimestamp(timestamp) {
+    if (typeof timestamp === 'string') {
+        return timestamp.trim() && timestamp.length <= MAX_TIMESTAMP_LENGTH ? timestamp : null;
+    }
+    if (Number.isFinite(timestamp) && !Number.isNaN(new Date(timestamp).getTime())) return timestamp;
+    return null;
+}
+
+// e.g. "1h 05m" or "12m"
+export function formatPlayTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const hours = Math.floor(minutes / 60);
+    if (hours === 0) return `${minutes}m`;
+    return `${hours}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+// `name`, or "name (2)", "name (3)"... if that is taken
+export function getUniqueSaveName(saves, name) {
+    let unique = name;
+    for (let number = 2; saves[unique]; number++) {
+        unique = `${name} (${number})`;
+    }
+    return unique;
+}
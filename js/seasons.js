@@ -0,0 +1,68 @@
+// How the seasons look: ground and leaf colors for each season, and snow in
+// winter. Colors change over the first day of a season. Whether and when a
+// winter brings snow depends on the world seed, so it needs no saving.
+
+import { lerpHex } from './dayNight.js';
+import { DAYS_PER_SEASON, MINUTES_PER_DAY, SEASONS, getCalendarDate } from './gameClock.js';
+import { createRandom } from './worldgen.js';
+
+export const SEASON_LOOKS = {
+    spring: { name: 'Spring', icon: '🌱', ground: 0x5E9A38, leaves: 0x3CB043 },
+    summer: { name: 'Summer', icon: '🌻', ground: 0x558833, leaves: 0x228B22 },
+    fall: { name: 'Fall', icon: '🍂', ground: 0x7D7B3A, leaves: 0xC8641E },
+    winter: { name: 'Winter', icon: '❄️', ground: 0x6E6A4E, leaves: 0x4E5B3A }
+};
+
+export const SNOW_COLOR = 0xF2F6FA;
+export const SNOW_DAY_CHANCE = 0.4; // Chance of each winter day bringing the first snow
+const SNOW_SETTLE_HOURS = 6; // Hours of snowfall before the ground is white
+const SNOW_MELT_HOURS = 12; // Hours into spring before the snow has gone
+
+// Ground and leaf colors at a time, moving from the last season's over
+// the first day of each season
+export function getSeasonColors(totalMinutes) {
+    const day = Math.floor(totalMinutes / MINUTES_PER_DAY) + 1;
+    const { season, dayOfSeason } = getCalendarDate(day);
+    const look = SEASON_LOOKS[season];
+    if (dayOfSeason > 1 || day === 1) return { ground: look.ground, leaves: look.leaves };
+
+    const previous = SEASON_LOOKS[SEASONS[(SEASONS.indexOf(season) + SEASONS.length - 1) % SEASONS.length]];
+    const progress = (totalMinutes % MINUTES_PER_DAY) / MINUTES_PER_DAY;
+    return {
+        ground: lerpHex(previous.ground, look.ground, progress),
+        leaves: lerpHex(previous.leaves, look.leaves, progress)
+    };
+}
+
+// Day of the season when a winter's first snow falls, or null for a winter
+// without snow
+export function getFirstSnowDay(year, seed) {
+    const random = createRandom(`${seed}:snow:${year}`);
+    for (let day = 1; day <= DAYS_PER_SEASON; day++) {
+        if (random() < SNOW_DAY_CHANCE) return day;
+    }
+    return null;
+}
+
+// Returns { cover, falling }, both 0-1: how white the ground is and how hard
+// it is snowing. Snow falls from midnight on a winter's first snowy day,
+// lies for the rest of winter and melts on the first morning of spring.
+export function getSnow(totalMinutes, seed) {
+    const day = Math.floor(totalMinutes / MINUTES_PER_DAY) + 1;
+    const hour = (totalMinutes % MINUTES_PER_DAY) / 60;
+    const { season, dayOfSeason, year } = getCalendarDate(day);
+
+    if (season === 'winter') {
+        const firstSnow = getFirstSnowDay(year, seed);
+        if (firstSnow === null || dayOfSeason < firstSnow) return { cover: 0, falling: 0 };
+        if (dayOfSeason === firstSnow && hour < SNOW_SETTLE_HOURS) {
+            return { cover: hour / SNOW_SETTLE_HOURS, falling: 0.6 };
+        }
+        return { cover: 1, falling: 0 };
+    }
+
+    if (season === 'spring' && dayOfSeason === 1 && year > 1 && getFirstSnowDay(year - 1, seed) !== null) {
+        return { cover: Math.max(0, 1 - hour / SNOW_MELT_HOURS), falling: 0 };
+    }
+    return { cover: 0, falling: 0 };
+}
@@ -0,0 +1,117 @@
+// Player preferences. All settings are stored together under one versioned
+// localStorage key; anything missing or out of range falls back to its default.
+
+export const SETTINGS_KEY = 'gardenGameSettings';
+export const SETTINGS_VERSION = 1;
+
+// Settings shown in the settings panel, in display order. `range` settings
+// are numbers between min and max, `select` settings one of their options
+// and `toggle` settings booleans.
+export const SETTING_DEFINITIONS = {
+    // Controls
+    mouseSensitivity: { group: 'Controls', label: 'Mouse Sensitivity', type: 'range', min: 0.2, max: 3, step: 0.1, default: 1 },
+    fieldOfView: { group: 'Controls', label: 'Field of View', type: 'range', min: 50, max: 100, step: 1, default: 75 },
+    movementSpeed: { group: 'Controls', label: 'Movement Speed', type: 'range', min: 0.5, max: 2, step: 0.1, default: 1 },
+
+    // Gamepad
+    gamepadDeadZone: { group: 'Gamepad', label: 'Stick Dead Zone', type: 'range', min: 0, max: 0.5, step: 0.05, default: 0.15 },
+    gamepadLookSensitivity: { group: 'Gamepad', label: 'Look Sensitivity', type: 'range', min: 0.2, max: 3, step: 0.1, default: 1 },
+
+    // Graphics
+    shadowQuality: {
+        group: 'Graphics',
+        label: 'Shadow Quality',
+        type: 'select',
+        options: [
+            { value: 512, label: 'Low' },
+            { value: 1024, label: 'Medium' },
+            { value: 2048, label: 'High' },
+            { value: 4096, label: 'Ultra' }
+        ],
+        default: 2048
+    },
+    antialiasing: { group: 'Graphics', label: 'Antialiasing', type: 'toggle', default: true },
+    fogDensity: { group: 'Graphics', label: 'Fog Density', type: 'range', min: 0, max: 2, step: 0.1, default: 1 },
+    particleDensity: { group: 'Graphics', label: 'Particles', type: 'range', min: 0, max: 1, step: 0.1, default: 1 },
+
+    // Interface
+    uiScale: { group: 'Interface', label: 'UI Scale', type: 'range', min: 0.75, max: 1.5, step: 0.05, default: 1 },
+    temperatureUnit: {
+        group: 'Interface',
+        label: 'Temperature',
+        type: 'select',
+        options: [
+            { value: 'F', label: '°F' },
+            { value: 'C', label: '°C' }
+        ],
+        default: 'F'
+    },
+
+    // Audio
+    masterVolume: { group: 'Audio', label: 'Master Volume', type: 'range', min: 0, max: 1, step: 0.05, default: 1 },
+    musicVolume: { group: 'Audio', label: 'Music Volume', type: 'range', min: 0, max: 1, step: 0.05, default: 0.7 },
+    effectsVolume: { group: 'Audio', label: 'Effects Volume', type: 'range', min: 0, max: 1, step: 0.05, default: 0.8 }
+};
+
+export function getDefaultSettings() {
+    const settings = {};
+    Object.entries(SETTING_DEFINITIONS).forEach(([id, definition]) => {
+        settings[id] = definition.default;
+    });
+    return settings;
+}
+
+function normalizeValue(definition, value) {
+    switch (definition.type) {
+        case 'range': {
+            const number = Number(value);
+            if (value === null || value === '' || !Number.isFinite(number)) return definition.default;
+            return Math.min(definition.max, Math.max(definition.min, number));
+        }
+        case 'select': {
+            // Values read from a <select> arrive as strings
+            const option = definition.options.find(option => String(option.value) === String(value));
+            return option ? option.value : definition.default;
+        }
+        case 'toggle':
+            return typeof value === 'boolean' ? value : definition.default;
+        default:
+            return definition.default;
+    }
+}
+
+// Returns a complete settings object, dropping unknown keys
+export function normalizeSettings(values = {}) {
+    const settings = {};
+    Object.entries(SETTING_DEFINITIONS).forEach(([id, definition]) => {
+        settings[id] = id in values ? normalizeValue(definition, values[id]) : definition.default;
+    });
+    return settings;
+}
+
+export function loadSettings(storage = localStorage) {
+    let stored = null;
+    try {
+        stored = JSON.parse(storage.getItem(SETTINGS_KEY));
+    } catch {
+        // Unreadable settings are replaced by the defaults
+    }
+
+    if (stored && stored.version === SETTINGS_VERSION) {
+        return normalizeSettings(stored.settings);
+    }
+
+    // Before settings were grouped, the temperature unit had its own key
+    const settings = getDefaultSettings();
+    const legacyUnit = storage.getItem('temperatureUnit');
+    if (legacyUnit) {
+        settings.temperatureUnit = normalizeValue(SETTING_DEFINITIONS.temperatureUnit, legacyUnit);
+        saveSettings(settings, storage);
+        storage.removeItem('temperatureUnit');
+    }
+    return settings;
+}
+
+export function saveSettings(settings, storage = localStorage) {
+    storage.setItem(SETTINGS_KEY, JSON.stringify({ version: SETTINGS_VERSION, settings }));
+}
@@ -0,0 +1,363 @@
+// Save game snapshots. The game describes its world as plain data; these
+// functions turn that description into the object kept in a save and turn a
+// save back into a complete description. Saves carry a format version:
+// older saves are brought up to date by the migrations below and checked
+// before anything is loaded from them. Nothing here needs the scene or a
+// WebGL context.
+//
+// A world description has:
+// - seed, terrainEdits ([index, height]) and ponds ([key, level]): the world
+//   and the player's landscaping
+// - obstacles: trees and rocks still standing, as { index, health } where
+//   index is their place in the generated world's obstacle list. Null when
+//   a save predates tracking them.
+// - plants ({ key, type, growth, health }), tilledSoil ({ key, moisture,
+//   nutrients, history, dryHours }), structures ({ key, type }) and pickups
+//   ({ item, count, x, z })
+// - inventory, coins, market and mail, as each system serializes itself
+// - time: game minutes since the start of day 1
+// - playTime: real seconds spent playing
+// - player: { x, y, z, yaw, pitch }
+// - selection: { tool, seed, shovelMode }
+// Values a save doesn't have are null, or empty lists.
+
+import { CROPS } from './crops.js';
+import { ITEMS, Inventory } from './inventory.js';
+import { SHOVEL_MODES } from './terrain.js';
+
+export const SAVE_VERSION = 3;
+
+// MIGRATIONS[n] turns a version n save into a version n + 1 save. Add one
+// here whenever the format changes, and bump SAVE_VERSION.
+export const MIGRATIONS = [
+    // Version 0: saves from before the format had a version. The oldest
+    // kept plants as [key, plant] entries (including the plant's mesh),
+    // tilled soil as a list of keys and structures as [key, type] entries.
+    // Their plants grew by being watered: `growth` stayed 0 and three
+    // waterings (`waterCount`) made a plant ripe. Their inventory held seed
+    // counts keyed by crop.
+    (save) => ({
+        ...save,
+        inventory: isObject(save.inventory) && !('counts' in save.inventory) ?
+            Inventory.fromJSON(save.inventory).toJSON() :
+            save.inventory,
+        plants: (save.plants || []).map(entry => {
+            if (!Array.isArray(entry)) return entry;
+            const [key, plant] = entry;
+            return {
+                key,
+                type: plant?.type,
+                growth: plant?.growth || Math.min(1, (plant?.waterCount ?? 0) / 3),
+                health: plant?.health ?? 1
+            };
+        }),
+        tilledSoil: (save.tilledSoil || []).map(entry =>
+            typeof entry === 'string' ? { key: entry, moisture: 0 } : entry
+        ),
+        structures: (save.structures || []).map(entry =>
+            Array.isArray(entry) ? { key: entry[0], type: entry[1] } : entry
+        ),
+        version: 1
+    }),
+
+    // Version 1 didn't track play time
+    (save) => ({ ...save, playTime: 0, version: 2 }),
+
+    // Version 2 soil had no nutrients or history. Start it as freshly
+    // tilled soil.
+    (save) => ({
+        ...save,
+        tilledSoil: (save.tilledSoil || []).map(tile => ({ ...tile, nutrients: 0.8, history: [], dryHours: 0 })),
+        version: 3
+    })
+];
+
+const round = (value, places = 3) => {
+    const scale = 10 ** places;
+    return Math.round(value * scale) / scale;
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isGridKey = (key) => typeof key === 'string' && /^-?\d+,-?\d+$/.test(key);
+const isText = (value) => typeof value === 'string';
+const isBoolean = (value) => typeof value === 'boolean';
+
+// Tool types the toolbar offers. New games start with 'Axe' selected, from
+// before tools had lowercase ids, so tools are matched ignoring case.
+const TOOL_TYPES = new Set(Object.values(ITEMS).filter(item => item.tool).map(item => item.tool));
+const isToolType = (tool) => isText(tool) && TOOL_TYPES.has(tool.toLowerCase());
+
+const QUEST_EVENTS = ['harvest', 'sell', 'craft'];
+const QUEST_STATUSES = ['offered', 'active', 'completed', 'failed'];
+
+export function createSnapshot(world) {
+    return {
+        version: SAVE_VERSION,
+        seed: world.seed,
+        terrainEdits: world.terrainEdits,
+        ponds: world.ponds,
+        obstacles: world.obstacles.map(({ index, health }) => ({ index, health })),
+        plants: world.plants.map(({ key, type, growth, health }) => ({
+            key,
+            type,
+            growth: round(growth, 4),
+            health: round(health)
+        })),
+        tilledSoil: world.tilledSoil.map(({ key, moisture, nutrients, history, dryHours }) => ({
+            key,
+            moisture: round(moisture),
+            nutrients: round(nutrients),
+            history: [...history],
+            dryHours: round(dryHours, 1)
+        })),
+        structures: world.structures.map(({ key, type }) => ({ key, type })),
+        pickups: world.pickups.map(({ item, count, x, z }) => ({ item, count, x: round(x), z: round(z) })),
+        inventory: world.inventory,
+        coins: world.coins,
+        market: world.market,
+        mail: world.mail,
+        time: round(world.time),
+        playTime: round(world.playTime, 1),
+        player: {
+            x: round(world.player.x),
+            y: round(world.player.y),
+            z: round(world.player.z),
+            yaw: round(world.player.yaw),
+            pitch: round(world.player.pitch)
+        },
+        selection: {
+            tool: world.selection.tool,
+            seed: world.selection.seed,
+            shovelMode: world.selection.shovelMode
+        }
+    };
+}
+
+// Bring a save of any earlier version up to SAVE_VERSION
+export function migrateSnapshot(save) {
+    const version = save.version ?? 0;
+    if (!Number.isInteger(version) || version < 0) {
+        throw new Error(`Save has an invalid version (${JSON.stringify(save.version)})`);
+    }
+    if (version > SAVE_VERSION) {
+        throw new Error(`Save is from a newer version of the game (format ${version}, this game reads up to ${SAVE_VERSION})`);
+    }
+
+    let migrated = save;
+    for (let from = version; from < SAVE_VERSION; from++) {
+        migrated = MIGRATIONS[from](migrated);
+    }
+    return migrated;
+}
+
+// Problems with { itemId: count } amounts of items, e.g. a letter's
+// attachments, described as `what`
+function checkItemCounts(counts, what, minimum = 1) {
+    if (!isObject(counts)) return [`${what} should list items and their counts`];
+    return Object.entries(counts).flatMap(([itemId, count]) => {
+        if (!ITEMS[itemId]) return [`${what} has an unknown item "${itemId}"`];
+        if (!Number.isInteger(count) || count < minimum) return [`${what} has a bad count of ${itemId}`];
+        return [];
+    });
+}
+
+function checkInventory(inventory) {
+    if (!isObject(inventory)) return ['inventory should be an object'];
+
+    const errors = checkItemCounts(inventory.counts, 'inventory', 0);
+    if (inventory.capacity !== undefined && !(Number.isInteger(inventory.capacity) && inventory.capacity > 0)) {
+        errors.push('inventory should have a whole number of slots');
+    }
+    return errors;
+}
+
+function checkMarket(market) {
+    if (!isObject(market) || !isObject(market.sold)) return ['market should list recent sales'];
+    return Object.entries(market.sold)
+        .filter(([, amount]) => !isNumber(amount) || amount < 0)
+        .map(([itemId]) => `market has a bad sale amount for "${itemId}"`);
+}
+
+// Coins and items sent with a letter or promised by a quest
+function checkBundle(bundle, what) {
+    if (!isObject(bundle)) return [`${what} should be an object`];
+
+    const errors = [];
+    if (bundle.coins !== undefined && !isNumber(bundle.coins)) errors.push(`${what} should have a number of coins`);
+    if (bundle.items !== undefined) errors.push(...checkItemCounts(bundle.items, what));
+    return errors;
+}
+
+function checkLetter(letter, what) {
+    if (!isObject(letter) || !isText(letter.id)) return [`${what} has no id`];
+    if (![letter.from, letter.subject, letter.body].every(isText)) {
+        return [`${what} should have a sender, subject and text`];
+    }
+    if (!Number.isInteger(letter.day)) return [`${what} should have a delivery day`];
+    if (!isBoolean(letter.read) || !isBoolean(letter.attachmentsClaimed)) {
+        return [`${what} should say whether it was read and its attachments taken`];
+    }
+    if (letter.questId !== null && !isText(letter.questId)) return [`${what} has a bad quest id`];
+    return letter.attachments === null ? [] : checkBundle(letter.attachments, `${what} attachments`);
+}
+
+function checkQuest(quest, what) {
+    if (!isObject(quest) || !isText(quest.id)) return [`${what} has no id`];
+    if (!isText(quest.title)) return [`${what} should have a title`];
+    if (!QUEST_STATUSES.includes(quest.status)) return [`${what} has an unknown status "${quest.status}"`];
+    if (!Number.isInteger(quest.deadlineDay)) return [`${what} should have a deadline day`];
+    if (!Array.isArray(quest.objectives) || quest.objectives.length === 0) return [`${what} should have objectives`];
+
+    const errors = [];
+    quest.objectives.forEach((objective, index) => {
+        const objectiveWhat = `${what} objective ${index + 1}`;
+        if (!isObject(objective) || !QUEST_EVENTS.includes(objective.event)) {
+            errors.push(`${objectiveWhat} has an unknown event`);
+        } else if (objective.item !== undefined && !ITEMS[objective.item]) {
+            errors.push(`${objectiveWhat} has an unknown item "${objective.item}"`);
+        } else if (!Number.isInteger(objective.count) || objective.count < 1 || !isNumber(objective.progress)) {
+            errors.push(`${objectiveWhat} should have a count and progress`);
+        }
+    });
+    errors.push(...checkBundle(quest.reward, `${what} reward`));
+    return errors;
+}
+
+function checkMail(mail) {
+    if (!isObject(mail)) return ['mail should be an object'];
+
+    const errors = [];
+    [['letters', 'letter', checkLetter], ['quests', 'quest', checkQuest]].forEach(([field, name, check]) => {
+        if (mail[field] === undefined) return;
+        if (!Array.isArray(mail[field])) {
+            errors.push(`mail ${field} should be a list`);
+            return;
+        }
+        mail[field].forEach((entry, index) => errors.push(...check(entry, `mail ${name} ${index + 1}`)));
+    });
+    return errors;
+}
+
+function checkSelection(selection) {
+    if (!isObject(selection)) return ['selection should be an object'];
+
+    const { tool, seed, shovelMode } = selection;
+    const errors = [];
+    if (tool != null && !isToolType(tool)) errors.push(`selection has an unknown tool "${tool}"`);
+    if (seed != null && ITEMS[seed]?.category !== 'seeds') errors.push(`selection has unknown seeds "${seed}"`);
+    if (shovelMode != null && !Object.hasOwn(SHOVEL_MODES, shovelMode)) {
+        errors.push(`selection has an unknown shovel mode "${shovelMode}"`);
+    }
+    return errors;
+}
+
+// Problems with a current-version save, as readable messages
+export function validateSnapshot(save) {
+    const errors = [];
+    const checkList = (field, check) => {
+        if (save[field] === undefined) return;
+        if (!Array.isArray(save[field])) {
+            errors.push(`${field} should be a list`);
+            return;
+        }
+        save[field].forEach((entry, index) => {
+            const problem = check(entry);
+            if (problem) errors.push(`${field} entry ${index + 1} ${problem}`);
+        });
+    };
+
+    if (save.seed != null && typeof save.seed !== 'string') errors.push('seed should be text');
+
+    checkList('terrainEdits', (edit) => {
+        if (!Array.isArray(edit) || !Number.isInteger(edit[0]) || !isNumber(edit[1])) return 'should be [index, height]';
+    });
+    checkList('ponds', (pond) => {
+        if (!Array.isArray(pond) || !isGridKey(pond[0]) || !isNumber(pond[1])) return 'should be [grid key, water level]';
+    });
+    if (save.obstacles !== null) {
+        checkList('obstacles', (obstacle) => {
+            if (!isObject(obstacle) || !Number.isInteger(obstacle.index) || !isNumber(obstacle.health)) {
+                return 'should have a whole-number index and a health';
+            }
+        });
+    }
+    checkList('plants', (plant) => {
+        if (!isObject(plant) || !isGridKey(plant.key)) return 'has no grid position';
+        if (!CROPS[plant.type]) return `has an unknown crop "${plant.type}"`;
+        if (!isNumber(plant.growth) || !isNumber(plant.health)) return 'should have a growth and health';
+    });
+    checkList('tilledSoil', (tile) => {
+        if (!isObject(tile) || !isGridKey(tile.key)) return 'has no grid position';
+        if (!isNumber(tile.moisture) || !isNumber(tile.nutrients) || !isNumber(tile.dryHours)) {
+            return 'should have a moisture, nutrients and dry hours';
+        }
+        if (!Array.isArray(tile.history) || !tile.history.every(crop => CROPS[crop])) {
+            return 'should have a history of known crops';
+        }
+    });
+    checkList('structures', (structure) => {
+        if (!isObject(structure) || !isGridKey(structure.key)) return 'has no grid position';
+        if (!ITEMS[structure.type]?.structure) return `has an unknown structure "${structure.type}"`;
+    });
+    checkList('pickups', (pickup) => {
+        if (!isObject(pickup) || !ITEMS[pickup.item]) return `has an unknown item "${pickup?.item}"`;
+        if (!Number.isInteger(pickup.count) || pickup.count < 1) return 'should have a count of at least 1';
+        if (!isNumber(pickup.x) || !isNumber(pickup.z)) return 'has no position';
+    });
+
+    if (save.inventory != null) errors.push(...checkInventory(save.inventory));
+    if (save.market != null) errors.push(...checkMarket(save.market));
+    if (save.mail != null) errors.push(...checkMail(save.mail));
+    if (save.selection != null) errors.push(...checkSelection(save.selection));
+    ['coins', 'time', 'playTime'].forEach(field => {
+        if (save[field] != null && !isNumber(save[field])) errors.push(`${field} should be a number`);
+    });
+    if (save.player != null &&
+        !(isObject(save.player) && ['x', 'y', 'z', 'yaw', 'pitch'].every(field => isNumber(save.player[field])))) {
+        errors.push('player should have a position and view direction');
+    }
+
+    return errors;
+}
+
+// Fill in what a valid save leaves out
+function readSnapshot(save) {
+    const selection = save.selection || {};
+    return {
+        seed: save.seed ?? null,
+        terrainEdits: save.terrainEdits || [],
+        ponds: save.ponds || [],
+        obstacles: save.obstacles ?? null,
+        plants: save.plants || [],
+        tilledSoil: save.tilledSoil || [],
+        structures: save.structures || [],
+        pickups: save.pickups || [],
+        inventory: save.inventory ?? null,
+        coins: save.coins ?? null,
+        market: save.market ?? null,
+        mail: save.mail ?? null,
+        time: save.time ?? null,
+        playTime: save.playTime ?? 0,
+        player: save.player ?? null,
+        selection: {
+            tool: selection.tool?.toLowerCase() ?? null,
+            seed: selection.seed ?? null,
+            shovelMode: selection.shovelMode ?? null
+        }
+    };
+}
+
+// Migrate, check and read a save into a world description. Throws an Error
+// saying what is wrong when the save can't be used.
+export function parseSnapshot(save) {
+    if (!isObject(save)) throw new Error('Save is not a saved game');
+
+    const migrated = migrateSnapshot(save);
+    const errors = validateSnapshot(migrated);
+    if (errors.length > 0) {
+        const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+        throw new Error(`Save is damaged: ${errors.slice(0, 3).join('; ')}${more}`);
+    }
+    return readSnapshot(migrated);
+}
@@ -0,0 +1,279 @@
+// Where save games are kept. Every store holds saves by name plus the list
+// of quarantined saves, behind the same async methods:
+// - getSaves(): everything stored, readable or not, as { name: save }
+// - putSave(name, save) and deleteSave(name)
+// - getQuarantine() and setQuarantine(list)
+// Writes reject with a "Storage is full" Error when the browser has no room
+// left for them.
+
+export const SAVES_KEY = 'gardenGameSaves';
+export const QUARANTINE_KEY = 'gardenGameQuarantine';
+export const DATABASE_NAME = 'gardenGame';
+const DATABASE_VERSION = 1;
+
+export const STORAGE_FULL_MESSAGE = 'Storage is full. Delete or export some saves to make room.';
+
+// Browsers disagree on how they report running out of space
+export function isQuotaError(error) {
+    return error?.name === 'QuotaExceededError' ||
+        error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error?.code === 22 ||
+        error?.code === 1014;
+}
+
+function toStorageError(error) {
+    return isQuotaError(error) ? new Error(STORAGE_FULL_MESSAGE) : error;
+}
+
+// Saves that only last until the page closes. Used for tests and when the
+// browser won't let the page store anything.
+export class MemorySaveStore {
+    constructor({ saves = {}, quarantine = [] } = {}) {
+        this.type = 'memory';
+        this.saves = structuredClone(saves);
+        this.quarantine = structuredClone(quarantine);
+    }
+
+    async getSaves() {
+        return structuredClone(this.saves);
+    }
+
+    async putSave(name, save) {
+        this.saves[name] = structuredClone(save);
+    }
+
+    async deleteSave(name) {
+        delete this.saves[name];
+    }
+
+    async getQuarantine() {
+        return structuredClone(this.quarantine);
+    }
+
+    async setQuarantine(quarantine) {
+        this.quarantine = structuredClone(quarantine);
+    }
+}
+
+// Every save as one JSON object under SAVES_KEY, the way the game first
+// stored them. Each change rewrites all of it, and localStorage only holds a
+// few MB, so this is the fallback for browsers without IndexedDB.
+export class LocalStorageSaveStore {
+    constructor(storage = localStorage) {
+        this.type = 'localStorage';
+        this.storage = storage;
+    }
+
+    async getSaves() {
+        const text = this.storage.getItem(SAVES_KEY);
+        try {
+            const saves = JSON.parse(text) ?? {};
+            if (typeof saves !== 'object' || Array.isArray(saves)) {
+                throw new Error('not a list of saves');
+            }
+            return saves;
+        } catch (error) {
+            // Nothing in there can be trusted: keep the raw text and start over
+            const quarantine = await this.getQuarantine();
+            quarantine.push({
+                name: 'All saves',
+                save: text,
+                error: `Saves could not be read: ${error.message}`,
+                quarantinedAt: new Date().toISOString()
+            });
+            await this.setQuarantine(quarantine);
+            this.storage.removeItem(SAVES_KEY);
+            return {};
+        }
+    }
+
+    async putSave(name, save) {
+        const saves = await this.getSaves();
+        saves[name] = save;
+        this.write(SAVES_KEY, saves);
+    }
+
+    async deleteSave(name) {
+        const saves = await this.getSaves();
+        delete saves[name];
+        this.write(SAVES_KEY, saves);
+    }
+
+    async getQuarantine() {
+        try {
+            const quarantine = JSON.parse(this.storage.getItem(QUARANTINE_KEY));
+            return Array.isArray(quarantine) ? quarantine : [];
+        } catch {
+            return [];
+        }
+    }
+
+    async setQuarantine(quarantine) {
+        this.write(QUARANTINE_KEY, quarantine);
+    }
+
+    write(key, value) {
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            throw toStorageError(error);
+        }
+    }
+}
+
+// One record per save in an IndexedDB database, so saving writes only that
+// save. Browsers give IndexedDB far more room than localStorage.
+export class IndexedDBSaveStore {
+    constructor(database) {
+        this.type = 'IndexedDB';
+        this.database = database;
+    }
+
+    static open(indexedDB = globalThis.indexedDB, name = DATABASE_NAME) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(name, DATABASE_VERSION);
+            request.onupgradeneeded = () => {
+                // Saves are keyed by name, quarantined saves by their place
+                // in the list
+                request.result.createObjectStore('saves');
+                request.result.createObjectStore('quarantine');
+            };
+            request.onsuccess = () => resolve(new IndexedDBSaveStore(request.result));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Run `work` on the object store in a transaction. Resolves once the
+    // transaction has finished, so written data is safely stored.
+    transaction(storeName, mode, work) {
+        return new Promise((resolve, reject) => {
+            let transaction;
+            try {
+                transaction = this.database.transaction(storeName, mode);
+            } catch (error) {
+                reject(toStorageError(error));
+                return;
+            }
+            transaction.oncomplete = () => resolve();
+            transaction.onabort = () => {
+                reject(toStorageError(transaction.error || new Error('Storage was interrupted')));
+            };
+            work(transaction.objectStore(storeName));
+        });
+    }
+
+    // Every record in an object store as [key, value] pairs, in key order
+    async getEntries(storeName) {
+        const entries = [];
+        await this.transaction(storeName, 'readonly', (store) => {
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                entries.push([cursor.key, cursor.value]);
+                cursor.continue();
+            };
+        });
+        return entries;
+    }
+
+    async getSaves() {
+        return Object.fromEntries(await this.getEntries('saves'));
+    }
+
+    putSave(name, save) {
+        return this.transaction('saves', 'readwrite', store => store.put(save, name));
+    }
+
+    deleteSave(name) {
+        return this.transaction('saves', 'readwrite', store => store.delete(name));
+    }
+
+    async getQuarantine() {
+        return (await this.getEntries('quarantine')).map(([, entry]) => entry);
+    }
+
+    setQuarantine(quarantine) {
+        return this.transaction('quarantine', 'readwrite', (store) => {
+            store.clear();
+            quarantine.forEach((entry, index) => store.put(entry, index));
+        });
+    }
+}
+
+// Move saves left in localStorage by earlier versions of the game into
+// `store`. A save already in `store` under the same name is kept, so a move
+// cut short can simply run again. localStorage is only cleared once
+// everything has been copied.
+export async function migrateLocalStorage(storage, store) {
+    if (storage.getItem(SAVES_KEY) === null && storage.getItem(QUARANTINE_KEY) === null) return;
+
+    const old = new LocalStorageSaveStore(storage);
+    const oldSaves = await old.getSaves();
+    const oldQuarantine = await old.getQuarantine();
+    const saves = await store.getSaves();
+
+    for (const [name, save] of Object.entries(oldSaves)) {
+        if (!(name in saves)) await store.putSave(name, save);
+    }
+    if (oldQuarantine.length > 0) {
+        await store.setQuarantine((await store.getQuarantine()).concat(oldQuarantine));
+    }
+
+    storage.removeItem(SAVES_KEY);
+    storage.removeItem(QUARANTINE_KEY);
+}
+
+// Reading window.localStorage throws where the browser blocks site data
+function getLocalStorage() {
+    try {
+        return globalThis.localStorage ?? null;
+    } catch {
+        return null;
+    }
+}
+
+// The best store this browser offers: IndexedDB, or localStorage where
+// IndexedDB is missing or blocked (e.g. in some private browsing modes), or
+// memory as a last resort. Never rejects.
+export async function openSaveStore({ indexedDB = globalThis.indexedDB, storage = getLocalStorage() } = {}) {
+    if (indexedDB) {
+        try {
+            const store = await IndexedDBSaveStore.open(indexedDB);
+            if (storage) {
+                await migrateLocalStorage(storage, store).catch(error => {
+                    // The old saves stay where they were; try again next time
+                    console.warn('Could not move saves out of localStorage:', error);
+                });
+            }
+            return store;
+        } catch (error) {
+            console.warn('IndexedDB is unavailable, keeping saves in localStorage instead:', error);
+        }
+    }
+    if (storage) return new LocalStorageSaveStore(storage);
+    return new MemorySaveStore();
+}
+
+// { usage, quota } in bytes for everything the page stores, or null where
+// the browser doesn't say
+export async function getStorageEstimate() {
+    try {
+        const { usage, quota } = await navigator.storage.estimate();
+        return Number.isFinite(usage) && Number.isFinite(quota) ? { usage, quota } : null;
+    } catch {
+        return null;
+    }
+}
+
+// e.g. "850 KB" or "1.2 GB"
+export function formatBytes(bytes) {
+    const units = ['bytes', 'KB', 'MB', 'GB', 'TB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return unit === 0 ? `${size} ${units[0]}` : `${size.toFixed(size < 10 ? 1 : 0)} ${units[unit]}`;
+}
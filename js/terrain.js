@@ -0,0 +1,165 @@
+// Ground heights as a square grid of vertices. Heights between vertices are
+// interpolated, so the ground mesh and anything standing on it agree.
+
+// Steepest ground (rise over run) that can still be tilled
+export const MAX_TILL_SLOPE = 0.35;
+
+// What the shovel can do to the ground, with the name shown for each
+export const SHOVEL_MODES = { raise: 'Raise Ground', lower: 'Lower Ground', flatten: 'Flatten', pond: 'Dig Pond' };
+
+export class Heightfield {
+    // `size` is the width of the ground in meters and `segments` the number
+    // of grid cells along each side. Heights are stored row by row along z.
+    constructor({ size = 100, segments = 100, heights = null } = {}) {
+        this.size = size;
+        this.segments = segments;
+        this.cellSize = size / segments;
+        this.heights = heights ?
+            Float32Array.from(heights) :
+            new Float32Array((segments + 1) * (segments + 1));
+    }
+
+    // Gentle rolling ground with some small bumps on top. The offsets shift
+    // the pattern so different worlds get different hills.
+    static createRolling({ size = 100, segments = 100, offsetX = 0, offsetZ = 0, hillHeight = 0.8 } = {}) {
+        const terrain = new Heightfield({ size, segments });
+        for (let j = 0; j <= segments; j++) {
+            for (let i = 0; i <= segments; i++) {
+                const { x, z } = terrain.getVertexPosition(i, j);
+                const hills = Math.sin((x + offsetX) * 0.08) * Math.cos((z + offsetZ) * 0.06) * hillHeight + hillHeight;
+                const bumps = Math.cos((i + offsetX) * 0.3) * Math.sin((j + offsetZ) * 0.3) * 0.2 +
+                    Math.sin((i + offsetX) * 0.7) * Math.cos((j + offsetZ) * 0.7) * 0.1;
+                terrain.setVertexHeight(i, j, hills + bumps);
+            }
+        }
+        return terrain;
+    }
+
+    getVertexPosition(i, j) {
+        return {
+            x: -this.size / 2 + i * this.cellSize,
+            z: -this.size / 2 + j * this.cellSize
+        };
+    }
+
+    getVertexHeight(i, j) {
+        const clampedI = Math.max(0, Math.min(this.segments, i));
+        const clampedJ = Math.max(0, Math.min(this.segments, j));
+        return this.heights[clampedJ * (this.segments + 1) + clampedI];
+    }
+
+    setVertexHeight(i, j, height) {
+        if (i < 0 || j < 0 || i > this.segments || j > this.segments) return;
+        this.heights[j * (this.segments + 1) + i] = height;
+    }
+
+    // Ground height at any point, interpolated across the triangle it falls
+    // in. Each cell is split along the diagonal from (i + 1, j) to
+    // (i, j + 1), the same way THREE.PlaneGeometry splits it.
+    getHeightAt(x, z) {
+        const gridX = Math.max(0, Math.min(this.segments, (x + this.size / 2) / this.cellSize));
+        const gridZ = Math.max(0, Math.min(this.segments, (z + this.size / 2) / this.cellSize));
+        const i = Math.min(this.segments - 1, Math.floor(gridX));
+        const j = Math.min(this.segments - 1, Math.floor(gridZ));
+        const fx = gridX - i;
+        const fz = gridZ - j;
+
+        const h00 = this.getVertexHeight(i, j);
+        const h10 = this.getVertexHeight(i + 1, j);
+        const h01 = this.getVertexHeight(i, j + 1);
+        const h11 = this.getVertexHeight(i + 1, j + 1);
+
+        if (fx + fz <= 1) {
+            return h00 + (h10 - h00) * fx + (h01 - h00) * fz;
+        }
+        return h11 + (h01 - h11) * (1 - fx) + (h10 - h11) * (1 - fz);
+    }
+
+    // Lower or raise the ground within `radius` of a point to `height`,
+    // blending back into the surrounding ground over `falloff` meters
+    flatten(x, z, radius, height, falloff = 2) {
+        const reach = radius + falloff;
+        this.forEachVertexNear(x, z, reach, (i, j, distance) => {
+            const blend = distance <= radius ? 1 : 1 - (distance - radius) / falloff;
+            const current = this.getVertexHeight(i, j);
+            this.setVertexHeight(i, j, current + (height - current) * blend);
+        });
+    }
+
+    // Raise the ground around a point by `amount` (negative to lower it),
+    // tapering to half that at `radius`
+    raise(x, z, amount, radius = 1) {
+        this.forEachVertexNear(x, z, radius, (i, j, distance) => {
+            const blend = 1 - distance / (radius * 2);
+            this.setVertexHeight(i, j, this.getVertexHeight(i, j) + amount * blend);
+        });
+    }
+
+    // Rise over run of the ground at a point, measured across `radius`
+    // meters either side
+    getSlopeAt(x, z, radius = 0.5) {
+        const dx = this.getHeightAt(x + radius, z) - this.getHeightAt(x - radius, z);
+        const dz = this.getHeightAt(x, z + radius) - this.getHeightAt(x, z - radius);
+        return Math.hypot(dx, dz) / (radius * 2);
+    }
+
+    // Vertices that differ from `baseHeights` as [index, height] pairs, so
+    // edits can be saved without storing the whole grid
+    getChanges(baseHeights) {
+        const changes = [];
+        this.heights.forEach((height, index) => {
+            if (Math.abs(height - baseHeights[index]) > 0.001) {
+                changes.push([index, Math.round(height * 1000) / 1000]);
+            }
+        });
+        return changes;
+    }
+
+    applyChanges(changes) {
+        changes.forEach(([index, height]) => {
+            if (index >= 0 && index < this.heights.length) this.heights[index] = height;
+        });
+    }
+
+    forEachVertexNear(x, z, radius, callback) {
+        const minI = Math.max(0, Math.floor((x - radius + this.size / 2) / this.cellSize));
+        const maxI = Math.min(this.segments, Math.ceil((x + radius + this.size / 2) / this.cellSize));
+        const minJ = Math.max(0, Math.floor((z - radius + this.size / 2) / this.cellSize));
+        const maxJ = Math.min(this.segments, Math.ceil((z + radius + this.size / 2) / this.cellSize));
+
+        for (let j = minJ; j <= maxJ; j++) {
+            for (let i = minI; i <= maxI; i++) {
+                const vertex = this.getVertexPosition(i, j);
+                const distance = Math.hypot(vertex.x - x, vertex.z - z);
+                if (distance <= radius) callback(i, j, distance);
+            }
+        }
+    }
+
+    // First point where a ray ({ x, y, z } origin and unit direction) meets
+    // the ground, or null if it doesn't within maxDistance
+    raycast(origin, direction, maxDistance = 100, step = 0.1) {
+        const pointAt = (t) => ({
+            x: origin.x + direction.x * t,
+            y: origin.y + direction.y * t,
+            z: origin.z + direction.z * t
+        });
+        const isBelowGround = (point) => point.y <= this.getHeightAt(point.x, point.z);
+
+        if (isBelowGround(origin)) return null;
+        for (let t = step; t <= maxDistance; t += step) {
+            if (!isBelowGround(pointAt(t))) continue;
+
+            // Narrow down between the last point above and this one below
+            let low = t - step;
+            let high = t;
+            for (let k = 0; k < 10; k++) {
+                const middle = (low + high) / 2;
+                if (isBelowGround(pointAt(middle))) high = middle;
+                else low = middle;
+            }
+            return pointAt(high);
+        }
+        return null;
+    }
+}
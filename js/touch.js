@@ -0,0 +1,17 @@
+// Touch controls: a virtual joystick for movement and dragging to look.
+// The game builds the on-screen controls; the maths lives here.
+
+export const JOYSTICK_RADIUS = 50; // How far in px the knob travels from the centre
+export const TOUCH_LOOK_SPEED = 0.005; // Radians turned per px dragged
+
+// Movement from a joystick drag, with the same shape as a gamepad stick:
+// length up to 1 and y positive when dragged up (forward)
+export function getJoystickVector(originX, originY, x, y, radius = JOYSTICK_RADIUS) {
+    const dx = x - originX;
+    const dy = originY - y;
+    const distance = Math.hypot(dx, dy);
+    if (distance === 0) return { x: 0, y: 0 };
+
+    const scale = Math.min(distance, radius) / distance / radius;
+    return { x: dx * scale, y: dy * scale };
+}
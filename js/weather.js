@@ -0,0 +1,141 @@
+// Weather providers and the effects real-world weather has on the garden.
+//
+// Every provider implements `async getWeather(coords)` and resolves to
+// `{ current, forecast }` in the same shape as the OpenWeatherMap "current
+// weather" and "5 day / 3 hour forecast" responses (metric units).
+// `requiresLocation` tells the game whether to ask for geolocation first.
+
+export class OpenWeatherMapProvider {
+    constructor(apiKey) {
+        this.apiKey = apiKey;
+        this.requiresLocation = true;
+    }
+
+    async getWeather({ latitude, longitude }) {
+        const query = `lat=${latitude}&lon=${longitude}&appid=${this.apiKey}&units=metric`;
+
+        const currentResponse = await fetch(`https://api.openweathermap.org/data/2.5/weather?${query}`);
+        if (!currentResponse.ok) {
+            const errorText = await currentResponse.text();
+            throw new Error(`Current weather API error (${currentResponse.status}): ${errorText}`);
+        }
+        const current = await currentResponse.json();
+
+        const forecastResponse = await fetch(`https://api.openweathermap.org/data/2.5/forecast?${query}`);
+        if (!forecastResponse.ok) {
+            const errorText = await forecastResponse.text();
+            throw new Error(`Forecast API error (${forecastResponse.status}): ${errorText}`);
+        }
+        const forecast = await forecastResponse.json();
+
+        return { current, forecast };
+    }
+}
+
+// Used when the network or location is unavailable. Replays the last
+// successful response if it is recent enough, otherwise mild clear weather.
+export class OfflineWeatherProvider {
+    constructor({ cached = null, maxAge = 6 * 60 * 60 * 1000 } = {}) {
+        this.cached = cached; // { timestamp, data }
+        this.maxAge = maxAge;
+        this.requiresLocation = false;
+    }
+
+    async getWeather() {
+        if (this.cached && Date.now() - this.cached.timestamp < this.maxAge) {
+            return this.cached.data;
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        return {
+            current: {
+                name: 'Your Garden',
+                sys: { country: 'Offline' },
+                main: { temp: 18, temp_min: 14, temp_max: 22, humidity: 60 },
+                weather: [{ main: 'Clear', description: 'clear sky', icon: '01d' }],
+                clouds: { all: 0 },
+                wind: { speed: 2 },
+                dt: now
+            },
+            forecast: { list: [] }
+        };
+    }
+}
+
+// Resolves to fixed data, e.g. fixture JSON in tests
+export class FixtureWeatherProvider {
+    constructor(data) {
+        this.data = data;
+        this.requiresLocation = false;
+    }
+
+    async getWeather() {
+        return this.data;
+    }
+}
+
+// Typical rainfall in mm/h when a response doesn't report an amount
+const DEFAULT_RAINFALL = {
+    Drizzle: 0.5,
+    Rain: 2,
+    Thunderstorm: 8
+};
+
+// Precipitation in mm/h from a `rain` or `snow` block, if one was reported
+function getPrecipitation(amounts) {
+    if (!amounts) return null;
+    if (amounts['1h'] !== undefined) return amounts['1h'];
+    if (amounts['3h'] !== undefined) return amounts['3h'] / 3;
+    return null;
+}
+
+// Reduce an OpenWeatherMap current-weather response to what the game needs
+export function getWeatherConditions(current) {
+    const main = current.weather?.[0]?.main || 'Clear';
+
+    return {
+        main,
+        temperature: current.main?.temp ?? 18,
+        rainfall: getPrecipitation(current.rain) ?? DEFAULT_RAINFALL[main] ?? 0,
+        snowfall: getPrecipitation(current.snow) ?? (main === 'Snow' ? 1 : 0),
+        cloudCover: (current.clouds?.all ?? 0) / 100,
+        windSpeed: current.wind?.speed ?? 0,
+        windDirection: current.wind?.deg ?? 0 // Degrees the wind blows from
+    };
+}
+
+// How the weather changes soil and plants, per game hour
+export function getGardenEffects(conditions) {
+    const { temperature, rainfall, cloudCover } = conditions;
+
+    // Soil dries faster in heat and a little slower under heavy cloud
+    let dryingMultiplier = 1;
+    if (temperature > 25) dryingMultiplier += (temperature - 25) * 0.1;
+    if (temperature < 10) dryingMultiplier *= 0.6;
+    dryingMultiplier *= 1 - cloudCover * 0.2;
+
+    return {
+        // 4 mm/h of rain is enough to fully soak a plot within the hour
+        moisturePerHour: Math.min(1, rainfall / 4),
+        dryingMultiplier,
+        frostDamagePerHour: temperature <= 0 ? 0.25 + Math.min(-temperature, 10) * 0.05 : 0,
+        sunlight: 1 - cloudCover * 0.6
+    };
+}
+
+// Strength (0-1) of each visual weather effect in the 3D scene
+export function getWeatherVisuals(conditions) {
+    const isRaining = ['Drizzle', 'Rain', 'Thunderstorm'].includes(conditions.main) || conditions.rainfall > 0;
+    const isSnowing = conditions.main === 'Snow' || conditions.snowfall > 0;
+
+    // Wind blows away from the direction it comes from
+    const windAngle = ((conditions.windDirection + 180) % 360) * Math.PI / 180;
+
+    return {
+        rain: isRaining ? Math.min(1, Math.max(conditions.rainfall, 0.5) / 4) : 0,
+        snow: isSnowing ? Math.min(1, Math.max(conditions.snowfall, 0.5) / 2) : 0,
+        wind: Math.min(1, conditions.windSpeed / 15),
+        windX: Math.sin(windAngle),
+        windZ: -Math.cos(windAngle)
+    };
+}
@@ -0,0 +1,121 @@
+// Seeded world generation. A seed string decides the shape of the ground and
+// where trees, rocks and decorations go, so the same seed always builds the
+// same world. The game turns the result into meshes.
+
+export const DECORATION_TYPES = ['flowers', 'grass', 'mushrooms'];
+
+// Hash a seed string to a 32-bit number (FNV-1a)
+export function hashSeed(seed) {
+    let hash = 2166136261;
+    for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// Returns a function giving numbers in [0, 1) that are the same for the
+// same seed (mulberry32)
+export function createRandom(seed) {
+    let state = hashSeed(String(seed));
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// A short seed that is easy to read out and type, without look-alike
+// characters such as 0/o and 1/l
+export function createSeed(random = Math.random) {
+    const characters = 'abcdefghjkmnpqrstuvwxyz23456789';
+    let seed = '';
+    for (let i = 0; i < 8; i++) {
+        seed += characters[Math.floor(random() * characters.length)];
+    }
+    return seed;
+}
+
+// Returns { seed, ground, obstacles, decorations }:
+// - ground: { offsetX, offsetZ, hillHeight } for Heightfield.createRolling
+// - obstacles: trees and rocks as { type, x, z }, rocks with a rotation
+//   { x, y, z } as well
+// - decorations: { type, x, z, rotation, scale, variant } in small clusters,
+//   where variant in [0, 1) picks colours and shapes
+// `clearings` ({ x, z, radius }) are kept free of obstacles and decorations,
+// e.g. around the cabin and where the player starts.
+export function generateWorld({
+    seed,
+    size = 100,
+    treeCount = 10,
+    rockCount = 5,
+    clusterCount = 12,
+    clearings = []
+}) {
+    const random = createRandom(seed);
+    const between = (min, max) => min + random() * (max - min);
+    const extent = size / 2 - 10; // Keep clear of the edge of the world
+
+    const isClear = (x, z, spacing, placed) =>
+        clearings.every(clearing => Math.hypot(x - clearing.x, z - clearing.z) >= clearing.radius) &&
+        placed.every(other => Math.hypot(x - other.x, z - other.z) >= spacing);
+
+    // A random spot at least `spacing` from everything in `placed`, or null
+    // if none turns up after a few tries
+    const findSpot = (spacing, placed) => {
+        for (let attempt = 0; attempt < 30; attempt++) {
+            const x = between(-extent, extent);
+            const z = between(-extent, extent);
+            if (isClear(x, z, spacing, placed)) return { x, z };
+        }
+        return null;
+    };
+
+    // Where the hills fall and how tall they are
+    const ground = {
+        offsetX: between(0, 1000),
+        offsetZ: between(0, 1000),
+        hillHeight: between(0.5, 1.2)
+    };
+
+    const obstacles = [];
+    for (let i = 0; i < treeCount + rockCount; i++) {
+        const spot = findSpot(3, obstacles);
+        if (!spot) continue;
+        const obstacle = { type: i < treeCount ? 'tree' : 'rock', x: spot.x, z: spot.z };
+        if (obstacle.type === 'rock') {
+            obstacle.rotation = { x: between(0, Math.PI), y: between(0, Math.PI), z: between(0, Math.PI) };
+        }
+        obstacles.push(obstacle);
+    }
+
+    // Each cluster is a handful of one kind of decoration around a centre
+    const decorations = [];
+    const clusterCentres = [];
+    for (let i = 0; i < clusterCount; i++) {
+        const centre = findSpot(6, clusterCentres.concat(obstacles));
+        if (!centre) continue;
+        clusterCentres.push(centre);
+
+        const type = DECORATION_TYPES[Math.floor(random() * DECORATION_TYPES.length)];
+        const count = 4 + Math.floor(random() * 5);
+        for (let j = 0; j < count; j++) {
+            const angle = between(0, Math.PI * 2);
+            const distance = between(0, 1.5);
+            const x = centre.x + Math.cos(angle) * distance;
+            const z = centre.z + Math.sin(angle) * distance;
+            if (!isClear(x, z, 1, obstacles)) continue;
+            decorations.push({
+                type,
+                x,
+                z,
+                rotation: between(0, Math.PI * 2),
+                scale: between(0.7, 1.3),
+                variant: random()
+            });
+        }
+    }
+
+    return { seed, ground, obstacles, decorations };
+}
@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    boxCollider,
+    circleCollider,
+    moveCapsule,
+    pushOut,
+    resolveCollisions
+} from '../js/collision.js';
+
+const capsule = { radius: 0.5, bottom: 0, top: 1.8 };
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+// A wall along x = 2, from z = -10 to 10
+const wall = boxCollider(2, -10, 2.2, 10);
+
+test('pushOut leaves circles that don\'t overlap alone', () => {
+    assert.equal(pushOut({ x: 3, z: 0 }, 0.5, circleCollider(0, 0, 1)), null);
+    assert.equal(pushOut({ x: 0, z: 0 }, 0.5, wall), null);
+});
+
+test('pushOut moves a circle out of a circle along the line between them', () => {
+    const resolved = pushOut({ x: 1, z: 0 }, 0.5, circleCollider(0, 0, 1));
+    near(resolved.x, 1.5);
+    near(resolved.z, 0);
+
+    // Exactly on the centre there is no line, so it leaves along x
+    assert.deepEqual(pushOut({ x: 0, z: 0 }, 0.5, circleCollider(0, 0, 1)), { x: 1.5, z: 0 });
+});
+
+test('pushOut moves a circle out of a box through the nearest side', () => {
+    const touching = pushOut({ x: 1.8, z: 3 }, 0.5, wall);
+    near(touching.x, 1.5);
+    near(touching.z, 3);
+
+    // Center inside the box
+    const inside = pushOut({ x: 2.15, z: 3 }, 0.5, wall);
+    near(inside.x, 2.7);
+    near(inside.z, 3);
+});
+
+test('moving into a wall at an angle slides along it', () => {
+    const end = moveCapsule({ x: 0, z: 0 }, { x: 3, z: 3 }, capsule, [wall]);
+    near(end.x, 1.5);
+    near(end.z, 3);
+});
+
+test('a corner between two obstacles holds the capsule clear of both', () => {
+    // Two walls meeting at (2, 2)
+    const otherWall = boxCollider(-10, 2, 2.2, 2.2);
+    const end = moveCapsule({ x: 0, z: 0 }, { x: 4, z: 4 }, capsule, [wall, otherWall]);
+
+    near(end.x, 1.5);
+    near(end.z, 1.5);
+    assert.equal(pushOut(end, capsule.radius, wall), null);
+    assert.equal(pushOut(end, capsule.radius, otherWall), null);
+});
+
+test('resolveCollisions settles a capsule wedged between two trunks', () => {
+    const trunks = [circleCollider(-0.6, 0, 0.4), circleCollider(0.6, 0.1, 0.4)];
+    const end = resolveCollisions({ x: 0, z: 0 }, capsule, trunks);
+    trunks.forEach(trunk => {
+        assert.ok(Math.hypot(end.x - trunk.x, end.z - trunk.z) >= capsule.radius + trunk.radius - 1e-9);
+    });
+});
+
+test('colliders above or below the capsule are ignored', () => {
+    const overhead = circleCollider(0, 0, 1, 5, 2);
+    assert.deepEqual(resolveCollisions({ x: 0.5, z: 0 }, capsule, [overhead]), { x: 0.5, z: 0 });
+
+    const low = circleCollider(0, 0, 1, 0.3);
+    const onTop = { radius: 0.5, bottom: 0.3, top: 2.1 };
+    assert.deepEqual(resolveCollisions({ x: 0.5, z: 0 }, onTop, [low]), { x: 0.5, z: 0 });
+});
+
+test('the world bounds keep the capsule inside', () => {
+    const bounds = { minX: -5, minZ: -5, maxX: 5, maxZ: 5 };
+    assert.deepEqual(moveCapsule({ x: 4, z: 0 }, { x: 10, z: -20 }, capsule, [], bounds), { x: 4.5, z: -4.5 });
+    assert.deepEqual(resolveCollisions({ x: -6, z: 6 }, capsule, [], bounds), { x: -4.5, z: 4.5 });
+});
+
+test('a fast move can\'t tunnel through a thin wall', () => {
+    const thin = boxCollider(2, -10, 2.05, 10);
+    const end = moveCapsule({ x: 0, z: 0 }, { x: 50, z: 0 }, capsule, [thin]);
+    near(end.x, 1.5);
+
+    // In one unsplit step the capsule would have ended up past the wall
+    assert.equal(pushOut({ x: 50, z: 0 }, capsule.radius, thin), null);
+});
+
+test('a fast move can\'t tunnel through a small trunk', () => {
+    const end = moveCapsule({ x: 0, z: 0 }, { x: 30, z: 0 }, capsule, [circleCollider(5, 0, 0.1)]);
+    assert.ok(end.x < 5, `ended at ${end.x}, past the trunk`);
+});
@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    RECIPES,
+    canCraft,
+    consumeIngredients,
+    craft,
+    getMissingIngredients,
+    grantOutput,
+    validateRecipe,
+    validateRecipes
+} from '../js/crafting.js';
+import { Inventory } from '../js/inventory.js';
+
+const fence = RECIPES.find(recipe => recipe.id === 'fence');
+
+test('the built-in recipes are valid', () => {
+    assert.deepEqual(validateRecipes(), []);
+});
+
+test('validateRecipe reports unknown items and bad amounts', () => {
+    const errors = validateRecipe({
+        id: 'broken',
+        ingredients: { wood: 0, moonrock: 1 },
+        output: { item: 'fence', count: 1.5 }
+    });
+    assert.deepEqual(errors, [
+        'broken: bad amount for "wood"',
+        'broken: unknown ingredient "moonrock"',
+        'broken: bad output amount'
+    ]);
+    assert.deepEqual(validateRecipe({ id: 'empty', ingredients: {}, output: { item: 'nothing', count: 1 } }), [
+        'empty: needs at least one ingredient',
+        'empty: unknown output "nothing"'
+    ]);
+});
+
+test('validateRecipes reports duplicate ids', () => {
+    assert.deepEqual(validateRecipes([fence, fence]), ['Duplicate recipe id "fence"']);
+});
+
+test('consumeIngredients removes the ingredients from a copy of the inventory', () => {
+    const inventory = new Inventory({ wood: 10, stone: 2 });
+    const result = consumeIngredients({ ingredients: { wood: 4, stone: 2 } }, inventory);
+
+    assert.equal(result.getCount('wood'), 6);
+    assert.equal(result.getCount('stone'), 0);
+    assert.equal(inventory.getCount('wood'), 10);
+});
+
+test('consumeIngredients refuses when ingredients are missing', () => {
+    const inventory = new Inventory({ wood: 1 });
+    const recipe = { ingredients: { wood: 2, stone: 1 } };
+
+    assert.deepEqual(getMissingIngredients(recipe, inventory), [
+        { item: 'wood', needed: 2, have: 1 },
+        { item: 'stone', needed: 1, have: 0 }
+    ]);
+    assert.throws(() => consumeIngredients(recipe, inventory), { message: 'Not enough Wood, Stone' });
+});
+
+test('grantOutput adds the output, or refuses when there is no room', () => {
+    const result = grantOutput({ output: { item: 'fence', count: 2 } }, new Inventory({}));
+    assert.equal(result.getCount('fence'), 2);
+
+    const full = new Inventory({ wood: 50 }, 1);
+    assert.throws(() => grantOutput({ output: { item: 'fence', count: 1 } }, full), { message: 'No room for Fence' });
+    assert.equal(full.getCount('fence'), 0);
+});
+
+test('craft turns ingredients into the output', () => {
+    const inventory = new Inventory({ ...fence.ingredients });
+    const result = craft(fence, inventory);
+
+    Object.keys(fence.ingredients).forEach(itemId => assert.equal(result.getCount(itemId), 0));
+    assert.equal(result.getCount(fence.output.item), fence.output.count);
+    assert.equal(canCraft(fence, inventory), true);
+    assert.equal(canCraft(fence, new Inventory({})), false);
+});
+
+test('craft can use the slot its ingredients free up', () => {
+    // One slot, filled by the ingredients until they are used
+    const recipe = { ingredients: { wood: 3 }, output: { item: 'fence', count: 1 } };
+    assert.equal(craft(recipe, new Inventory({ wood: 3 }, 1)).getCount('fence'), 1);
+});
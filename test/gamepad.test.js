@@ -0,0 +1,126 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { GAMEPAD_BUTTONS, GamepadInput, applyDeadZone } from '../js/gamepad.js';
+
+// A stand-in for navigator whose getGamepads() returns one pad that tests
+// can change between polls
+function createMockNavigator() {
+    const pad = {
+        connected: true,
+        axes: [0, 0, 0, 0],
+        buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 }))
+    };
+    return {
+        pad,
+        getGamepads: () => [null, pad.connected ? pad : null]
+    };
+}
+
+function press(pad, button, pressed = true) {
+    pad.buttons[button] = { pressed, value: pressed ? 1 : 0 };
+}
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test('sticks inside the dead zone are ignored', () => {
+    const mock = createMockNavigator();
+    const input = new GamepadInput({ navigatorLike: mock, deadZone: 0.2 });
+    mock.pad.axes = [0.1, -0.15, 0.19, 0];
+
+    const { move, look } = input.poll();
+    assert.deepEqual(move, { x: 0, y: 0 });
+    assert.deepEqual(look, { x: 0, y: 0 });
+});
+
+test('sticks outside the dead zone are rescaled to start at zero', () => {
+    const halfway = applyDeadZone(0.6, 0, 0.2);
+    near(halfway.x, 0.5);
+    near(halfway.y, 0);
+
+    const full = applyDeadZone(0, 1, 0.2);
+    near(full.y, 1);
+    assert.deepEqual(applyDeadZone(1, 0, 1), { x: 0, y: 0 });
+});
+
+test('pushing the left stick up moves forward', () => {
+    const mock = createMockNavigator();
+    const input = new GamepadInput({ navigatorLike: mock, deadZone: 0 });
+    mock.pad.axes = [0, -1, 0, 0];
+
+    near(input.poll().move.y, 1);
+});
+
+test('look sensitivity scales the right stick', () => {
+    const mock = createMockNavigator();
+    const input = new GamepadInput({ navigatorLike: mock, deadZone: 0, lookSensitivity: 2 });
+    mock.pad.axes = [0, 0, 0.5, -0.25];
+
+    const { look } = input.poll();
+    near(look.x, 1);
+    near(look.y, -0.5);
+
+    input.lookSensitivity = 0.5;
+    near(input.poll().look.x, 0.25);
+});
+
+test('holding a button fires its action once per press', () => {
+    const mock = createMockNavigator();
+    const input = new GamepadInput({ navigatorLike: mock });
+
+    press(mock.pad, GAMEPAD_BUTTONS.a);
+    assert.deepEqual(input.poll().actions, ['jump']);
+    assert.deepEqual(input.poll().actions, []);
+
+    press(mock.pad, GAMEPAD_BUTTONS.a, false);
+    assert.deepEqual(input.poll().actions, []);
+
+    press(mock.pad, GAMEPAD_BUTTONS.a);
+    assert.deepEqual(input.poll().actions, ['jump']);
+});
+
+test('two buttons bound to the same action fire it once', () => {
+    const mock = createMockNavigator();
+    const input = new GamepadInput({ navigatorLike: mock });
+    press(mock.pad, GAMEPAD_BUTTONS.leftTrigger);
+    press(mock.pad, GAMEPAD_BUTTONS.rightTrigger);
+
+    assert.deepEqual(input.poll().actions, ['useTool']);
+});
+
+test('analog triggers count as pressed past the threshold', () => {
+    const mock = createMockNavigator();
+    const input = new GamepadInput({ navigatorLike: mock });
+
+    mock.pad.buttons[GAMEPAD_BUTTONS.rightTrigger] = { pressed: false, value: 0.3 };
+    assert.deepEqual(input.poll().actions, []);
+    mock.pad.buttons[GAMEPAD_BUTTONS.rightTrigger] = { pressed: false, value: 0.8 };
+    assert.deepEqual(input.poll().actions, ['useTool']);
+});
+
+test('clicking the left stick sprints', () => {
+    const mock = createMockNavigator();
+    const input = new GamepadInput({ navigatorLike: mock });
+    assert.equal(input.poll().sprint, false);
+
+    press(mock.pad, GAMEPAD_BUTTONS.leftStick);
+    assert.equal(input.poll().sprint, true);
+});
+
+test('a disconnected pad returns null and forgets held buttons', () => {
+    const mock = createMockNavigator();
+    const input = new GamepadInput({ navigatorLike: mock });
+    press(mock.pad, GAMEPAD_BUTTONS.y);
+    assert.deepEqual(input.poll().actions, ['toggleInventory']);
+
+    mock.pad.connected = false;
+    assert.equal(input.poll(), null);
+
+    // Reconnecting with the button still held counts as a new press
+    mock.pad.connected = true;
+    assert.deepEqual(input.poll().actions, ['toggleInventory']);
+});
+
+test('no Gamepad API means no gamepad', () => {
+    assert.equal(new GamepadInput({ navigatorLike: {} }).poll(), null);
+    assert.equal(new GamepadInput({ navigatorLike: undefined }).poll(), null);
+});
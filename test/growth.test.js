@@ -0,0 +1,161 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    HARVEST_NUTRIENT_USE,
+    OUT_OF_SEASON_DAMAGE,
+    OUT_OF_SEASON_GROWTH,
+    ROTATION_BONUS,
+    SOIL_DRY_RATE,
+    SOIL_HISTORY_LENGTH,
+    SOIL_REVERT_HOURS,
+    STARTING_NUTRIENTS,
+    advanceGrowth,
+    applySeason,
+    createSoil,
+    depleteSoil,
+    drySoil,
+    fertilizeSoil,
+    getNutrientGrowth,
+    getTotalGrowthTime,
+    isInSeason,
+    neglectSoil,
+    wetSoil
+} from '../js/growth.js';
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+const createPlant = (type) => ({ type, growth: 0, health: 1, stage: 0, isHarvestable: false });
+
+const createWetSoil = (nutrients = 1) => ({ ...createSoil(), moisture: 1, nutrients });
+
+test('new soil is dry, fairly rich and has grown nothing', () => {
+    assert.deepEqual(createSoil(), { moisture: 0, nutrients: STARTING_NUTRIENTS, history: [], dryHours: 0 });
+});
+
+test('soil dries over time, faster in hot weather, and never below empty', () => {
+    const soil = createWetSoil();
+    drySoil(soil, 2);
+    near(soil.moisture, 1 - SOIL_DRY_RATE * 2);
+
+    drySoil(soil, 1, 2);
+    near(soil.moisture, 1 - SOIL_DRY_RATE * 4);
+
+    drySoil(soil, 100);
+    assert.equal(soil.moisture, 0);
+
+    wetSoil(soil, 0.5);
+    wetSoil(soil, 0.75);
+    assert.equal(soil.moisture, 1);
+});
+
+test('crops grow nothing in soil that is too dry', () => {
+    const plant = createPlant('corn');
+    assert.equal(advanceGrowth(plant, createSoil(), 5), false);
+    assert.equal(plant.growth, 0);
+});
+
+test('each harvest uses nutrients, more when the same crop is grown again', () => {
+    const soil = createSoil();
+    depleteSoil(soil, 'corn');
+    near(soil.nutrients, STARTING_NUTRIENTS - HARVEST_NUTRIENT_USE);
+
+    depleteSoil(soil, 'corn');
+    near(soil.nutrients, STARTING_NUTRIENTS - HARVEST_NUTRIENT_USE * 3);
+
+    depleteSoil(soil, 'corn');
+    assert.equal(soil.nutrients, 0);
+    assert.deepEqual(soil.history, ['corn', 'corn', 'corn']);
+});
+
+test('following one crop with another gives some nutrients back', () => {
+    const soil = createSoil();
+    depleteSoil(soil, 'corn');
+    depleteSoil(soil, 'carrot');
+    near(soil.nutrients, STARTING_NUTRIENTS - HARVEST_NUTRIENT_USE * 2 + ROTATION_BONUS);
+});
+
+test('soil remembers only its most recent harvests', () => {
+    const soil = createSoil();
+    ['corn', 'carrot', 'tomato', 'melon', 'pumpkin', 'carrot'].forEach(crop => depleteSoil(soil, crop));
+    assert.equal(soil.history.length, SOIL_HISTORY_LENGTH);
+    assert.deepEqual(soil.history, ['tomato', 'melon', 'pumpkin', 'carrot']);
+});
+
+test('fertilizer restores nutrients, up to full', () => {
+    const soil = createSoil();
+    fertilizeSoil(soil, 0.1);
+    near(soil.nutrients, STARTING_NUTRIENTS + 0.1);
+
+    fertilizeSoil(soil, 1);
+    assert.equal(soil.nutrients, 1);
+});
+
+test('crops grow at half speed in exhausted soil', () => {
+    assert.equal(getNutrientGrowth(createWetSoil(1)), 1);
+    assert.equal(getNutrientGrowth(createWetSoil(0)), 0.5);
+
+    const rich = createPlant('corn');
+    const poor = createPlant('corn');
+    advanceGrowth(rich, createWetSoil(1), 2);
+    advanceGrowth(poor, createWetSoil(0), 2);
+    near(poor.growth, rich.growth / 2);
+});
+
+test('soil left dry with nothing planted reverts to grass', () => {
+    const soil = createSoil();
+    assert.equal(neglectSoil(soil, SOIL_REVERT_HOURS - 1, false), false);
+    assert.equal(neglectSoil(soil, 1, false), true);
+});
+
+test('planting or watering soil resets its neglect', () => {
+    const soil = createSoil();
+    neglectSoil(soil, SOIL_REVERT_HOURS - 1, false);
+    assert.equal(neglectSoil(soil, 1, true), false);
+    assert.equal(soil.dryHours, 0);
+
+    neglectSoil(soil, SOIL_REVERT_HOURS - 1, false);
+    wetSoil(soil, 0.2);
+    assert.equal(neglectSoil(soil, 1, false), false);
+    assert.equal(soil.dryHours, 0);
+});
+
+test('crops know the seasons they are sown in', () => {
+    assert.equal(isInSeason('corn', 'summer'), true);
+    assert.equal(isInSeason('corn', 'fall'), false);
+    assert.equal(isInSeason('carrot', 'winter'), true);
+});
+
+test('crops grow more slowly out of season', () => {
+    const inSeason = createPlant('corn');
+    const outOfSeason = createPlant('corn');
+    advanceGrowth(inSeason, createWetSoil(), 2, 'summer');
+    advanceGrowth(outOfSeason, createWetSoil(), 2, 'fall');
+    near(inSeason.growth, 2 / getTotalGrowthTime('corn'));
+    near(outOfSeason.growth, inSeason.growth * OUT_OF_SEASON_GROWTH);
+});
+
+test('crops out of season wear down and die within a day', () => {
+    const plant = createPlant('corn');
+    assert.equal(applySeason(plant, 'summer', 12), false);
+    assert.equal(plant.health, 1);
+
+    assert.equal(applySeason(plant, 'fall', 12), false);
+    near(plant.health, 1 - OUT_OF_SEASON_DAMAGE * 12);
+    assert.equal(applySeason(plant, 'fall', 12), true);
+    assert.equal(plant.health, 0);
+});
+
+test('winter kills frost-tender crops outright but only wears down hardy ones', () => {
+    const tender = createPlant('tomato');
+    assert.equal(applySeason(tender, 'winter', 0.1), true);
+    assert.equal(tender.health, 0);
+
+    const hardy = createPlant('strawberry');
+    assert.equal(applySeason(hardy, 'winter', 6), false);
+    near(hardy.health, 1 - OUT_OF_SEASON_DAMAGE * 6);
+
+    // Carrots are sown in winter
+    const carrot = createPlant('carrot');
+    assert.equal(applySeason(carrot, 'winter', 24), false);
+    assert.equal(carrot.health, 1);
+});
@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createMarketState,
+    getSaleValue,
+    getSellPrice,
+    recordSale,
+    recoverDemand
+} from '../js/market.js';
+
+test('selling lowers the price until demand recovers', () => {
+    const market = recordSale(createMarketState(), 'corn', 10);
+    assert.ok(getSellPrice('corn', { market }) < getSellPrice('corn'));
+    assert.equal(getSellPrice('corn', { market: recoverDemand(market, 30) }), getSellPrice('corn'));
+});
+
+test('a big sale is worth the same as selling one unit at a time', () => {
+    let market = createMarketState();
+    let oneByOne = 0;
+    for (let unit = 0; unit < 40; unit++) {
+        oneByOne += getSellPrice('corn', { market });
+        market = recordSale(market, 'corn', 1);
+    }
+
+    assert.equal(getSaleValue('corn', 40), oneByOne);
+    assert.ok(getSaleValue('corn', 40) < getSellPrice('corn') * 40);
+});
+
+test('getSaleValue prices against demand already lowered by earlier sales', () => {
+    const market = recordSale(createMarketState(), 'corn', 5);
+    assert.equal(getSaleValue('corn', 5, { market }), getSaleValue('corn', 10) - getSaleValue('corn', 5));
+    assert.equal(getSaleValue('corn', 0, { market }), 0);
+});
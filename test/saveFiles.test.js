@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MAX_SAVE_FILE_SIZE,
+    SAVE_FILE_FORMAT,
+    exportSaveFile,
+    getSaveFileName,
+    readSaveFile
+} from '../js/saveFiles.js';
+import { SAVE_VERSION } from '../js/snapshot.js';
+
+const thumbnail = 'data:image/jpeg;base64,/9j/4AAQSkZJRg==';
+const meta = { savedAt: '2024-05-01T10:00:00.000Z', playTime: 3600, day: 4, coins: 120, thumbnail };
+
+// A file as someone else might have written it
+const createFile = (save, name = 'Shared garden') =>
+    new Blob([JSON.stringify({ format: SAVE_FILE_FORMAT, name, save })]);
+
+const gzip = async (blob) =>
+    new Blob([await new Response(blob.stream().pipeThrough(new CompressionStream('gzip'))).arrayBuffer()]);
+
+test('exported saves read back, compressed or not', async () => {
+    const save = { version: SAVE_VERSION, coins: 80, meta };
+    for (const compress of [false, true]) {
+        const read = await readSaveFile(await exportSaveFile('My Garden', save, { compress }));
+        assert.deepEqual(read, { name: 'My Garden', save });
+    }
+});
+
+test('thumbnails that aren\'t inline images are dropped', async () => {
+    for (const url of ['https://example.com/track.png', 'javascript:alert(1)', 'data:text/html,hi', 42]) {
+        const { save } = await readSaveFile(createFile({ version: SAVE_VERSION, meta: { ...meta, thumbnail: url } }));
+        assert.equal(save.meta.thumbnail, undefined);
+        assert.equal(save.meta.day, 4);
+    }
+});
+
+test('save details that aren\'t numbers or dates are dropped', async () => {
+    const badMeta = { savedAt: 'yesterday', playTime: 'forever', day: null, coins: '1e9', thumbnail };
+    const { save } = await readSaveFile(createFile({ version: SAVE_VERSION, meta: badMeta }));
+    assert.deepEqual(save.meta, { thumbnail });
+
+    const { save: withoutMeta } = await readSaveFile(createFile({ version: SAVE_VERSION, meta: 'hello' }));
+    assert.equal('meta' in withoutMeta, false);
+});
+
+test('save times that aren\'t dates the game wrote are dropped', async () => {
+    const timestamp = '5/1/2024, 10:00:00 AM';
+    assert.equal((await readSaveFile(createFile({ version: SAVE_VERSION, timestamp }))).save.timestamp, timestamp);
+    assert.equal((await readSaveFile(createFile({ version: SAVE_VERSION, timestamp: 1714557600000 }))).save.timestamp,
+        1714557600000);
+
+    for (const bad of [{ toString: 'x' }, ['today'], Infinity, 1e20, '   ', 'x'.repeat(1000)]) {
+        const { save } = await readSaveFile(createFile({ version: SAVE_VERSION, timestamp: bad }));
+        assert.equal('timestamp' in save, false);
+    }
+});
+
+test('files that aren\'t saves are refused', async () => {
+    await assert.rejects(readSaveFile(new Blob(['hello'])), { message: 'The file is not a save file' });
+    await assert.rejects(readSaveFile(new Blob([JSON.stringify({ format: 'other' })])),
+        { message: 'The file is not a save file' });
+    await assert.rejects(readSaveFile(new Blob([new Uint8Array([0x1f, 0x8b, 1, 2, 3])])),
+        { message: 'The file is compressed but could not be unpacked' });
+    await assert.rejects(readSaveFile(createFile({ version: SAVE_VERSION + 1 })), /newer version/);
+});
+
+test('a small file that unpacks to too much is refused', async () => {
+    const bomb = await gzip(new Blob([new Uint8Array(MAX_SAVE_FILE_SIZE + 1)]));
+    assert.ok(bomb.size < 100 * 1024);
+    await assert.rejects(readSaveFile(bomb), { message: 'The file is too large to be a save' });
+});
+
+test('file names keep letters from any script', () => {
+    assert.equal(getSaveFileName('My Garden'), 'My-Garden.json');
+    assert.equal(getSaveFileName('Ünïcode garden', { compress: true }), 'Ünïcode-garden.json.gz');
+    assert.equal(getSaveFileName('菜园'), '菜园.json');
+    assert.equal(getSaveFileName('Мой сад'), 'Мой-сад.json');
+});
+
+test('file names drop characters file systems don\'t allow', () => {
+    assert.equal(getSaveFileName('a/b\\c: "d"?'), 'abc-d.json');
+    assert.equal(getSaveFileName('<*|>\n'), 'garden.json');
+});
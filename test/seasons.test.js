@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { lerpHex } from '../js/dayNight.js';
+import { DAYS_PER_SEASON, MINUTES_PER_DAY } from '../js/gameClock.js';
+import { SEASON_LOOKS, getFirstSnowDay, getSeasonColors, getSnow } from '../js/seasons.js';
+
+const SEASON_MINUTES = DAYS_PER_SEASON * MINUTES_PER_DAY;
+const WINTER = 3 * SEASON_MINUTES;
+const NEXT_SPRING = 4 * SEASON_MINUTES;
+
+// Game minutes at an hour of a day of the season starting at `seasonStart`
+const at = (seasonStart, dayOfSeason, hour = 0) => seasonStart + (dayOfSeason - 1) * MINUTES_PER_DAY + hour * 60;
+
+// A seed whose first winter's first snow day (null for none) `matches`
+const findSeed = (matches) => {
+    const seeds = Array.from({ length: 500 }, (_, index) => `seed-${index}`);
+    const seed = seeds.find(candidate => matches(getFirstSnowDay(1, candidate)));
+    assert.ok(seed, 'no seed has that winter');
+    return seed;
+};
+
+test('each season has its own colors', () => {
+    const { spring, summer } = SEASON_LOOKS;
+    assert.deepEqual(getSeasonColors(at(0, 1, 8)), { ground: spring.ground, leaves: spring.leaves });
+    assert.deepEqual(getSeasonColors(at(SEASON_MINUTES, 2)), { ground: summer.ground, leaves: summer.leaves });
+});
+
+test('colors change from the last season\'s over the first day of a season', () => {
+    const { summer, fall } = SEASON_LOOKS;
+    assert.deepEqual(getSeasonColors(at(2 * SEASON_MINUTES, 1)), { ground: summer.ground, leaves: summer.leaves });
+    assert.deepEqual(getSeasonColors(at(2 * SEASON_MINUTES, 1, 12)), {
+        ground: lerpHex(summer.ground, fall.ground, 0.5),
+        leaves: lerpHex(summer.leaves, fall.leaves, 0.5)
+    });
+});
+
+test('the first day of the game starts in spring colors', () => {
+    const { spring } = SEASON_LOOKS;
+    assert.deepEqual(getSeasonColors(0), { ground: spring.ground, leaves: spring.leaves });
+});
+
+test('a world\'s winters always snow on the same day', () => {
+    assert.equal(getFirstSnowDay(1, 'meadow'), getFirstSnowDay(1, 'meadow'));
+    const firstSnow = getFirstSnowDay(2, 'meadow');
+    assert.ok(firstSnow === null || (firstSnow >= 1 && firstSnow <= DAYS_PER_SEASON));
+});
+
+test('there is no snow outside winter or before the first snowy day', () => {
+    const seed = findSeed(day => day > 1);
+    assert.deepEqual(getSnow(at(2 * SEASON_MINUTES, 5), seed), { cover: 0, falling: 0 });
+    assert.deepEqual(getSnow(at(WINTER, getFirstSnowDay(1, seed) - 1, 23), seed), { cover: 0, falling: 0 });
+});
+
+test('snow settles over the first snowy morning and lies for the rest of winter', () => {
+    const seed = findSeed(day => day !== null && day < DAYS_PER_SEASON);
+    const firstSnow = getFirstSnowDay(1, seed);
+
+    assert.deepEqual(getSnow(at(WINTER, firstSnow, 0), seed), { cover: 0, falling: 0.6 });
+    assert.deepEqual(getSnow(at(WINTER, firstSnow, 3), seed), { cover: 0.5, falling: 0.6 });
+    assert.deepEqual(getSnow(at(WINTER, firstSnow, 6), seed), { cover: 1, falling: 0 });
+    assert.deepEqual(getSnow(at(WINTER, DAYS_PER_SEASON, 23), seed), { cover: 1, falling: 0 });
+});
+
+test('snow melts over the first morning of spring', () => {
+    const seed = findSeed(day => day !== null);
+    assert.deepEqual(getSnow(at(NEXT_SPRING, 1, 0), seed), { cover: 1, falling: 0 });
+    assert.deepEqual(getSnow(at(NEXT_SPRING, 1, 6), seed), { cover: 0.5, falling: 0 });
+    assert.deepEqual(getSnow(at(NEXT_SPRING, 1, 12), seed), { cover: 0, falling: 0 });
+    assert.deepEqual(getSnow(at(NEXT_SPRING, 2), seed), { cover: 0, falling: 0 });
+});
+
+test('some winters bring no snow at all', () => {
+    const seed = findSeed(day => day === null);
+    for (let day = 1; day <= DAYS_PER_SEASON; day++) {
+        assert.deepEqual(getSnow(at(WINTER, day, 12), seed), { cover: 0, falling: 0 });
+    }
+    assert.deepEqual(getSnow(at(NEXT_SPRING, 1, 0), seed), { cover: 0, falling: 0 });
+});
@@ -0,0 +1,203 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SAVE_VERSION, createSnapshot, parseSnapshot, validateSnapshot } from '../js/snapshot.js';
+import { Inventory } from '../js/inventory.js';
+import { MailSystem } from '../js/mail.js';
+import { createMarketState, recordSale } from '../js/market.js';
+
+// A world description as the game gathers it, with values that survive
+// rounding unchanged
+function createWorld() {
+    const mail = new MailSystem();
+    mail.deliver(2, 9);
+    mail.acceptQuest('first_harvest');
+
+    return {
+        seed: 'meadow',
+        terrainEdits: [[120, 1.25], [121, -0.5]],
+        ponds: [['4,-3', 0.75]],
+        obstacles: [{ index: 0, health: 3 }, { index: 7, health: 1 }],
+        plants: [
+            { key: '1,2', type: 'corn', growth: 0.4375, health: 1 },
+            { key: '2,2', type: 'tomato', growth: 1, health: 0.5 }
+        ],
+        tilledSoil: [
+            { key: '1,2', moisture: 0.25, nutrients: 0.65, history: ['carrot'], dryHours: 0 },
+            { key: '2,2', moisture: 0, nutrients: 0.8, history: [], dryHours: 12.5 }
+        ],
+        structures: [{ key: '5,5', type: 'fence' }, { key: '3,2', type: 'sprinkler' }],
+        pickups: [{ item: 'wood', count: 2, x: 1.5, z: -2.25 }],
+        inventory: new Inventory({ corn_seeds: 3, wood: 12, axe: 1, hoe: 1 }).toJSON(),
+        coins: 140,
+        market: recordSale(createMarketState(), 'corn', 4),
+        mail: mail.toJSON(),
+        time: 1980,
+        playTime: 754.5,
+        player: { x: 2.5, y: 1.7, z: -4, yaw: 1.25, pitch: -0.125 },
+        selection: { tool: 'water', seed: 'corn_seeds', shovelMode: 'flatten' }
+    };
+}
+
+// Through JSON, the way saves are stored and exported
+const roundTrip = (world) => parseSnapshot(JSON.parse(JSON.stringify(createSnapshot(world))));
+
+test('a snapshot carries the current format version', () => {
+    assert.equal(createSnapshot(createWorld()).version, SAVE_VERSION);
+});
+
+test('a snapshot reads back as the world it was made from', () => {
+    const world = createWorld();
+    assert.deepEqual(roundTrip(world), world);
+});
+
+test('plants, soil and obstacles round-trip', () => {
+    const world = createWorld();
+    const read = roundTrip(world);
+    assert.deepEqual(read.plants, world.plants);
+    assert.deepEqual(read.tilledSoil, world.tilledSoil);
+    assert.deepEqual(read.obstacles, world.obstacles);
+    assert.deepEqual(read.structures, world.structures);
+});
+
+test('the player pose, selection and clock round-trip', () => {
+    const world = createWorld();
+    const read = roundTrip(world);
+    assert.deepEqual(read.player, world.player);
+    assert.deepEqual(read.selection, world.selection);
+    assert.equal(read.time, world.time);
+    assert.equal(read.playTime, world.playTime);
+});
+
+test('a snapshot is rounded and copied, not shared with the world', () => {
+    const world = createWorld();
+    world.plants[0].growth = 0.123456789;
+    world.player.yaw = Math.PI;
+    world.tilledSoil[0].dryHours = 3.14159;
+
+    const snapshot = createSnapshot(world);
+    assert.equal(snapshot.plants[0].growth, 0.1235);
+    assert.equal(snapshot.player.yaw, 3.142);
+    assert.equal(snapshot.tilledSoil[0].dryHours, 3.1);
+
+    world.tilledSoil[0].history.push('corn');
+    assert.deepEqual(snapshot.tilledSoil[0].history, ['carrot']);
+});
+
+test('what a save leaves out reads as null or empty', () => {
+    const read = parseSnapshot({ version: SAVE_VERSION });
+    assert.equal(read.seed, null);
+    assert.equal(read.obstacles, null);
+    assert.deepEqual(read.plants, []);
+    assert.deepEqual(read.tilledSoil, []);
+    assert.equal(read.player, null);
+    assert.equal(read.playTime, 0);
+    assert.deepEqual(read.selection, { tool: null, seed: null, shovelMode: null });
+});
+
+test('saves from a newer game are refused', () => {
+    assert.throws(() => parseSnapshot({ version: SAVE_VERSION + 1 }), /newer version of the game/);
+    assert.throws(() => parseSnapshot('not a save'), { message: 'Save is not a saved game' });
+});
+
+test('a save from the original game keeps its plants\' growth', () => {
+    // As the first version of the game stored it, plant meshes and all
+    const mesh = { metadata: { version: 4.6, type: 'Object', generator: 'Object3D.toJSON' }, object: { type: 'Mesh' } };
+    const save = {
+        inventory: {
+            corn: { count: 3, icon: '🌽', name: 'Corn Seeds' },
+            tomato: { count: 5, icon: '🍅', name: 'Tomato Seeds' },
+            melon: { count: 4, icon: '🍈', name: 'Melon Seeds' },
+            strawberry: { count: 5, icon: '🍓', name: 'Strawberry Seeds' }
+        },
+        plants: [
+            ['0,1', { mesh, type: 'corn', growth: 0, waterCount: 0, isHarvestable: false }],
+            ['1,1', { mesh, type: 'melon', growth: 0, waterCount: 2, isHarvestable: false }],
+            ['2,1', { mesh, type: 'tomato', growth: 0, waterCount: 3, isHarvestable: true }]
+        ],
+        tilledSoil: ['0,1', '1,1', '2,1', '5,5'],
+        timestamp: '1/2/2024, 10:00:00 AM'
+    };
+
+    const read = parseSnapshot(JSON.parse(JSON.stringify(save)));
+    assert.deepEqual(read.plants.map(({ key, type, growth, health }) => [key, type, growth, health]), [
+        ['0,1', 'corn', 0, 1],
+        ['1,1', 'melon', 2 / 3, 1],
+        ['2,1', 'tomato', 1, 1]
+    ]);
+    assert.deepEqual(read.tilledSoil.map(tile => tile.key), ['0,1', '1,1', '2,1', '5,5']);
+    assert.deepEqual(read.tilledSoil[3], { key: '5,5', moisture: 0, nutrients: 0.8, history: [], dryHours: 0 });
+    assert.equal(read.playTime, 0);
+    assert.deepEqual(read.inventory.counts, {
+        axe: 1,
+        hoe: 1,
+        watering_can: 1,
+        shovel: 1,
+        corn_seeds: 3,
+        tomato_seeds: 5,
+        melon_seeds: 4,
+        strawberry_seeds: 5
+    });
+});
+
+// The first problem parseSnapshot finds with a current save changed by `change`
+function getProblem(change) {
+    const snapshot = JSON.parse(JSON.stringify(createSnapshot(createWorld())));
+    change(snapshot);
+    const [problem] = validateSnapshot(snapshot);
+    assert.ok(problem, 'the change should be a problem');
+    return problem;
+}
+
+test('a market without sales records is damaged', () => {
+    assert.throws(() => parseSnapshot({ version: SAVE_VERSION, market: {}, mail: { letters: 5 } }), {
+        message: 'Save is damaged: market should list recent sales; mail letters should be a list'
+    });
+    assert.equal(getProblem(save => { save.market.sold.corn = 'lots'; }), 'market has a bad sale amount for "corn"');
+});
+
+test('mail with malformed letters or quests is damaged', () => {
+    assert.equal(getProblem(save => { save.mail.letters[0] = 'Dear gardener'; }), 'mail letter 1 has no id');
+    assert.equal(getProblem(save => { delete save.mail.letters[1].body; }),
+        'mail letter 2 should have a sender, subject and text');
+    assert.equal(getProblem(save => { save.mail.letters[0].attachments = { items: { gold: 5 } }; }),
+        'mail letter 1 attachments has an unknown item "gold"');
+    assert.equal(getProblem(save => { save.mail.quests = {}; }), 'mail quests should be a list');
+    assert.equal(getProblem(save => { save.mail.quests[0].status = 'won'; }), 'mail quest 1 has an unknown status "won"');
+    assert.equal(getProblem(save => { save.mail.quests[0].objectives[0].event = 'dance'; }),
+        'mail quest 1 objective 1 has an unknown event');
+    assert.equal(getProblem(save => { save.mail.quests[0].reward.coins = '60'; }),
+        'mail quest 1 reward should have a number of coins');
+});
+
+test('markup in letters and quests loads as plain text', () => {
+    const markup = '<img src=x onerror="alert(1)">';
+    const snapshot = JSON.parse(JSON.stringify(createSnapshot(createWorld())));
+    snapshot.mail.letters[0].subject = markup;
+    snapshot.mail.letters[0].from = markup;
+    snapshot.mail.quests[0].title = markup;
+
+    const { mail } = parseSnapshot(snapshot);
+    assert.equal(mail.letters[0].subject, markup);
+    assert.equal(mail.letters[0].from, markup);
+    assert.equal(mail.quests[0].title, markup);
+});
+
+test('an inventory with unknown items or bad counts is damaged', () => {
+    assert.equal(getProblem(save => { save.inventory.counts.gold = 5; }), 'inventory has an unknown item "gold"');
+    assert.equal(getProblem(save => { save.inventory.counts.wood = -1; }), 'inventory has a bad count of wood');
+    assert.equal(getProblem(save => { save.inventory.counts.wood = 2.5; }), 'inventory has a bad count of wood');
+    assert.equal(getProblem(save => { delete save.inventory.counts; }), 'inventory should list items and their counts');
+});
+
+test('a selection of tools, seeds or shovel modes that don\'t exist is damaged', () => {
+    assert.equal(getProblem(save => { save.selection.tool = 'chainsaw'; }), 'selection has an unknown tool "chainsaw"');
+    assert.equal(getProblem(save => { save.selection.seed = 'corn'; }), 'selection has unknown seeds "corn"');
+    assert.equal(getProblem(save => { save.selection.shovelMode = 'toString'; }),
+        'selection has an unknown shovel mode "toString"');
+});
+
+test('the tool new games start with reads as the axe', () => {
+    const selection = { tool: 'Axe', seed: null, shovelMode: 'raise' };
+    const snapshot = createSnapshot({ ...createWorld(), selection });
+    assert.equal(parseSnapshot(snapshot).selection.tool, 'axe');
+});
@@ -0,0 +1,163 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    LocalStorageSaveStore,
+    MemorySaveStore,
+    QUARANTINE_KEY,
+    SAVES_KEY,
+    STORAGE_FULL_MESSAGE,
+    isQuotaError,
+    migrateLocalStorage,
+    openSaveStore
+} from '../js/storage.js';
+import { loadSaves } from '../js/saves.js';
+import { SAVE_VERSION } from '../js/snapshot.js';
+
+// Just enough of window.localStorage, holding at most `quota` characters
+function createStorage(items = {}, quota = Infinity) {
+    const data = new Map(Object.entries(items));
+    return {
+        data,
+        getItem: (key) => data.has(key) ? data.get(key) : null,
+        setItem: (key, value) => {
+            const used = Array.from(data)
+                .filter(([other]) => other !== key)
+                .reduce((size, [, text]) => size + text.length, 0);
+            if (used + value.length > quota) {
+                throw Object.assign(new Error('The quota has been exceeded.'), { name: 'QuotaExceededError' });
+            }
+            data.set(key, String(value));
+        },
+        removeItem: (key) => data.delete(key)
+    };
+}
+
+const save = (coins) => ({ version: SAVE_VERSION, coins });
+
+test('the memory store keeps saves and quarantine as copies', async () => {
+    const store = new MemorySaveStore();
+    const original = save(10);
+    await store.putSave('First', original);
+    original.coins = 99;
+
+    assert.deepEqual(await store.getSaves(), { First: save(10) });
+    const saves = await store.getSaves();
+    saves.First.coins = 50;
+    assert.deepEqual(await store.getSaves(), { First: save(10) });
+
+    await store.setQuarantine([{ name: 'Bad', save: 'x', error: 'broken' }]);
+    assert.equal((await store.getQuarantine()).length, 1);
+    await store.deleteSave('First');
+    assert.deepEqual(await store.getSaves(), {});
+});
+
+test('the localStorage store keeps every save under one key', async () => {
+    const storage = createStorage();
+    const store = new LocalStorageSaveStore(storage);
+    await store.putSave('First', save(10));
+    await store.putSave('Second', save(20));
+    await store.deleteSave('First');
+
+    assert.deepEqual(JSON.parse(storage.getItem(SAVES_KEY)), { Second: save(20) });
+    assert.deepEqual(await new LocalStorageSaveStore(storage).getSaves(), { Second: save(20) });
+});
+
+test('unreadable localStorage saves are quarantined whole', async () => {
+    const storage = createStorage({ [SAVES_KEY]: '{"First": ' });
+    const store = new LocalStorageSaveStore(storage);
+
+    assert.deepEqual(await store.getSaves(), {});
+    const [entry] = await store.getQuarantine();
+    assert.equal(entry.name, 'All saves');
+    assert.equal(entry.save, '{"First": ');
+    assert.match(entry.error, /^Saves could not be read/);
+    assert.equal(storage.getItem(SAVES_KEY), null);
+});
+
+test('a full localStorage rejects with a readable error and keeps what it had', async () => {
+    const storage = createStorage({}, 100);
+    const store = new LocalStorageSaveStore(storage);
+    await store.putSave('Small', save(1));
+
+    const big = { ...save(2), notes: 'x'.repeat(200) };
+    await assert.rejects(store.putSave('Big', big), { message: STORAGE_FULL_MESSAGE });
+    assert.deepEqual(await store.getSaves(), { Small: save(1) });
+});
+
+test('quota errors are recognized in every browser\'s form', () => {
+    assert.equal(isQuotaError({ name: 'QuotaExceededError' }), true);
+    assert.equal(isQuotaError({ name: 'NS_ERROR_DOM_QUOTA_REACHED' }), true);
+    assert.equal(isQuotaError({ code: 22 }), true);
+    assert.equal(isQuotaError({ code: 1014 }), true);
+    assert.equal(isQuotaError(new Error('Something else')), false);
+    assert.equal(isQuotaError(undefined), false);
+});
+
+test('saves in gardenGameSaves move into the new store', async () => {
+    const storage = createStorage({
+        [SAVES_KEY]: JSON.stringify({ Old: save(5), Both: save(6) }),
+        [QUARANTINE_KEY]: JSON.stringify([{ name: 'Broken', save: '?', error: 'bad' }])
+    });
+    const store = new MemorySaveStore({
+        saves: { Both: save(7) },
+        quarantine: [{ name: 'Earlier', save: '?', error: 'bad' }]
+    });
+
+    await migrateLocalStorage(storage, store);
+
+    // A save already in the store wins over the old copy
+    assert.deepEqual(await store.getSaves(), { Both: save(7), Old: save(5) });
+    assert.deepEqual((await store.getQuarantine()).map(entry => entry.name), ['Earlier', 'Broken']);
+    assert.equal(storage.getItem(SAVES_KEY), null);
+    assert.equal(storage.getItem(QUARANTINE_KEY), null);
+
+    // Nothing left to move the second time
+    await migrateLocalStorage(storage, store);
+    assert.deepEqual(Object.keys(await store.getSaves()), ['Both', 'Old']);
+});
+
+test('a move that fails leaves the old saves in localStorage', async () => {
+    const storage = createStorage({ [SAVES_KEY]: JSON.stringify({ Old: save(5) }) });
+    const store = new MemorySaveStore();
+    store.putSave = async () => {
+        throw new Error('Storage is full');
+    };
+
+    await assert.rejects(migrateLocalStorage(storage, store));
+    assert.deepEqual(JSON.parse(storage.getItem(SAVES_KEY)), { Old: save(5) });
+});
+
+test('without IndexedDB saves fall back to localStorage, then memory', async () => {
+    const storage = createStorage();
+    assert.equal((await openSaveStore({ indexedDB: null, storage })).type, 'localStorage');
+    assert.equal((await openSaveStore({ indexedDB: null, storage: null })).type, 'memory');
+
+    // IndexedDB that refuses to open, as in some private browsing modes
+    const blocked = {
+        open() {
+            const request = {};
+            setTimeout(() => {
+                request.error = new Error('The operation is insecure.');
+                request.onerror();
+            });
+            return request;
+        }
+    };
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.equal((await openSaveStore({ indexedDB: blocked, storage })).type, 'localStorage');
+    } finally {
+        console.warn = warn;
+    }
+});
+
+test('damaged saves are quarantined when saves are loaded', async () => {
+    const store = new MemorySaveStore({ saves: { Good: save(5), Bad: { version: SAVE_VERSION, coins: 'lots' } } });
+    const { saves, quarantine } = await loadSaves(store);
+
+    assert.deepEqual(saves, { Good: save(5) });
+    assert.deepEqual(quarantine.map(entry => entry.name), ['Bad']);
+    assert.deepEqual(await store.getSaves(), { Good: save(5) });
+    assert.equal((await store.getQuarantine()).length, 1);
+});
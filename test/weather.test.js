@@ -0,0 +1,152 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    FixtureWeatherProvider,
+    OfflineWeatherProvider,
+    getGardenEffects,
+    getWeatherConditions,
+    getWeatherVisuals
+} from '../js/weather.js';
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+// Trimmed OpenWeatherMap "current weather" and "5 day / 3 hour forecast"
+// responses, metric units
+const current = {
+    name: 'Bergen',
+    sys: { country: 'NO' },
+    main: { temp: 8.5, temp_min: 7, temp_max: 10, humidity: 93 },
+    weather: [{ main: 'Rain', description: 'moderate rain', icon: '10d' }],
+    rain: { '1h': 3 },
+    clouds: { all: 90 },
+    wind: { speed: 6, deg: 270 },
+    dt: 1760000000
+};
+
+const forecast = {
+    list: [
+        {
+            dt: 1760010800,
+            main: { temp: 9, temp_min: 8, temp_max: 9 },
+            weather: [{ main: 'Rain', description: 'light rain', icon: '10d' }],
+            rain: { '3h': 1.5 }
+        },
+        {
+            dt: 1760097200,
+            main: { temp: 12, temp_min: 10, temp_max: 12 },
+            weather: [{ main: 'Clouds', description: 'broken clouds', icon: '04d' }]
+        }
+    ]
+};
+
+// Current weather with everything but what a test cares about left out
+const weather = (fields) => ({ weather: [{ main: 'Clear' }], main: { temp: 18 }, ...fields });
+
+test('a fixture provider hands back its responses without asking for a location', async () => {
+    const provider = new FixtureWeatherProvider({ current, forecast });
+    assert.equal(provider.requiresLocation, false);
+
+    const data = await provider.getWeather();
+    assert.equal(data.current, current);
+    assert.equal(data.forecast.list.length, 2);
+});
+
+test('fixture weather reduces to the conditions the garden uses', async () => {
+    const data = await new FixtureWeatherProvider({ current, forecast }).getWeather();
+    assert.deepEqual(getWeatherConditions(data.current), {
+        main: 'Rain',
+        temperature: 8.5,
+        rainfall: 3,
+        snowfall: 0,
+        cloudCover: 0.9,
+        windSpeed: 6,
+        windDirection: 270
+    });
+
+    // Forecast entries have the same shape and report rain over three hours
+    assert.equal(getWeatherConditions(forecast.list[0]).rainfall, 0.5);
+    assert.equal(getWeatherConditions(forecast.list[1]).rainfall, 0);
+});
+
+test('rain without a reported amount falls at a typical rate', () => {
+    assert.equal(getWeatherConditions(weather({ weather: [{ main: 'Drizzle' }] })).rainfall, 0.5);
+    assert.equal(getWeatherConditions(weather({ weather: [{ main: 'Thunderstorm' }] })).rainfall, 8);
+    assert.equal(getWeatherConditions(weather({ weather: [{ main: 'Snow' }] })).snowfall, 1);
+    assert.equal(getWeatherConditions({}).temperature, 18);
+});
+
+test('rain waters the soil, up to a full soak in an hour', () => {
+    assert.equal(getGardenEffects(getWeatherConditions(current)).moisturePerHour, 0.75);
+    assert.equal(getGardenEffects(getWeatherConditions(weather({ rain: { '1h': 10 } }))).moisturePerHour, 1);
+    assert.equal(getGardenEffects(getWeatherConditions(weather({}))).moisturePerHour, 0);
+});
+
+test('heat dries the soil faster, cold and cloud slow it down', () => {
+    const drying = (fields) => getGardenEffects(getWeatherConditions(weather(fields))).dryingMultiplier;
+
+    assert.equal(drying({}), 1);
+    near(drying({ main: { temp: 35 } }), 2);
+    near(drying({ main: { temp: 5 } }), 0.6);
+    near(drying({ clouds: { all: 100 } }), 0.8);
+});
+
+test('frost damages crops, more the colder it gets', () => {
+    const damage = (temp) => getGardenEffects(getWeatherConditions(weather({ main: { temp } }))).frostDamagePerHour;
+
+    assert.equal(damage(1), 0);
+    assert.equal(damage(0), 0.25);
+    near(damage(-4), 0.45);
+    near(damage(-10), 0.75);
+    near(damage(-30), 0.75);
+});
+
+test('clouds dim the sunlight', () => {
+    const sunlight = (all) => getGardenEffects(getWeatherConditions(weather({ clouds: { all } }))).sunlight;
+
+    assert.equal(sunlight(0), 1);
+    near(sunlight(50), 0.7);
+    near(sunlight(100), 0.4);
+});
+
+test('rain, snow and wind show in the scene', () => {
+    const rainy = getWeatherVisuals(getWeatherConditions(current));
+    assert.equal(rainy.rain, 0.75);
+    assert.equal(rainy.snow, 0);
+    assert.equal(rainy.wind, 0.4);
+
+    // A west wind blows towards the east
+    near(rainy.windX, 1);
+    near(rainy.windZ, 0);
+
+    const clear = getWeatherVisuals(getWeatherConditions(weather({})));
+    assert.equal(clear.rain, 0);
+    assert.equal(clear.snow, 0);
+
+    // Light snow still shows
+    assert.equal(getWeatherVisuals(getWeatherConditions(weather({ weather: [{ main: 'Snow' }] }))).snow, 0.5);
+});
+
+test('offline, the last response is replayed while it is recent', async () => {
+    const cached = { timestamp: Date.now() - 60 * 60 * 1000, data: { current, forecast } };
+    const provider = new OfflineWeatherProvider({ cached });
+    assert.equal(provider.requiresLocation, false);
+    assert.deepEqual(await provider.getWeather(), { current, forecast });
+});
+
+test('offline with no recent response, the garden gets mild clear weather', async () => {
+    const stale = { timestamp: Date.now() - 7 * 60 * 60 * 1000, data: { current, forecast } };
+
+    for (const provider of [new OfflineWeatherProvider(), new OfflineWeatherProvider({ cached: stale })]) {
+        const data = await provider.getWeather();
+        assert.deepEqual(data.forecast, { list: [] });
+
+        const conditions = getWeatherConditions(data.current);
+        assert.equal(conditions.main, 'Clear');
+        assert.equal(conditions.temperature, 18);
+
+        const effects = getGardenEffects(conditions);
+        assert.equal(effects.moisturePerHour, 0);
+        assert.equal(effects.frostDamagePerHour, 0);
+        assert.equal(effects.sunlight, 1);
+    }
+});